@@ -3,24 +3,136 @@ const TelegramBot = require('node-telegram-bot-api');
 const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
+const { format, parseISO, addDays, differenceInMinutes } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
 
 // Import tools
 const parseEventDetails = require('./tools/parse_event_details');
 const { formatEventConfirmation } = require('./tools/parse_event_details');
+const getClarifyingQuestions = require('./tools/clarify_event');
+const {
+  buildClarifyingQuestion,
+  parseClarifyingAnswer,
+  applyClarifyingAnswer,
+  buildMonthGrid,
+  getTimeGridTimes,
+  getTimeGridBlock,
+  DURATION_OPTIONS,
+  TIME_GRID_BLOCKS
+} = require('./tools/clarify_event');
 const createCalendarEvent = require('./tools/create_calendar_event');
+const updateCalendarEvent = require('./tools/update_calendar_event');
+const parseEventUpdate = require('./tools/parse_event_update');
+const { getSearchWindow, resolveEventChanges, diffEventDetails, formatEventUpdateConfirmation } = require('./tools/parse_event_update');
+const findMatchingEvents = require('./tools/find_matching_events');
+const checkCalendarConflicts = require('./tools/check_calendar_conflicts');
+const { findNextFreeSlot } = require('./tools/check_calendar_conflicts');
+const parseEventImage = require('./tools/parse_event_image');
+const { SUPPORTED_IMAGE_TYPES } = require('./tools/parse_event_image');
+const parseICS = require('./tools/parse_ics');
+const importCalendarEvents = require('./tools/import_calendar_events');
+const { findExistingEventUids, findImportConflicts } = require('./tools/import_calendar_events');
+const parseEventReference = require('./tools/parse_event_reference');
+const classifyIntent = require('./tools/classify_intent');
+const deleteCalendarEvent = require('./tools/delete_calendar_event');
 const parseTimeRange = require('./tools/parse_time_range');
+const { parseDuration, getDayRange, getWeekRange } = require('./tools/parse_time_range');
+const findFreeSlots = require('./tools/find_free_slots');
+const searchCalendarEvents = require('./tools/search_calendar_events');
+const { extractSearchTerm } = require('./tools/search_calendar_events');
 const queryCalendarEvents = require('./tools/query_calendar_events');
-const { getTodayEvents, getTomorrowEvents, getWeekEvents } = require('./tools/query_calendar_events');
+const { queryCalendarEventsPage } = require('./tools/query_calendar_events');
+const exportCalendarEvents = require('./tools/export_calendar_events');
+const { MAX_EXPORT_EVENTS } = require('./tools/export_calendar_events');
 const formatEventsMessage = require('./tools/format_events_message');
-const { formatEventCreatedMessage } = require('./tools/format_events_message');
+const transcribeAudio = require('./tools/transcribe_audio');
+const collectDueReminders = require('./tools/event_reminders');
+const {
+  loadReminderState,
+  saveReminderState,
+  getUserReminderState,
+  snoozeReminder,
+  pruneReminders,
+  MAX_REMINDER_MINUTES
+} = require('./tools/event_reminders');
+const buildDigestMessage = require('./tools/daily_digest');
+const {
+  loadDigestSettings,
+  saveDigestSettings,
+  getUserDigestSettings,
+  getDueDigests,
+  parseDigestTime,
+  formatDigestSettings
+} = require('./tools/daily_digest');
+const {
+  formatEventCreatedMessage,
+  formatEventUpdatedMessage,
+  formatEventButtonLabel,
+  formatEventDeleteConfirmation,
+  formatEventDeletedMessage,
+  formatSearchResultsMessage,
+  formatFreeSlotsMessage,
+  formatSlotButtonLabel,
+  formatReminderMessage,
+  formatDuration,
+  formatImportSummary
+} = require('./tools/format_events_message');
+const loadAccounts = require('./tools/user_accounts');
+const {
+  getAdminIds,
+  isAllowedUser,
+  isAdmin,
+  allowUser,
+  removeUser,
+  listUsers,
+  createInvite,
+  redeemInvite,
+  saveUserToken,
+  linkGroup,
+  unlinkGroup,
+  getLinkedGroup,
+  listGroups,
+  formatUserList,
+  INVITE_TTL_DAYS
+} = require('./tools/user_accounts');
+const { createAuthLink, completeAuthorization, useStateStore, isCalendarConnected, checkTokenHealth, onAuthFailure } = require('./tools/google_auth');
+const getUserSettings = require('./tools/user_settings');
+const {
+  loadSettings,
+  updateUserSettings,
+  isValidTimezone,
+  formatSettingsMessage,
+  TIMEZONE_OPTIONS,
+  DEFAULT_DURATION_OPTIONS,
+  WEEK_START_OPTIONS
+} = require('./tools/user_settings');
+const listCalendars = require('./tools/list_calendars');
+const createStateStore = require('./tools/state_store');
 
 // Configuration
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-const ALLOWED_USER_ID = parseInt(process.env.TELEGRAM_ALLOWED_USER_ID);
-const TIMEZONE = process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/Los_Angeles';
+const ADMIN_USER_IDS = getAdminIds(); // TELEGRAM_ADMIN_USER_IDS (or TELEGRAM_ALLOWED_USER_ID) - the first one owns token.json
+const TIMEZONE = process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/Los_Angeles'; // Default - each user can pick their own in /settings
 const WEBHOOK_URL = process.env.WEBHOOK_URL; // e.g., https://your-app.onrender.com
 const PORT = process.env.PORT || 3000;
 const USE_WEBHOOK = !!WEBHOOK_URL; // Use webhook if WEBHOOK_URL is set, otherwise polling
+const OAUTH_REDIRECT_URI = `${process.env.OAUTH_REDIRECT_BASE_URL || WEBHOOK_URL || `http://localhost:${PORT}`}/oauth/callback`; // Google sends /connect sign-ins here
+const MAX_DELETE_CHOICES = 8; // Events listed as buttons when several match a delete request
+const MAX_FREE_SLOTS = 8; // Free slots listed (each gets a booking button)
+const EVENTS_PAGE_SIZE = 10; // Events per page in listings
+const MAX_IMAGE_EVENTS = 5; // Confirmation cards sent for one photo
+const MAX_IMPORT_EVENTS = 200; // Events imported from one .ics file
+const INTENT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.6; // Below this, ask what the user meant
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000; // How often the digest scheduler checks the clock
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000; // How often upcoming events are checked for reminders
+const AUTH_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000; // How often saved Google sign-ins are test-refreshed
+const AUTH_EXPIRY_WARNING_MS = 24 * 60 * 60 * 1000; // Warn this long before a Google sign-in runs out
+const AUTH_ALERT_REPEAT_MS = 24 * 60 * 60 * 1000; // The same sign-in alert is sent at most once in this long
+const SNOOZE_MINUTES = 10; // "💤 Snooze" delay
+const MAX_TELEGRAM_DOWNLOAD_BYTES = 20 * 1024 * 1024; // Bot API download limit
+const CONVERSATION_TTL_MS = 30 * 60 * 1000; // Unanswered follow-up questions (and "make it 4pm" context) are dropped after this
+const PENDING_TTL_MS = (parseFloat(process.env.PENDING_TTL_HOURS) || 24) * 60 * 60 * 1000; // Confirmation cards and pickers expire after this
+const LISTING_TTL_MS = 24 * 60 * 60 * 1000; // ◀️/▶️ paging works this long after a listing was sent
 
 // Validate configuration
 if (!TELEGRAM_BOT_TOKEN) {
@@ -33,8 +145,37 @@ const bot = USE_WEBHOOK
   ? new TelegramBot(TELEGRAM_BOT_TOKEN) // No polling for webhook mode
   : new TelegramBot(TELEGRAM_BOT_TOKEN, { polling: true }); // Polling for local dev
 
-// In-memory storage for pending event confirmations
-const pendingEvents = new Map();
+// Conversation state survives restarts (STATE_STORE / STATE_PATH); every entry expires on its own
+const stateStore = createStateStore();
+
+// Pending /connect sign-ins too, so a restart before Google's callback doesn't break the link
+useStateStore(stateStore);
+
+// New-event drafts, keyed by the draft ID in their confirmation card's callback data
+// ({ id, eventDetails, chatId, messageId }) - a user can have several cards open (one photo can produce several)
+const eventDrafts = stateStore.namespace('drafts', PENDING_TTL_MS);
+
+// Other actions waiting for a button, keyed the same way
+// ({ id, type: 'update' | 'delete' | 'slots' | 'import' | 'intent', chatId, messageId, ... })
+const pendingEvents = stateStore.namespace('pending', PENDING_TTL_MS);
+
+// Questions answered by replying to them (force_reply), keyed by "chatId:promptMessageId"
+// ({ type: 'slot_title' | 'edit_text' | 'settings_timezone', userId, chatId, ... })
+const replyPrompts = stateStore.namespace('prompts', PENDING_TTL_MS);
+
+// Paginated listings, keyed by "chatId:messageId"
+const eventListings = stateStore.namespace('listings', LISTING_TTL_MS);
+
+// Follow-up questions about a draft event, keyed by "chatId:userId" so group members can draft at once
+// ({ userId, draft, field, remaining, options, promptMessageId, promptText })
+const conversations = stateStore.namespace('conversations', CONVERSATION_TTL_MS);
+
+// The event a correction like "make it 4pm" changes, keyed by "chatId:userId": the member's latest draft card
+// ({ userId, draftId }) or the event they just created ({ userId, eventId, eventDetails, messageId })
+const recentEvents = stateStore.namespace('recent', CONVERSATION_TTL_MS);
+
+// Google sign-in alerts already sent, keyed by "userId:kind" (kind: 'expiring' | 'expired')
+const authAlerts = stateStore.namespace('auth_alerts', AUTH_ALERT_REPEAT_MS);
 
 // Logging
 const LOG_DIR = path.join(__dirname, '.tmp', 'bot_logs');
@@ -65,21 +206,116 @@ async function log(level, message, data = null) {
   }
 }
 
-// Authorization middleware
-function isAuthorized(userId) {
-  if (!ALLOWED_USER_ID) {
-    log('WARN', 'TELEGRAM_ALLOWED_USER_ID not set in .env - allowing all users (not recommended)');
+// Authorization middleware: admins plus users they allowed or invited - and, in a group an admin linked, every member
+function isAuthorized(userId, chat = null) {
+  if (ADMIN_USER_IDS.length === 0) {
+    log('WARN', 'TELEGRAM_ADMIN_USER_IDS not set in .env - allowing all users (not recommended)');
+    return true;
+  }
+  if (chat && isGroupChat(chat)) {
+    return isAdmin(userId) || !!getLinkedGroup(chat.id);
+  }
+  return isAllowedUser(userId);
+}
+
+function isGroupChat(chat) {
+  return chat.type === 'group' || chat.type === 'supergroup';
+}
+
+// Key for state that belongs to one member of a chat (drafts in progress, the event to correct)
+function memberKey(chatId, userId) {
+  return `${chatId}:${userId}`;
+}
+
+// Whose Google Calendar and /settings a chat uses: in a linked group the admin who linked it, otherwise the user's own
+function getCalendarUserId(chatId, userId) {
+  const group = getLinkedGroup(chatId);
+  return group ? group.ownerId : userId;
+}
+
+// The bot's own user, for spotting @mentions and replies in groups
+let botUser = null;
+
+async function getBotUser() {
+  if (!botUser) botUser = await bot.getMe();
+  return botUser;
+}
+
+// In groups the bot only answers commands meant for it (/today, /today@thisbot), @mentions and replies to its messages
+async function isAddressedToBot(msg) {
+  const me = await getBotUser();
+  const text = msg.text || msg.caption || '';
+
+  if (msg.reply_to_message && msg.reply_to_message.from && msg.reply_to_message.from.id === me.id) return true;
+
+  const command = text.match(/^\/\w+(?:@(\w+))?/);
+  if (command) return !command[1] || command[1].toLowerCase() === me.username.toLowerCase();
+
+  return (msg.entities || msg.caption_entities || []).some(entity =>
+    entity.type === 'mention' && text.substr(entity.offset, entity.length).toLowerCase() === `@${me.username.toLowerCase()}`
+  );
+}
+
+// Take "@thisbot" out of a group message so it reads like a private one
+async function stripBotMention(text) {
+  const me = await getBotUser();
+  return text.replace(new RegExp(`@${me.username}\\b`, 'ig'), '').replace(/\s{2,}/g, ' ').trim();
+}
+
+// Guard for command handlers: in groups, ignore commands for other bots
+async function canUseCommand(msg) {
+  if (isGroupChat(msg.chat) && !(await isAddressedToBot(msg))) return false;
+  return isAuthorized(msg.from.id, msg.chat);
+}
+
+// Personal commands (Google sign-in, /settings, /digest...) only work in a private chat
+async function ensurePrivateChat(msg) {
+  if (!isGroupChat(msg.chat)) return true;
+
+  const me = await getBotUser();
+  await bot.sendMessage(msg.chat.id, `That one's personal - send it to me in a private chat: @${me.username}`, {
+    reply_to_message_id: msg.message_id
+  });
+  return false;
+}
+
+// Calendar commands need a Google account - the user's own, or in a group the one it's linked to
+async function ensureCalendarConnected(msg) {
+  if (ADMIN_USER_IDS.length === 0) {
+    return true;
+  }
+
+  if (isGroupChat(msg.chat)) {
+    const group = getLinkedGroup(msg.chat.id);
+    if (group && await isCalendarConnected(group.ownerId)) return true;
+
+    await bot.sendMessage(msg.chat.id, group
+      ? '🔗 The Google Calendar for this group was disconnected. The admin who linked it needs to /connect again.'
+      : '🔗 This group isn\'t linked to a calendar yet. An admin can send /group link here.'
+    );
+    return false;
+  }
+
+  if (await isCalendarConnected(msg.from.id)) {
     return true;
   }
-  return userId === ALLOWED_USER_ID;
+
+  await bot.sendMessage(msg.chat.id,
+    '🔗 Connect your Google Calendar first - send /connect and sign in with Google.'
+  );
+  return false;
+}
+
+// Callback data is "action:userId[:arg]" - keeps each button tied to the user who asked
+// "action:userId[:arg[:draftId]]" - the draft ID ties a card's buttons to its own draft or pending action
+function buildCallbackData(action, userId, arg = null, draftId = null) {
+  if (draftId) return `${action}:${userId}:${arg === null ? '' : arg}:${draftId}`;
+  return arg === null ? `${action}:${userId}` : `${action}:${userId}:${arg}`;
 }
 
-// Intent classification
-function isQueryIntent(text) {
-  if (!text) return false;
-  const queryKeywords = ['what', 'show', 'plans', 'schedule', 'calendar', 'do i have', 'any events'];
-  const lowerText = text.toLowerCase();
-  return queryKeywords.some(keyword => lowerText.includes(keyword));
+function parseCallbackData(data) {
+  const [action, userId, arg, draftId] = (data || '').split(':');
+  return { action, userId: parseInt(userId), arg: arg === undefined || arg === '' ? null : arg, draftId: draftId || null };
 }
 
 // Welcome message
@@ -88,11 +324,22 @@ const WELCOME_MESSAGE = `👋 *Welcome to your Google Calendar assistant!*
 I can help you:
 • Create calendar events from natural language
 • Check your upcoming schedule
+• Move or rename existing events
+• Delete events
 
 *Commands:*
 /today - Show today's events
 /tomorrow - Show tomorrow's events
 /week - Show this week's events
+/delete - Delete an event
+/free - Find free time
+/find - Search for an event
+/digest - Daily agenda messages
+/reminders - Reminders before events
+/export - Download events as .ics or CSV
+/connect - Link your Google Calendar
+/settings - Timezone, event length, week start, calendar
+/group - Share a calendar with a group chat
 /help - Show this help message
 
 *Creating Events:*
@@ -104,6 +351,15 @@ Just tell me about your event, like:
 Ask me about your plans:
 "What's on my calendar tomorrow?"
 "Do I have anything next week?"
+"When am I free Thursday afternoon for 90 minutes?"
+"When is my next haircut?"
+
+*Changing Events:*
+"Move the dentist to Thursday at 10"
+"Rename tomorrow's 3pm to Budget review"
+
+*Deleting Events:*
+"Cancel my lunch with Sarah on Friday"
 
 Let's get started! 📅`;
 
@@ -116,8 +372,20 @@ Examples:
 • "Team meeting tomorrow at 2pm"
 • "Lunch with Sarah on Friday at noon"
 • "Doctor appointment next Monday at 9am for 1 hour"
+• "Call with anna@acme.com Tuesday 2pm on Meet"
+• "Flight Friday 7am, remind me 2 hours before"
 
 I'll show you what I understood and ask for confirmation before creating the event.
+Not quite right? Tap 📆 Date, ⏰ Time, ⏱ Duration, 📝 Title or 📍 Location on the card,
+or just say "make it 4pm" or "call it Budget sync instead" - that works right after creating it too.
+You can also send a voice note - I'll transcribe it and show what I heard.
+Or send a photo of a flyer, ticket or booking confirmation - I'll draft a card for each event in it.
+If you invite people, you can choose whether they get an email invitation.
+
+*Import and export:*
+Send an .ics file (an invite or a conference schedule). I'll skip events you already have, flag conflicts and ask before importing.
+• /export next month - Get an .ics file to share or archive
+• /export Q3 csv - Get a spreadsheet instead
 
 *Check your schedule:*
 Use commands or ask naturally:
@@ -127,261 +395,2751 @@ Use commands or ask naturally:
 • "What are my plans for next Tuesday?"
 • "Show me this weekend"
 
+*Find free time:*
+• /free - Free slots today
+• /free tomorrow
+• "When am I free Thursday afternoon for 90 minutes?"
+
+Tap a slot to book an event there.
+
+*Search for an event:*
+• /find dentist
+• "When is my next haircut?"
+
+I'll show the next occurrence first, then other upcoming and past matches.
+
+*Daily digest:*
+• /digest on - Today's agenda every morning, tomorrow's preview every evening
+• /digest morning 7:00 - Change the morning time
+• /digest evening off - Only send the morning agenda
+• /digest off - Stop the digest
+
+*Reminders:*
+I can message you before each event, with a 💤 Snooze button.
+• /reminders on - Turn them on (10 minutes before by default)
+• /reminders 15 - Remind me 15 minutes before
+• /reminders 0 - Only when I ask ("remind me 30 min before")
+• /reminders off - No Telegram reminders
+
+*Change an event:*
+Start your message with move, reschedule or rename:
+• "Move the dentist to Thursday at 10"
+• "Reschedule lunch with Sarah to 1pm"
+• "Rename tomorrow's 3pm to Budget review"
+
+I'll show you the event before and after the change and ask for confirmation.
+
+*Delete an event:*
+• /delete - Pick from your upcoming events
+• /delete dentist - Find and delete the dentist appointment
+• "Cancel my lunch with Sarah on Friday"
+
+For repeating events I'll ask whether to delete just one occurrence or the whole series.
+
+*Your Google account:*
+• /connect - Sign in with Google to link your calendar (or sign in again when I say it expired)
+• /disconnect - Unlink it
+• /users - Invite people and manage who can use the bot (admins)
+
+*Settings:*
+• /settings - Change your timezone, default event length, first day of the week and which calendar I use
+
+*Group chats:*
+Add me to your team's group, then an admin sends /group link there - the group shares that admin's calendar.
+• Mention me or reply to my messages to add events - I stay out of everything else
+• Only the person who asked (or an admin) can confirm, and I note on the event who asked
+• /today and /week show the schedule to everyone in the group
+• /group - See which calendar the group uses
+
 *Tips:*
 ✓ Include date and time for events
 ✓ I'll summarize long descriptions
-✓ All events use your calendar's timezone
+✓ Times are in the timezone from /settings
 ✓ You'll see a confirmation before I create events
 
 Need help? Check the project README.`;
 
 // Command handlers
-bot.onText(/\/start/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) {
+bot.onText(/\/start(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+  if (isGroupChat(msg.chat) && !(await isAddressedToBot(msg))) return;
+
+  // Invite links open the bot with "/start <code>"
+  if (match[1] && !isAuthorized(msg.from.id, msg.chat)) {
+    const redeemed = await redeemInvite(match[1], msg.from.id, formatUserName(msg.from));
+    await log(redeemed ? 'INFO' : 'WARN', redeemed ? 'Invite redeemed' : 'Invalid invite code', { userId: msg.from.id });
+
+    if (!redeemed) {
+      await bot.sendMessage(msg.chat.id, 'Sorry, this invite link is invalid or has expired. Ask for a new one.');
+      return;
+    }
+  }
+
+  if (!isAuthorized(msg.from.id, msg.chat)) {
+    await sendUnauthorizedMessage(msg);
     await log('WARN', 'Unauthorized /start attempt', { userId: msg.from.id });
     return;
   }
 
   await log('INFO', 'User started bot', { userId: msg.from.id });
   await bot.sendMessage(msg.chat.id, WELCOME_MESSAGE, { parse_mode: 'Markdown' });
+
+  if (isGroupChat(msg.chat)) {
+    // Says how to link the group if no one has yet
+    await ensureCalendarConnected(msg);
+  } else if (!(await isCalendarConnected(msg.from.id))) {
+    await bot.sendMessage(msg.chat.id, '🔗 To get started, send /connect and sign in with your Google account.');
+  }
 });
 
 bot.onText(/\/help/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return;
+  if (!(await canUseCommand(msg))) return;
 
   await log('INFO', 'User requested help', { userId: msg.from.id });
   await bot.sendMessage(msg.chat.id, HELP_MESSAGE, { parse_mode: 'Markdown' });
 });
 
 bot.onText(/\/today/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return;
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
 
   await log('INFO', 'User queried today\'s events', { userId: msg.from.id });
-  await handleEventQuery(msg, 'today', getTodayEvents);
+  const { timezone } = await getUserSettings(getCalendarUserId(msg.chat.id, msg.from.id));
+  const today = formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd');
+  await handleEventQuery(msg, { ...getDayRange(today, timezone), nav: { kind: 'day', date: today } });
 });
 
 bot.onText(/\/tomorrow/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return;
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
 
   await log('INFO', 'User queried tomorrow\'s events', { userId: msg.from.id });
-  await handleEventQuery(msg, 'tomorrow', getTomorrowEvents);
+  const { timezone } = await getUserSettings(getCalendarUserId(msg.chat.id, msg.from.id));
+  const tomorrow = format(addDays(parseISO(formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd')), 1), 'yyyy-MM-dd');
+  await handleEventQuery(msg, { ...getDayRange(tomorrow, timezone), nav: { kind: 'day', date: tomorrow } });
 });
 
 bot.onText(/\/week/, async (msg) => {
-  if (!isAuthorized(msg.from.id)) return;
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
 
   await log('INFO', 'User queried week\'s events', { userId: msg.from.id });
-  await handleEventQuery(msg, 'this week', getWeekEvents);
+  const { timezone, weekStartsOn } = await getUserSettings(getCalendarUserId(msg.chat.id, msg.from.id));
+  const week = getWeekRange(formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd'), timezone, weekStartsOn);
+  await handleEventQuery(msg, { ...week, nav: { kind: 'week', date: week.weekStart } });
+});
+
+bot.onText(/\/delete(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
+
+  await log('INFO', 'User requested delete', { userId: msg.from.id, query: match[1] || null });
+  await handleDeleteEvent(msg, match[1] || null);
+});
+
+bot.onText(/\/free(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
+
+  await log('INFO', 'User requested free time', { userId: msg.from.id, query: match[1] || null });
+  await handleFreeTime(msg, match[1] || 'today');
+});
+
+bot.onText(/\/find(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
+
+  if (!match[1]) {
+    await bot.sendMessage(msg.chat.id, 'What should I look for? Example: /find dentist');
+    return;
+  }
+
+  await log('INFO', 'User searched events', { userId: msg.from.id, query: match[1] });
+  await handleEventSearch(msg, match[1]);
+});
+
+bot.onText(/\/export(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg)) || !(await ensureCalendarConnected(msg))) return;
+
+  await log('INFO', 'User requested export', { userId: msg.from.id, args: match[1] || null });
+  await handleExportCommand(msg, match[1] || '');
+});
+
+bot.onText(/\/reminders(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg)) || !(await ensurePrivateChat(msg))) return;
+
+  await log('INFO', 'User changed reminder settings', { userId: msg.from.id, args: match[1] || null });
+  await handleRemindersCommand(msg, match[1] || '');
+});
+
+bot.onText(/\/digest(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg)) || !(await ensurePrivateChat(msg))) return;
+
+  await log('INFO', 'User changed digest settings', { userId: msg.from.id, args: match[1] || null });
+  await handleDigestCommand(msg, match[1] || '');
+});
+
+bot.onText(/\/connect/, async (msg) => {
+  if (!(await canUseCommand(msg)) || !(await ensurePrivateChat(msg))) return;
+
+  await log('INFO', 'User requested Google sign-in link', { userId: msg.from.id });
+  await handleConnectCommand(msg);
+});
+
+bot.onText(/\/disconnect/, async (msg) => {
+  if (!(await canUseCommand(msg)) || !(await ensurePrivateChat(msg))) return;
+
+  await log('INFO', 'User disconnected Google Calendar', { userId: msg.from.id });
+  await saveUserToken(msg.from.id, null);
+  await bot.sendMessage(msg.chat.id, '👋 Your Google Calendar is disconnected. Send /connect to link it again.');
+});
+
+bot.onText(/\/settings/, async (msg) => {
+  if (!(await canUseCommand(msg)) || !(await ensurePrivateChat(msg)) || !(await ensureCalendarConnected(msg))) return;
+
+  await log('INFO', 'User opened settings', { userId: msg.from.id });
+  const settings = await getUserSettings(msg.from.id);
+  await bot.sendMessage(msg.chat.id, formatSettingsMessage(settings), {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildSettingsKeyboard(msg.from.id) }
+  });
+});
+
+bot.onText(/\/group(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!(await canUseCommand(msg))) return;
+
+  await log('INFO', 'User managed group link', { userId: msg.from.id, chatId: msg.chat.id, args: match[1] || null });
+  await handleGroupCommand(msg, match[1] || '');
+});
+
+bot.onText(/\/users(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+  if (!isAdmin(msg.from.id) || !(await canUseCommand(msg)) || !(await ensurePrivateChat(msg))) return;
+
+  await log('INFO', 'Admin managed users', { userId: msg.from.id, args: match[1] || null });
+  await handleUsersCommand(msg, match[1] || '');
 });
 
 // Main message handler
 bot.on('message', async (msg) => {
+  // A group that becomes a supergroup gets a new chat ID - keep its link
+  if (msg.migrate_to_chat_id && getLinkedGroup(msg.chat.id)) {
+    const group = getLinkedGroup(msg.chat.id);
+    await linkGroup(msg.migrate_to_chat_id, group.ownerId, group.title);
+    await unlinkGroup(msg.chat.id);
+    await log('INFO', 'Linked group moved to supergroup', { from: msg.chat.id, to: msg.migrate_to_chat_id });
+    return;
+  }
+
+  // In groups, everything not meant for the bot is just the team talking
+  if (isGroupChat(msg.chat) && !(await isAddressedToBot(msg))) return;
+
   // Check authorization first
-  if (!isAuthorized(msg.from.id)) {
-    await bot.sendMessage(msg.chat.id, 'Sorry, this bot is for private use only.');
-    await log('WARN', 'Unauthorized message attempt', { userId: msg.from.id, username: msg.from.username });
+  if (!isAuthorized(msg.from.id, msg.chat)) {
+    // /start answers for itself (it may be redeeming an invite)
+    if (msg.text?.startsWith('/start')) return;
+
+    await sendUnauthorizedMessage(msg);
+    await log('WARN', 'Unauthorized message attempt', { userId: msg.from.id, username: msg.from.username, chatId: msg.chat.id });
     return;
   }
 
   // Skip if command was already handled
   if (msg.text?.startsWith('/')) return;
 
-  // Skip non-text messages
+  if (!(await ensureCalendarConnected(msg))) return;
+
+  // "@thisbot lunch Friday at noon" reads as "lunch Friday at noon"
+  if (isGroupChat(msg.chat)) {
+    msg = msg.text
+      ? { ...msg, text: await stripBotMention(msg.text) }
+      : { ...msg, caption: msg.caption && await stripBotMention(msg.caption) };
+
+    if (msg.text === '') {
+      await bot.sendMessage(msg.chat.id, '👋 Yes? Tell me about an event to add it, or ask about the schedule.', {
+        reply_to_message_id: msg.message_id
+      });
+      return;
+    }
+  }
+
+  // Voice notes and audio files are transcribed, then handled like text
+  if (msg.voice || msg.audio) {
+    await handleVoiceMessage(msg);
+    return;
+  }
+
+  // iCalendar files (invites, conference schedules) are imported in bulk
+  if (msg.document && isCalendarFile(msg.document)) {
+    await handleCalendarImport(msg);
+    return;
+  }
+
+  // Photos and image files (flyers, tickets, screenshots) become event drafts
+  if (msg.photo || msg.document?.mime_type?.startsWith('image/')) {
+    await handlePhotoMessage(msg);
+    return;
+  }
+
+  // Skip other non-text messages
   if (!msg.text) return;
 
   await log('INFO', 'Received message', { userId: msg.from.id, text: msg.text });
+  await routeTextMessage(msg);
+});
 
+// Classify a text message (or voice transcript) and hand it to the matching workflow
+async function routeTextMessage(msg) {
   try {
-    // Classify intent: query vs add event
-    if (isQueryIntent(msg.text)) {
-      await log('DEBUG', 'Intent: query events');
-      await handleEventQueryNatural(msg, msg.text);
-    } else {
-      await log('DEBUG', 'Intent: add event');
-      await handleAddEvent(msg);
+    const prompt = msg.reply_to_message ? await replyPrompts.get(`${msg.chat.id}:${msg.reply_to_message.message_id}`) : null;
+
+    // Reply to "What should I call it?" after picking a free slot
+    if (prompt && prompt.userId === msg.from.id && prompt.type === 'slot_title') {
+      await handleSlotTitle(msg, prompt);
+      return;
     }
+
+    // Reply to "What should the event be called?" from a card's 📝/📍 edit button
+    if (prompt && prompt.userId === msg.from.id && prompt.type === 'edit_text') {
+      await handleEditReply(msg, prompt);
+      return;
+    }
+
+    // Reply to "Which timezone?" from /settings
+    if (prompt && prompt.userId === msg.from.id && prompt.type === 'settings_timezone') {
+      await handleTimezoneReply(msg, prompt);
+      return;
+    }
+
+    // Answer to a follow-up question about a draft event ("What time?") - in groups only a reply to the question,
+    // since anything else addressed to the bot is a new request
+    const conversation = await conversations.get(memberKey(msg.chat.id, msg.from.id));
+    const isAnswer = conversation && (!isGroupChat(msg.chat) ||
+      (msg.reply_to_message && msg.reply_to_message.message_id === conversation.promptMessageId));
+    if (isAnswer && await handleClarifyingAnswer(msg, conversation)) {
+      return;
+    }
+
+    // Classify intent: create, query, update, delete, free time, search, smalltalk
+    // or a correction to the event just drafted or created
+    await bot.sendChatAction(msg.chat.id, 'typing');
+    const recent = await getRecentEvent(msg.chat.id, msg.from.id);
+    const classification = await classifyIntent(msg.text, recent ? { summary: (await getRecentEventDetails(recent)).summary } : null);
+    await log('DEBUG', 'Intent classified', {
+      intent: classification.intent,
+      confidence: classification.confidence,
+      source: classification.source
+    });
+
+    if (classification.confidence < INTENT_CONFIDENCE_THRESHOLD) {
+      await askIntentClarification(msg, classification);
+      return;
+    }
+
+    await dispatchIntent(msg, classification.intent, classification.args);
   } catch (error) {
     await log('ERROR', 'Message processing failed', { error: error.message, stack: error.stack });
     await bot.sendMessage(msg.chat.id, 'Sorry, something went wrong. Please try again.');
   }
-});
+}
 
-// Handle adding an event
-async function handleAddEvent(msg) {
-  try {
-    await bot.sendChatAction(msg.chat.id, 'typing');
+// Hand a classified message to its workflow
+async function dispatchIntent(msg, intent, args = {}) {
+  switch (intent) {
+    case 'free_time':
+      await handleFreeTime(msg, msg.text);
+      break;
+    case 'search':
+      await handleEventSearch(msg, args.searchTerm || extractSearchTerm(msg.text));
+      break;
+    case 'delete':
+      await handleDeleteEvent(msg, msg.text);
+      break;
+    case 'update':
+      await handleUpdateEvent(msg);
+      break;
+    case 'correct':
+      await handleEventCorrection(msg);
+      break;
+    case 'query':
+      await handleEventQueryNatural(msg, args.timeRange || msg.text);
+      break;
+    case 'smalltalk':
+      await bot.sendMessage(msg.chat.id, `${args.reply || '👋 Hi!'}\n\nTell me about an event to add it, or ask about your schedule. /help shows everything I can do.`);
+      break;
+    default:
+      await handleAddEvent(msg);
+  }
+}
 
-    // Parse event details with Gemini
-    await log('DEBUG', 'Calling parse_event_details');
-    const eventDetails = await parseEventDetails(msg.text, TIMEZONE);
-    await log('INFO', 'Event parsed', { confidence: eventDetails.confidence });
+// Button labels for the "what did you mean?" question
+const INTENT_LABELS = {
+  create: '➕ Add it as an event',
+  query: '📅 Show my events',
+  update: '✏️ Change an event',
+  delete: '🗑 Delete an event',
+  free_time: '🕒 Find free time',
+  search: '🔍 Search my calendar',
+  correct: '✏️ Change the event I just added',
+  smalltalk: '💬 Just chatting'
+};
+
+// Unsure what the message asks for - offer the likely intents as buttons
+async function askIntentClarification(msg, classification) {
+  const userId = msg.from.id;
+  const draftId = stateStore.createId();
+  const candidates = [classification.intent]
+    .concat(classification.alternatives)
+    .filter((intent, index, all) => all.indexOf(intent) === index && intent !== 'smalltalk')
+    .slice(0, 3);
+
+  const keyboard = candidates.map(intent => [{ text: INTENT_LABELS[intent], callback_data: buildCallbackData('intent', userId, intent, draftId) }]);
+  keyboard.push([{ text: '❌ Never mind', callback_data: buildCallbackData('cancel', userId, null, draftId) }]);
+
+  const sentMessage = await bot.sendMessage(msg.chat.id, '🤔 I\'m not sure what you\'d like me to do. Did you mean:', {
+    reply_to_message_id: msg.message_id,
+    reply_markup: { inline_keyboard: keyboard }
+  });
 
-    // Show confirmation
-    const confirmMsg = formatEventConfirmation(eventDetails);
+  await pendingEvents.set(draftId, {
+    id: draftId,
+    type: 'intent',
+    msg: msg,
+    args: classification.args,
+    chatId: msg.chat.id,
+    messageId: sentMessage.message_id
+  });
 
-    const sentMessage = await bot.sendMessage(msg.chat.id, confirmMsg, {
-      parse_mode: 'Markdown',
-      reply_markup: {
-        inline_keyboard: [[
-          { text: '✅ Confirm', callback_data: `confirm_${msg.from.id}` },
-          { text: '❌ Cancel', callback_data: `cancel_${msg.from.id}` }
-        ]]
-      }
-    });
+  await log('INFO', 'Asked to clarify intent', { candidates, confidence: classification.confidence });
+}
 
-    // Store event details for confirmation callback
-    pendingEvents.set(msg.from.id, {
-      eventDetails: eventDetails,
-      messageId: sentMessage.message_id,
-      chatId: msg.chat.id
-    });
+// Handle a voice note or audio file: download, transcribe, then route the transcript
+async function handleVoiceMessage(msg) {
+  const audio = msg.voice || msg.audio;
 
-    await log('DEBUG', 'Awaiting user confirmation');
+  await log('INFO', 'Received voice message', { userId: msg.from.id, duration: audio.duration, mimeType: audio.mime_type });
 
-  } catch (error) {
-    await log('ERROR', 'Failed to parse event', { error: error.message });
-    await bot.sendMessage(msg.chat.id,
-      'Sorry, I had trouble understanding that. Please try again with a date and time.\n\n' +
-      'Example: "Meeting tomorrow at 3pm to discuss project"'
-    );
+  if (audio.file_size > MAX_TELEGRAM_DOWNLOAD_BYTES) {
+    await bot.sendMessage(msg.chat.id, 'Sorry, that recording is too large for me to download. Please keep it under 20 MB.');
+    return;
   }
-}
 
-// Handle event query with convenience function
-async function handleEventQuery(msg, timeDescription, queryFunction) {
+  let transcript;
   try {
     await bot.sendChatAction(msg.chat.id, 'typing');
 
-    // Query events
-    await log('DEBUG', 'Querying calendar events', { timeDescription });
-    const events = await queryFunction();
+    const data = await downloadTelegramFile(audio.file_id);
+    transcript = await transcribeAudio(data, audio.mime_type || 'audio/ogg');
+    await log('INFO', 'Voice message transcribed', { transcript });
+  } catch (error) {
+    await log('ERROR', 'Failed to transcribe voice message', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t make out that recording. Please try again or type it instead.');
+    return;
+  }
+
+  await routeTextMessage({ ...msg, text: transcript, transcript: transcript });
+}
 
-    // Format and send
-    const message = formatEventsMessage(events, timeDescription);
-    await bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+// Handle a photo or image file: extract events and show a confirmation card for each
+async function handlePhotoMessage(msg) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  // Telegram sends several sizes of a photo - the last one is the largest
+  const file = msg.photo ? msg.photo[msg.photo.length - 1] : msg.document;
+  const mimeType = msg.photo ? 'image/jpeg' : msg.document.mime_type;
 
-    await log('INFO', 'Events displayed', { count: events.length, timeDescription });
+  await log('INFO', 'Received image', { userId: msg.from.id, mimeType, caption: msg.caption || null });
 
-  } catch (error) {
-    await log('ERROR', 'Failed to query events', { error: error.message });
-    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t retrieve your events right now. Please try again.');
+  if (!SUPPORTED_IMAGE_TYPES.includes(mimeType)) {
+    await bot.sendMessage(msg.chat.id, 'Sorry, I can only read JPEG, PNG, WebP and HEIC images.');
+    return;
+  }
+
+  if (file.file_size > MAX_TELEGRAM_DOWNLOAD_BYTES) {
+    await bot.sendMessage(msg.chat.id, 'Sorry, that image is too large for me to download. Please keep it under 20 MB.');
+    return;
   }
-}
 
-// Handle natural language event query
-async function handleEventQueryNatural(msg, timeExpression) {
   try {
     await bot.sendChatAction(msg.chat.id, 'typing');
 
-    // Parse time range
-    await log('DEBUG', 'Parsing time range', { expression: timeExpression });
-    const { startDate, endDate, description } = await parseTimeRange(timeExpression, TIMEZONE);
+    const data = await downloadTelegramFile(file.file_id);
+    const { events, skipped } = await parseEventImage(data, mimeType, msg.caption || '', settings.timezone, settings.defaultDuration);
+    await log('INFO', 'Image parsed', { events: events.length, skipped });
 
-    // Query events
-    const events = await queryCalendarEvents(startDate, endDate);
+    if (events.length === 0) {
+      await bot.sendMessage(msg.chat.id,
+        'I couldn\'t find an event with a date in that image. ' +
+        'Try a clearer screenshot, or add a caption like "the Saturday concert at 8pm".'
+      );
+      return;
+    }
 
-    // Format and send
-    const message = formatEventsMessage(events, description);
-    await bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown' });
+    if (events.length > 1) {
+      const shown = Math.min(events.length, MAX_IMAGE_EVENTS);
+      let intro = `📸 I found ${events.length} events - here's a card for ${events.length > shown ? `the first ${shown}` : 'each'}.`;
+      if (skipped > 0) {
+        intro += ` (${skipped} more I couldn't read fully.)`;
+      }
+      await bot.sendMessage(msg.chat.id, intro);
+    }
 
-    await log('INFO', 'Events displayed', { count: events.length, description });
+    for (const eventDetails of events.slice(0, MAX_IMAGE_EVENTS)) {
+      await showEventConfirmation(msg.chat.id, msg.from.id, eventDetails);
+    }
 
   } catch (error) {
-    await log('ERROR', 'Failed to handle query', { error: error.message });
-    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t retrieve your events. Please try again.');
+    await log('ERROR', 'Failed to parse image', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I had trouble reading that image. Please try again or type the event instead.');
   }
 }
 
-// Handle callback queries (button presses)
-bot.on('callback_query', async (query) => {
-  const userId = query.from.id;
-  const data = query.data;
-
-  await log('DEBUG', 'Callback query received', { userId, data });
-
-  if (data.startsWith('confirm_')) {
-    await handleEventConfirm(query);
-  } else if (data.startsWith('cancel_')) {
-    await handleEventCancel(query);
-  }
+function isCalendarFile(document) {
+  return document.mime_type === 'text/calendar' || /\.ics$/i.test(document.file_name || '');
+}
 
-  // Answer callback to remove loading state
-  await bot.answerCallbackQuery(query.id);
-});
+// Handle an uploaded .ics file: parse it, drop duplicates, flag conflicts, then ask what to import
+async function handleCalendarImport(msg) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  const document = msg.document;
+  const fileName = document.file_name || 'calendar.ics';
 
-// Handle event confirmation
-async function handleEventConfirm(query) {
-  const userId = query.from.id;
-  const pending = pendingEvents.get(userId);
+  await log('INFO', 'Received calendar file', { userId: msg.from.id, fileName, size: document.file_size });
 
-  if (!pending) {
-    await bot.sendMessage(query.message.chat.id, 'Sorry, this confirmation has expired. Please try again.');
+  if (document.file_size > MAX_TELEGRAM_DOWNLOAD_BYTES) {
+    await bot.sendMessage(msg.chat.id, 'Sorry, that file is too large for me to download. Please keep it under 20 MB.');
     return;
   }
 
   try {
-    await bot.sendChatAction(query.message.chat.id, 'typing');
+    await bot.sendChatAction(msg.chat.id, 'typing');
 
-    // Create calendar event
-    await log('DEBUG', 'Creating calendar event');
-    const event = await createCalendarEvent(pending.eventDetails, TIMEZONE);
-    await log('INFO', 'Event created', { eventId: event.id, summary: event.summary });
+    const data = await downloadTelegramFile(document.file_id);
+    const { events, warnings } = parseICS(data.toString('utf8'), settings.timezone);
 
-    // Send confirmation
-    const message = formatEventCreatedMessage(event);
-    await bot.sendMessage(query.message.chat.id, message, { parse_mode: 'Markdown' });
+    if (events.length > MAX_IMPORT_EVENTS) {
+      warnings.push(`Only the first ${MAX_IMPORT_EVENTS} of ${events.length} events can be imported at once`);
+      events.length = MAX_IMPORT_EVENTS;
+    }
 
-    // Edit original message to show it was confirmed
-    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
-      chat_id: pending.chatId,
-      message_id: pending.messageId
-    });
+    // Skip events already imported (same UID)
+    const existingUids = await findExistingEventUids(events, calendarUserId);
+    const newEvents = events.filter(event => !existingUids.has(event.uid));
+    const duplicates = events.length - newEvents.length;
+    const conflicts = await findImportConflicts(newEvents, settings.timezone, calendarUserId);
 
-    // Clean up
-    pendingEvents.delete(userId);
+    await log('INFO', 'Calendar file parsed', { events: events.length, duplicates, conflicts: conflicts.size, warnings: warnings.length });
 
-  } catch (error) {
-    await log('ERROR', 'Failed to create event', { error: error.message });
-    await bot.sendMessage(query.message.chat.id,
-      '❌ Sorry, I couldn\'t create the event. Please check your Google Calendar connection and try again.'
-    );
-  }
-}
+    if (newEvents.length === 0) {
+      const reason = events.length === 0
+        ? `I couldn't find any events in ${fileName}.`
+        : `All ${events.length} events in ${fileName} are already in your calendar.`;
+      await bot.sendMessage(msg.chat.id, `📥 ${reason}${warnings.length > 0 ? `\n\n${warnings[0]}` : ''}`);
+      return;
+    }
 
-// Handle event cancellation
-async function handleEventCancel(query) {
-  const userId = query.from.id;
-  const pending = pendingEvents.get(userId);
+    const draftId = stateStore.createId();
+    const freeCount = newEvents.length - conflicts.size;
+    const keyboard = [[{ text: `✅ Import all (${newEvents.length})`, callback_data: buildCallbackData('import', msg.from.id, 'all', draftId) }]];
+    if (conflicts.size > 0 && freeCount > 0) {
+      keyboard.push([{ text: `✅ Skip conflicts (${freeCount})`, callback_data: buildCallbackData('import', msg.from.id, 'free', draftId) }]);
+    }
+    keyboard.push([{ text: '❌ Cancel', callback_data: buildCallbackData('cancel', msg.from.id, null, draftId) }]);
 
-  if (pending) {
-    // Edit original message to show it was cancelled
-    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
-      chat_id: pending.chatId,
-      message_id: pending.messageId
+    const sentMessage = await bot.sendMessage(msg.chat.id,
+      formatImportSummary(fileName, newEvents, { duplicates, conflicts }, warnings, settings.timezone),
+      { parse_mode: 'Markdown', reply_markup: { inline_keyboard: keyboard } }
+    );
+
+    // Conflicts by position - the events are saved as JSON, which a Set of them wouldn't survive
+    await pendingEvents.set(draftId, {
+      id: draftId,
+      type: 'import',
+      events: newEvents,
+      conflicts: newEvents.flatMap((event, index) => conflicts.has(event) ? [index] : []),
+      messageId: sentMessage.message_id,
+      chatId: msg.chat.id
     });
 
-    pendingEvents.delete(userId);
+  } catch (error) {
+    await log('ERROR', 'Failed to read calendar file', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t read that calendar file. Please check it is a valid .ics file and try again.');
   }
-
-  await bot.sendMessage(query.message.chat.id, '❌ Event cancelled.');
-  await log('INFO', 'Event cancelled by user', { userId });
 }
 
-// Error handling for polling mode
-if (!USE_WEBHOOK) {
-  bot.on('polling_error', (error) => {
-    log('ERROR', 'Polling error', { error: error.message, code: error.code });
-  });
-}
+// Download a file sent to the bot (voice notes, photos, documents)
+async function downloadTelegramFile(fileId) {
+  const fileLink = await bot.getFileLink(fileId);
+  const response = await fetch(fileLink);
 
-// Startup
-(async () => {
-  await ensureLogDir();
+  if (!response.ok) {
+    throw new Error(`Telegram file download failed: ${response.status}`);
+  }
 
-  if (USE_WEBHOOK) {
-    // === WEBHOOK MODE (Production / Render) ===
-    const app = express();
-    app.use(express.json());
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Handle adding an event
+async function handleAddEvent(msg) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    // Parse event details with Gemini
+    await log('DEBUG', 'Calling parse_event_details');
+    const eventDetails = await parseEventDetails(msg.text, settings.timezone, null, settings.defaultDuration);
+    await log('INFO', 'Event parsed', { confidence: eventDetails.confidence });
+
+    // Echo what was heard so a misheard voice note is easy to spot
+    if (msg.transcript) {
+      eventDetails.transcript = msg.transcript;
+    }
+
+    // Ask about guessed details (no time, no day, no title) before showing the card
+    const questions = getClarifyingQuestions(eventDetails);
+    if (questions.length > 0) {
+      await conversations.set(memberKey(msg.chat.id, msg.from.id), {
+        userId: msg.from.id,
+        draft: eventDetails,
+        remaining: questions
+      });
+      await askNextQuestion(msg.chat, msg.from.id);
+      return;
+    }
+
+    await showEventConfirmation(msg.chat.id, msg.from.id, eventDetails);
+
+  } catch (error) {
+    await log('ERROR', 'Failed to parse event', { error: error.message });
+    await bot.sendMessage(msg.chat.id,
+      'Sorry, I had trouble understanding that. Please try again with a date and time.\n\n' +
+      'Example: "Meeting tomorrow at 3pm to discuss project"'
+    );
+  }
+}
+
+// Show the confirmation card for a drafted event and remember it for the callback
+async function showEventConfirmation(chatId, userId, eventDetails) {
+  // Look for double-bookings before asking
+  const conflicts = await findConflicts(eventDetails, getCalendarUserId(chatId, userId));
+  const draftId = stateStore.createId();
+
+  // Show confirmation
+  const confirmMsg = formatEventConfirmation(eventDetails, conflicts);
+
+  const sentMessage = await bot.sendMessage(chatId, confirmMsg, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildConfirmKeyboard(eventDetails, userId, draftId, conflicts.length > 0) }
+  });
+
+  // Store event details for confirmation callback
+  await eventDrafts.set(draftId, {
+    id: draftId,
+    eventDetails: eventDetails,
+    messageId: sentMessage.message_id,
+    chatId: chatId
+  });
+
+  // The newest card is what "make it 4pm" refers to
+  await recentEvents.set(memberKey(chatId, userId), { userId: userId, draftId: draftId });
+
+  await log('DEBUG', 'Awaiting user confirmation');
+}
+
+// Save a changed draft and re-render its confirmation card in place, checking for conflicts again
+async function refreshEventCard(draft, userId) {
+  await eventDrafts.set(draft.id, draft);
+  const conflicts = await findConflicts(draft.eventDetails, getCalendarUserId(draft.chatId, userId));
+
+  await bot.editMessageText(formatEventConfirmation(draft.eventDetails, conflicts), {
+    chat_id: draft.chatId,
+    message_id: draft.messageId,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildConfirmKeyboard(draft.eventDetails, userId, draft.id, conflicts.length > 0) }
+  });
+}
+
+// Conflict lookup never blocks event creation - a failed check just shows no warning
+async function findConflicts(eventDetails, userId) {
+  const settings = await getUserSettings(userId);
+  try {
+    const conflicts = await checkCalendarConflicts(eventDetails, settings.timezone, userId);
+    if (conflicts.length > 0) {
+      await log('INFO', 'Event overlaps existing events', { count: conflicts.length });
+    }
+    return conflicts;
+  } catch (error) {
+    await log('WARN', 'Conflict check failed', { error: error.message });
+    return [];
+  }
+}
+
+// Get the event a member's correction in this chat would change, if it's still fresh and the card still open
+async function getRecentEvent(chatId, userId) {
+  const recent = await recentEvents.get(memberKey(chatId, userId));
+
+  if (!recent) return null;
+
+  if (recent.draftId && !(await eventDrafts.get(recent.draftId))) {
+    await recentEvents.delete(memberKey(chatId, userId));
+    return null;
+  }
+
+  return recent;
+}
+
+// Draft details live with their card (the next-free-slot button may have moved them)
+async function getRecentEventDetails(recent) {
+  return recent.draftId ? (await eventDrafts.get(recent.draftId)).eventDetails : recent.eventDetails;
+}
+
+// Ask the next follow-up question, or show the confirmation card once everything is settled
+async function askNextQuestion(chat, userId) {
+  const chatId = chat.id;
+  const conversation = await conversations.get(memberKey(chatId, userId));
+
+  if (conversation.remaining.length === 0) {
+    await conversations.delete(memberKey(chatId, userId));
+
+    // The user settled what was guessed
+    const draft = conversation.draft;
+    if (draft.confidence === 'low') {
+      draft.confidence = 'medium';
+    }
+
+    await log('INFO', 'Clarification finished', { summary: draft.summary });
+    await showEventConfirmation(chatId, conversation.userId, draft);
+    return;
+  }
+
+  conversation.field = conversation.remaining.shift();
+  const { timezone } = await getUserSettings(getCalendarUserId(chatId, conversation.userId));
+  const question = buildClarifyingQuestion(conversation.field, conversation.draft, timezone);
+
+  // Quick replies, three per row
+  const keyboard = [];
+  question.options.forEach((option, index) => {
+    if (index % 3 === 0) keyboard.push([]);
+    keyboard[keyboard.length - 1].push({ text: option.label, callback_data: buildCallbackData('clarify', conversation.userId, index) });
+  });
+  keyboard.push([{ text: '❌ Cancel', callback_data: buildCallbackData('clarify', conversation.userId, 'cancel') }]);
+
+  // In groups the bot only sees messages addressed to it, so typed answers come as replies to the question
+  const footer = isGroupChat(chat)
+    ? (question.options.length > 0 ? '_Tap an option or reply to this message._' : '_Reply to this message with your answer._')
+    : (question.options.length > 0 ? '_Tap an option or type your answer._' : '_Type your answer._');
+  const sentMessage = await bot.sendMessage(chatId, `${question.text}\n\n${footer}`, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+
+  conversation.options = question.options;
+  conversation.promptMessageId = sentMessage.message_id;
+  conversation.promptText = question.text;
+  await conversations.set(memberKey(chatId, userId), conversation);
+
+  await log('DEBUG', 'Asked follow-up question', { field: conversation.field });
+}
+
+// Typed answer to a follow-up question - returns false if the message isn't an answer,
+// in which case the question is dropped and the message handled like any other
+async function handleClarifyingAnswer(msg, conversation) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  const value = parseClarifyingAnswer(conversation.field, msg.text, settings.timezone);
+
+  if (value === null) {
+    await conversations.delete(memberKey(msg.chat.id, msg.from.id));
+    await bot.editMessageText(`${conversation.promptText}\n\n❌ Skipped - send the event again to add it.`, {
+      chat_id: msg.chat.id,
+      message_id: conversation.promptMessageId,
+      parse_mode: 'Markdown'
+    });
+    await log('INFO', 'Follow-up question dropped for a new message', { field: conversation.field });
+    return false;
+  }
+
+  await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+    chat_id: msg.chat.id,
+    message_id: conversation.promptMessageId
+  });
+
+  conversation.draft = applyClarifyingAnswer(conversation.draft, conversation.field, value, new Date(), settings.defaultDuration);
+  await conversations.set(memberKey(msg.chat.id, msg.from.id), conversation);
+  await log('INFO', 'Follow-up answered', { field: conversation.field, value });
+  await askNextQuestion(msg.chat, msg.from.id);
+  return true;
+}
+
+// Confirmation buttons - events with invitees choose whether to email them,
+// conflicting events get "Create anyway" and a next-free-slot suggestion,
+// and every card gets per-field edit buttons
+function buildConfirmKeyboard(eventDetails, userId, draftId, hasConflicts = false) {
+  const cancelButton = { text: '❌ Cancel', callback_data: buildCallbackData('cancel', userId, null, draftId) };
+  const keyboard = [];
+
+  if (eventDetails.attendees && eventDetails.attendees.length > 0) {
+    keyboard.push([
+      { text: hasConflicts ? '✅ Create anyway & invite' : '✅ Confirm & invite', callback_data: buildCallbackData('confirm', userId, 'invite', draftId) },
+      { text: '✅ Confirm, no emails', callback_data: buildCallbackData('confirm', userId, 'quiet', draftId) }
+    ]);
+    keyboard.push([cancelButton]);
+  } else {
+    keyboard.push([
+      { text: hasConflicts ? '✅ Create anyway' : '✅ Confirm', callback_data: buildCallbackData('confirm', userId, null, draftId) },
+      cancelButton
+    ]);
+  }
+
+  if (hasConflicts) {
+    keyboard.push([{ text: '🔎 Suggest next free slot', callback_data: buildCallbackData('next_slot', userId, null, draftId) }]);
+  }
+
+  keyboard.push([
+    { text: '📆 Date', callback_data: buildCallbackData('edit', userId, 'date', draftId) },
+    { text: '⏰ Time', callback_data: buildCallbackData('edit', userId, 'time', draftId) },
+    { text: '⏱ Duration', callback_data: buildCallbackData('edit', userId, 'duration', draftId) }
+  ]);
+  keyboard.push([
+    { text: '📝 Title', callback_data: buildCallbackData('edit', userId, 'title', draftId) },
+    { text: '📍 Location', callback_data: buildCallbackData('edit', userId, 'location', draftId) }
+  ]);
+
+  return keyboard;
+}
+
+// Inline calendar for the 📆 Date edit button (the user's first day of the week leftmost, the event's day marked)
+function buildDatePickerKeyboard(userId, draftId, month, selectedDate, weekStartsOn = 1) {
+  const grid = buildMonthGrid(month, weekStartsOn);
+  const dayNames = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+  const noop = buildCallbackData('noop', userId);
+
+  const keyboard = [[
+    { text: '◀️', callback_data: buildCallbackData('pick_month', userId, grid.previous, draftId) },
+    { text: grid.title, callback_data: noop },
+    { text: '▶️', callback_data: buildCallbackData('pick_month', userId, grid.next, draftId) }
+  ]];
+  keyboard.push(dayNames.map((day, index) => ({ text: dayNames[(index + weekStartsOn) % 7], callback_data: noop })));
+
+  grid.weeks.forEach(week => {
+    keyboard.push(week.map(day => {
+      if (!day) return { text: ' ', callback_data: noop };
+      const label = String(parseInt(day.slice(8)));
+      return { text: day === selectedDate ? `•${label}•` : label, callback_data: buildCallbackData('pick_date', userId, day, draftId) };
+    }));
+  });
+
+  keyboard.push([{ text: '⬅️ Back', callback_data: buildCallbackData('edit_back', userId, null, draftId) }]);
+  return keyboard;
+}
+
+// Labels for the time grid's six-hour blocks
+const TIME_BLOCK_LABELS = { 0: 'Night', 6: 'Morning', 12: 'Afternoon', 18: 'Evening' };
+
+// Half-hour grid for the ⏰ Time edit button, one six-hour block at a time
+function buildTimePickerKeyboard(userId, draftId, block, eventDetails) {
+  const keyboard = [TIME_GRID_BLOCKS.map(start => ({
+    text: start === block ? `• ${TIME_BLOCK_LABELS[start]}` : TIME_BLOCK_LABELS[start],
+    callback_data: buildCallbackData('pick_hours', userId, start, draftId)
+  }))];
+
+  // Callback data can't contain ":", so times travel as HHMM
+  getTimeGridTimes(block).forEach((time, index) => {
+    if (index % 4 === 0) keyboard.push([]);
+    const label = format(parseISO(`2000-01-01T${time}`), 'h:mm a');
+    keyboard[keyboard.length - 1].push({
+      text: !eventDetails.allDay && time === eventDetails.startTime ? `✓ ${label}` : label,
+      callback_data: buildCallbackData('pick_time', userId, time.replace(':', ''), draftId)
+    });
+  });
+
+  keyboard.push([
+    { text: eventDetails.allDay ? '✓ All day' : 'All day', callback_data: buildCallbackData('pick_time', userId, 'allday', draftId) },
+    { text: '⬅️ Back', callback_data: buildCallbackData('edit_back', userId, null, draftId) }
+  ]);
+  return keyboard;
+}
+
+// Lengths for the ⏱ Duration edit button
+function buildDurationKeyboard(userId, draftId, eventDetails) {
+  const current = eventDetails.allDay
+    ? null
+    : differenceInMinutes(
+      parseISO(`${eventDetails.endDate || eventDetails.date}T${eventDetails.endTime}`),
+      parseISO(`${eventDetails.date}T${eventDetails.startTime}`)
+    );
+
+  const keyboard = [];
+  DURATION_OPTIONS.forEach((minutes, index) => {
+    if (index % 4 === 0) keyboard.push([]);
+    keyboard[keyboard.length - 1].push({
+      text: minutes === current ? `✓ ${formatDuration(minutes)}` : formatDuration(minutes),
+      callback_data: buildCallbackData('pick_dur', userId, minutes, draftId)
+    });
+  });
+
+  keyboard.push([{ text: '⬅️ Back', callback_data: buildCallbackData('edit_back', userId, null, draftId) }]);
+  return keyboard;
+}
+
+// Handle changing an existing event
+async function handleUpdateEvent(msg) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    // Work out which event and what should change
+    await log('DEBUG', 'Calling parse_event_update');
+    const { target, changes, ambiguities } = await parseEventUpdate(msg.text, settings.timezone);
+    await log('INFO', 'Update parsed', { target, changes });
+
+    // Find the event on the calendar
+    const { startDate, endDate } = getSearchWindow(target, settings.timezone);
+    const events = await queryCalendarEvents(startDate, endDate, 50, calendarUserId);
+    const matches = findMatchingEvents(events, target, settings.timezone);
+
+    if (matches.length === 0) {
+      await bot.sendMessage(msg.chat.id,
+        'I couldn\'t find that event on your calendar. Try mentioning its title or date.\n\n' +
+        'Example: "Move the dentist on Friday to 10am"'
+      );
+      return;
+    }
+
+    const existingEvent = matches[0];
+    const { updates, after } = resolveEventChanges(existingEvent, changes, settings.timezone);
+
+    if (Object.keys(updates).length === 0) {
+      await bot.sendMessage(msg.chat.id, 'That event already looks like that - nothing to change.');
+      return;
+    }
+
+    const notes = [...ambiguities];
+    if (matches.length > 1) {
+      notes.push(`${matches.length} events matched - picked "${existingEvent.summary}"`);
+    }
+
+    // Show before/after confirmation
+    const confirmMsg = formatEventUpdateConfirmation(existingEvent, after, settings.timezone, notes);
+    const draftId = stateStore.createId();
+
+    const sentMessage = await bot.sendMessage(msg.chat.id, confirmMsg, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Confirm', callback_data: buildCallbackData('confirm', msg.from.id, null, draftId) },
+          { text: '❌ Cancel', callback_data: buildCallbackData('cancel', msg.from.id, null, draftId) }
+        ]]
+      }
+    });
+
+    // Store update for confirmation callback
+    await pendingEvents.set(draftId, {
+      id: draftId,
+      type: 'update',
+      eventId: existingEvent.id,
+      updates: updates,
+      messageId: sentMessage.message_id,
+      chatId: msg.chat.id
+    });
+
+    await log('DEBUG', 'Awaiting user confirmation', { eventId: existingEvent.id });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to prepare event update', { error: error.message });
+    await bot.sendMessage(msg.chat.id,
+      'Sorry, I couldn\'t work out which event to change. Please try again.\n\n' +
+      'Example: "Move the dentist to Thursday at 10"'
+    );
+  }
+}
+
+// Handle a correction to the event just drafted or created ("make it 4pm", "call it Budget sync instead")
+async function handleEventCorrection(msg) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  const recent = await getRecentEvent(msg.chat.id, msg.from.id);
+
+  // Nothing recent to correct - look for the event on the calendar instead
+  if (!recent) {
+    await handleUpdateEvent(msg);
+    return;
+  }
+
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    // Re-parse with the current event as context
+    await log('DEBUG', 'Calling parse_event_details with the current event');
+    const corrected = await parseEventDetails(msg.text, settings.timezone, await getRecentEventDetails(recent), settings.defaultDuration);
+    if (msg.transcript) {
+      corrected.transcript = msg.transcript;
+    }
+    await recentEvents.set(memberKey(msg.chat.id, msg.from.id), recent);
+
+    if (recent.draftId) {
+      await correctEventDraft(msg, await eventDrafts.get(recent.draftId), corrected);
+    } else {
+      await correctCreatedEvent(msg, recent, corrected);
+    }
+
+  } catch (error) {
+    await log('ERROR', 'Failed to apply correction', { error: error.message });
+    await bot.sendMessage(msg.chat.id,
+      'Sorry, I couldn\'t apply that change. Please try again.\n\n' +
+      'Example: "Make it 4pm" or "Call it Budget sync instead"'
+    );
+  }
+}
+
+// Re-render an open confirmation card with the corrected details
+async function correctEventDraft(msg, draft, corrected) {
+  draft.eventDetails = corrected;
+  await refreshEventCard(draft, msg.from.id);
+
+  // Edits don't notify, so point at the card
+  await bot.sendMessage(msg.chat.id, '✏️ Updated the event above.', { reply_to_message_id: draft.messageId });
+  await log('INFO', 'Draft corrected', { summary: corrected.summary });
+}
+
+// Patch an event that was just created and re-render its "Event Created" message
+async function correctCreatedEvent(msg, recent, corrected) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  const updates = diffEventDetails(recent.eventDetails, corrected);
+
+  if (updates === null) {
+    await bot.sendMessage(msg.chat.id,
+      'I can only change the title, time, place or description of an event that\'s already created. ' +
+      'Please make other changes in Google Calendar.'
+    );
+    return;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    await bot.sendMessage(msg.chat.id, 'That event already looks like that - nothing to change.');
+    return;
+  }
+
+  await log('DEBUG', 'Updating calendar event', { eventId: recent.eventId, updates });
+  const event = await updateCalendarEvent(recent.eventId, updates, settings.timezone, calendarUserId);
+  recent.eventDetails = corrected;
+  await recentEvents.set(memberKey(msg.chat.id, msg.from.id), recent);
+
+  await bot.editMessageText(formatEventUpdatedMessage(event, settings.timezone), {
+    chat_id: msg.chat.id,
+    message_id: recent.messageId,
+    parse_mode: 'Markdown'
+  });
+
+  await bot.sendMessage(msg.chat.id, '✏️ Updated the event above.', { reply_to_message_id: recent.messageId });
+  await log('INFO', 'Created event corrected', { eventId: event.id, summary: event.summary });
+}
+
+// Handle deleting an event (search, pick, confirm)
+async function handleDeleteEvent(msg, text) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    // No description - offer the upcoming week
+    const reference = text
+      ? await parseEventReference(text, settings.timezone)
+      : { keywords: null, date: null, startTime: null };
+    await log('INFO', 'Delete reference parsed', { reference });
+
+    const lookaheadDays = text ? 30 : 7;
+    const { startDate, endDate } = getSearchWindow(reference, settings.timezone, lookaheadDays);
+    const events = await queryCalendarEvents(startDate, endDate, 50, calendarUserId);
+    const matches = findMatchingEvents(events, reference, settings.timezone);
+
+    if (matches.length === 0) {
+      await bot.sendMessage(msg.chat.id,
+        'I couldn\'t find that event on your calendar. Try mentioning its title or date.\n\n' +
+        'Example: "Cancel my lunch with Sarah on Friday"'
+      );
+      return;
+    }
+
+    const candidates = matches.slice(0, MAX_DELETE_CHOICES);
+    const draftId = stateStore.createId();
+
+    if (candidates.length === 1) {
+      const sentMessage = await bot.sendMessage(msg.chat.id, formatEventDeleteConfirmation(candidates[0], settings.timezone), {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: buildDeleteKeyboard(candidates[0], msg.from.id, draftId) }
+      });
+
+      await pendingEvents.set(draftId, {
+        id: draftId,
+        type: 'delete',
+        candidates: candidates,
+        selected: candidates[0],
+        messageId: sentMessage.message_id,
+        chatId: msg.chat.id
+      });
+    } else {
+      // Several matches - let the user pick one
+      const keyboard = candidates.map((event, index) => [
+        { text: formatEventButtonLabel(event, settings.timezone), callback_data: buildCallbackData('del_pick', msg.from.id, index, draftId) }
+      ]);
+      keyboard.push([{ text: '❌ Cancel', callback_data: buildCallbackData('cancel', msg.from.id, null, draftId) }]);
+
+      const sentMessage = await bot.sendMessage(msg.chat.id, '🗑 *Which event should I delete?*', {
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+
+      await pendingEvents.set(draftId, {
+        id: draftId,
+        type: 'delete',
+        candidates: candidates,
+        selected: null,
+        messageId: sentMessage.message_id,
+        chatId: msg.chat.id
+      });
+    }
+
+    await log('DEBUG', 'Awaiting delete selection', { matches: matches.length });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to prepare event deletion', { error: error.message });
+    await bot.sendMessage(msg.chat.id,
+      'Sorry, I couldn\'t work out which event to delete. Please try again.\n\n' +
+      'Example: "Cancel my lunch with Sarah on Friday"'
+    );
+  }
+}
+
+// Delete buttons - repeating events ask for scope instead of a plain confirm
+function buildDeleteKeyboard(event, userId, draftId) {
+  if (event.recurringEventId) {
+    return [
+      [
+        { text: '🗑 Only this one', callback_data: buildCallbackData('del_one', userId, null, draftId) },
+        { text: '🔁 Whole series', callback_data: buildCallbackData('del_series', userId, null, draftId) }
+      ],
+      [{ text: '❌ Keep it', callback_data: buildCallbackData('cancel', userId, null, draftId) }]
+    ];
+  }
+
+  return [[
+    { text: '🗑 Delete', callback_data: buildCallbackData('del_one', userId, null, draftId) },
+    { text: '❌ Keep it', callback_data: buildCallbackData('cancel', userId, null, draftId) }
+  ]];
+}
+
+// Handle "when am I free?" - list open slots with booking buttons
+async function handleFreeTime(msg, text) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    const durationMinutes = parseDuration(text);
+    const { startDate, endDate, description } = await parseTimeRange(text, settings.timezone, settings.weekStartsOn);
+    await log('DEBUG', 'Finding free slots', { startDate, endDate, durationMinutes });
+
+    const slots = (await findFreeSlots(startDate, endDate, { timezone: settings.timezone, durationMinutes, userId: calendarUserId }))
+      .slice(0, MAX_FREE_SLOTS);
+
+    const message = formatFreeSlotsMessage(slots, description, settings.timezone, durationMinutes);
+    const draftId = stateStore.createId();
+    const keyboard = slots.map((slot, index) => [
+      { text: formatSlotButtonLabel(slot, settings.timezone), callback_data: buildCallbackData('slot_pick', msg.from.id, index, draftId) }
+    ]);
+
+    const sentMessage = await bot.sendMessage(msg.chat.id, message, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: keyboard }
+    });
+
+    if (slots.length > 0) {
+      await pendingEvents.set(draftId, {
+        id: draftId,
+        type: 'slots',
+        slots: slots,
+        durationMinutes: durationMinutes,
+        messageId: sentMessage.message_id,
+        chatId: msg.chat.id
+      });
+    }
+
+    await log('INFO', 'Free slots displayed', { count: slots.length, description });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to find free time', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t check your free time right now. Please try again.');
+  }
+}
+
+// Handle the title reply for an event booked from a free slot
+async function handleSlotTitle(msg, prompt) {
+  const eventDetails = {
+    ...prompt.eventDetails,
+    summary: msg.text.trim()
+  };
+
+  await log('INFO', 'Free slot titled', { summary: eventDetails.summary });
+  await replyPrompts.delete(`${prompt.chatId}:${prompt.promptMessageId}`);
+  await showEventConfirmation(msg.chat.id, msg.from.id, eventDetails);
+}
+
+// Handle full-text event search
+async function handleEventSearch(msg, searchText) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    await log('DEBUG', 'Searching calendar events', { searchText });
+    const results = await searchCalendarEvents(searchText, { userId: calendarUserId });
+
+    const message = formatSearchResultsMessage(searchText, results, 5, settings.timezone);
+    await bot.sendMessage(msg.chat.id, message, { parse_mode: 'Markdown', disable_web_page_preview: true });
+
+    await log('INFO', 'Search results displayed', {
+      searchText,
+      upcoming: results.upcoming.length,
+      past: results.past.length
+    });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to search events', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t search your calendar right now. Please try again.');
+  }
+}
+
+// Handle event query for a day/week range (with day/week navigation)
+async function handleEventQuery(msg, listing) {
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    // Query, format and send the first page
+    await log('DEBUG', 'Querying calendar events', { timeDescription: listing.description });
+    await sendEventListing(msg.chat.id, msg.from.id, listing);
+
+  } catch (error) {
+    await log('ERROR', 'Failed to query events', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t retrieve your events right now. Please try again.');
+  }
+}
+
+// Send (or edit in place) one page of an event listing with ◀️/▶️ and day/week navigation
+async function sendEventListing(chatId, userId, listing, page = 0, messageId = null) {
+  const calendarUserId = getCalendarUserId(chatId, userId);
+  const settings = await getUserSettings(calendarUserId);
+  listing.pageTokens = listing.pageTokens || [null];
+
+  const { events, nextPageToken } = await queryCalendarEventsPage(listing.startDate, listing.endDate, {
+    pageSize: EVENTS_PAGE_SIZE,
+    pageToken: listing.pageTokens[page],
+    userId: calendarUserId
+  });
+
+  if (nextPageToken) {
+    listing.pageTokens[page + 1] = nextPageToken;
+  }
+
+  const message = formatEventsMessage(events, listing.description, { page, hasMore: !!nextPageToken }, settings.timezone);
+  const keyboard = buildListingKeyboard(listing, userId, page, !!nextPageToken);
+  const options = {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: { inline_keyboard: keyboard }
+  };
+
+  if (messageId) {
+    await bot.editMessageText(message, { ...options, chat_id: chatId, message_id: messageId });
+  } else {
+    const sentMessage = await bot.sendMessage(chatId, message, options);
+    messageId = sentMessage.message_id;
+  }
+
+  // Remember the listing for paging
+  await eventListings.set(`${chatId}:${messageId}`, listing);
+
+  await log('INFO', 'Events displayed', { count: events.length, description: listing.description, page });
+}
+
+function buildListingKeyboard(listing, userId, page, hasMore) {
+  const keyboard = [];
+
+  const pageRow = [];
+  if (page > 0) {
+    pageRow.push({ text: '◀️ Previous', callback_data: buildCallbackData('page', userId, page - 1) });
+  }
+  if (hasMore) {
+    pageRow.push({ text: 'Next ▶️', callback_data: buildCallbackData('page', userId, page + 1) });
+  }
+  if (pageRow.length > 0) {
+    keyboard.push(pageRow);
+  }
+
+  if (listing.nav && listing.nav.kind === 'day') {
+    const day = parseISO(listing.nav.date);
+    keyboard.push([
+      { text: '⬅️ Previous day', callback_data: buildCallbackData('day', userId, format(addDays(day, -1), 'yyyy-MM-dd')) },
+      { text: 'Next day ➡️', callback_data: buildCallbackData('day', userId, format(addDays(day, 1), 'yyyy-MM-dd')) }
+    ]);
+  } else if (listing.nav && listing.nav.kind === 'week') {
+    const weekStart = parseISO(listing.nav.date);
+    keyboard.push([
+      { text: '⬅️ Previous week', callback_data: buildCallbackData('week', userId, format(addDays(weekStart, -7), 'yyyy-MM-dd')) },
+      { text: 'Next week ➡️', callback_data: buildCallbackData('week', userId, format(addDays(weekStart, 7), 'yyyy-MM-dd')) }
+    ]);
+  }
+
+  return keyboard;
+}
+
+// Handle natural language event query
+async function handleEventQueryNatural(msg, timeExpression) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  try {
+    await bot.sendChatAction(msg.chat.id, 'typing');
+
+    // Parse time range
+    await log('DEBUG', 'Parsing time range', { expression: timeExpression });
+    const { startDate, endDate, description } = await parseTimeRange(timeExpression, settings.timezone, settings.weekStartsOn);
+
+    // Query, format and send the first page
+    await sendEventListing(msg.chat.id, msg.from.id, { startDate, endDate, description, nav: null });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to handle query', { error: error.message });
+    await bot.sendMessage(msg.chat.id, 'Sorry, I couldn\'t retrieve your events. Please try again.');
+  }
+}
+
+// Export: "/export next month" (.ics) or "/export March csv"
+async function handleExportCommand(msg, args) {
+  const calendarUserId = getCalendarUserId(msg.chat.id, msg.from.id);
+  const settings = await getUserSettings(calendarUserId);
+  const chatId = msg.chat.id;
+  const fileFormat = /\bcsv\b/i.test(args) ? 'csv' : 'ics';
+  const timeExpression = args
+    .replace(/\b(?:as|in|to)?\s*(?:an?\s+)?(?:csv|ics|ical|icalendar)\b(?:\s+(?:file|format))?/gi, '')
+    .trim();
+
+  if (!timeExpression) {
+    await bot.sendMessage(chatId, 'Which events should I export? Example: /export next month, or /export March csv');
+    return;
+  }
+
+  try {
+    await bot.sendChatAction(chatId, 'upload_document');
+
+    const { startDate, endDate, description } = await parseTimeRange(timeExpression, settings.timezone, settings.weekStartsOn);
+    const exported = await exportCalendarEvents(startDate, endDate, { format: fileFormat, timezone: settings.timezone, userId: calendarUserId });
+
+    if (exported.eventCount === 0) {
+      await bot.sendMessage(chatId, `📅 No events in ${description} - nothing to export.`);
+      return;
+    }
+
+    const fileName = `calendar-${description.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export'}.${exported.extension}`;
+    let caption = `📤 ${exported.eventCount} event${exported.eventCount === 1 ? '' : 's'} in ${description}`;
+    if (fileFormat === 'csv') {
+      caption += ` (times in ${settings.timezone})`;
+    }
+    if (exported.truncated) {
+      caption += `\n⚠️ Only the first ${MAX_EXPORT_EVENTS} events - export a shorter range for the rest.`;
+    }
+
+    await bot.sendDocument(chatId, Buffer.from(exported.content, 'utf8'), { caption: caption }, {
+      filename: fileName,
+      contentType: exported.mimeType
+    });
+
+    await log('INFO', 'Events exported', { format: fileFormat, range: description, count: exported.eventCount });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to export events', { error: error.message });
+    await bot.sendMessage(chatId, 'Sorry, I couldn\'t export your events. Please try again.');
+  }
+}
+
+// Reminders: "/reminders on|off" or "/reminders <minutes>"
+async function handleRemindersCommand(msg, args) {
+  const chatId = msg.chat.id;
+  const value = args.trim().toLowerCase();
+
+  try {
+    const states = await getReminderStates();
+    const state = getUserReminderState(states, msg.from.id);
+
+    if (value === 'on' || value === 'off') {
+      state.enabled = value === 'on';
+    } else if (/^\d+\s*(m|min|mins|minutes?)?$/.test(value)) {
+      const minutes = parseInt(value);
+
+      if (minutes > MAX_REMINDER_MINUTES) {
+        await bot.sendMessage(chatId, `Reminders can be at most ${MAX_REMINDER_MINUTES} minutes (a day) before.`);
+        return;
+      }
+
+      state.minutesBefore = minutes;
+      state.enabled = true;
+    } else if (value) {
+      await bot.sendMessage(chatId, 'I didn\'t understand that. Try /reminders 15, /reminders on or /reminders off');
+      return;
+    }
+
+    if (value) {
+      state.chatId = chatId;
+      await saveReminderState(states);
+      await log('INFO', 'Reminder settings saved', { userId: msg.from.id, enabled: state.enabled, minutesBefore: state.minutesBefore });
+    }
+
+    let message = `🔔 *Reminders: ${state.enabled ? 'on' : 'off'}*\n\n`;
+    message += state.minutesBefore
+      ? `I'll message you ${formatDuration(state.minutesBefore)} before each event.\n`
+      : 'Only for events where you asked for a reminder.\n';
+    message += '_Say "remind me 30 min before" when creating an event to change it for that event._\n\n';
+    message += '_/reminders 15, /reminders 0, /reminders off_';
+
+    await bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to update reminder settings', { error: error.message });
+    await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t update the reminder settings. Please try again.');
+  }
+}
+
+// Everyone whose calendar the bot can reach: connected users, plus the first admin (who may be on token.json).
+// With no admins set everyone shares token.json, so it's whoever has saved reminder or digest settings
+async function getLinkedUserIds() {
+  if (ADMIN_USER_IDS.length === 0) {
+    const userIds = [...Object.keys(await getReminderStates()), ...Object.keys(await loadDigestSettings())];
+    return [...new Set(userIds)].map(Number);
+  }
+
+  const userIds = (await listUsers()).filter(user => user.connected).map(user => user.id);
+  if (ADMIN_USER_IDS.length > 0 && !userIds.includes(ADMIN_USER_IDS[0])) {
+    userIds.push(ADMIN_USER_IDS[0]);
+  }
+  return userIds;
+}
+
+// Reminder poller: sends Telegram reminders before events, in both polling and webhook mode
+let reminderStates = null; // Every user's state, loaded once so the poller and snooze buttons share one copy
+let reminderCheckRunning = false;
+
+async function getReminderStates() {
+  if (!reminderStates) {
+    reminderStates = await loadReminderState();
+  }
+  return reminderStates;
+}
+
+async function runReminderCheck() {
+  // Skip if the previous check is still running
+  if (reminderCheckRunning) return;
+  reminderCheckRunning = true;
+
+  try {
+    const states = await getReminderStates();
+
+    // Reminders are off until the user turns them on - each linked user gets their own, in their own chat
+    for (const userId of await getLinkedUserIds()) {
+      try {
+        await sendDueReminders(userId, getUserReminderState(states, userId));
+      } catch (error) {
+        await log('ERROR', 'Reminder check failed', { userId, error: error.message });
+      }
+    }
+  } catch (error) {
+    await log('ERROR', 'Reminder check failed', { error: error.message });
+  } finally {
+    reminderCheckRunning = false;
+  }
+}
+
+async function sendDueReminders(userId, state) {
+  const chatId = state.chatId || userId;
+  if (!state.enabled) return;
+
+  const { timezone } = await getUserSettings(userId);
+
+  const now = new Date();
+  const lookahead = new Date(now.getTime() + MAX_REMINDER_MINUTES * 60 * 1000);
+  const events = await queryCalendarEvents(now.toISOString(), lookahead.toISOString(), 50, userId);
+
+  const due = collectDueReminders(state, events, now);
+  if (due.length === 0) return;
+
+  // Save first - a crash mid-send should miss a reminder, not repeat it after restart
+  pruneReminders(state, now);
+  await saveReminderState(await getReminderStates());
+
+  for (const reminder of due) {
+    try {
+      await bot.sendMessage(chatId, formatReminderMessage(reminder, now, timezone), {
+        parse_mode: 'Markdown',
+        reply_markup: buildReminderKeyboard(reminder, userId)
+      });
+      await log('INFO', 'Reminder sent', { userId, eventId: reminder.eventId, summary: reminder.summary });
+    } catch (error) {
+      await log('ERROR', 'Failed to send reminder', { userId, eventId: reminder.eventId, error: error.message });
+    }
+  }
+}
+
+function buildReminderKeyboard(reminder, userId, snoozed = false) {
+  const buttons = [];
+
+  if (!snoozed) {
+    buttons.push({ text: `💤 Snooze ${SNOOZE_MINUTES} min`, callback_data: buildCallbackData('snooze', userId, reminder.id) });
+  }
+  if (reminder.htmlLink) {
+    buttons.push({ text: '📅 Open in Calendar', url: reminder.htmlLink });
+  }
+
+  return { inline_keyboard: [buttons] };
+}
+
+function startReminderPoller() {
+  setInterval(runReminderCheck, REMINDER_CHECK_INTERVAL_MS);
+  runReminderCheck();
+}
+
+// Digest: "/digest on|off" or "/digest morning|evening <time>|off"
+async function handleDigestCommand(msg, args) {
+  const chatId = msg.chat.id;
+  const [first, second] = args.trim().toLowerCase().split(/\s+/);
+
+  try {
+    const settingsByUser = await loadDigestSettings();
+    const settings = getUserDigestSettings(settingsByUser, msg.from.id);
+
+    if (first === 'on' || first === 'off') {
+      settings.enabled = first === 'on';
+      settings.chatId = chatId;
+    } else if (first === 'morning' || first === 'evening') {
+      const time = second === 'off' ? null : parseDigestTime(args.trim().split(/\s+/).slice(1).join(' '));
+
+      if (second !== 'off' && !time) {
+        await bot.sendMessage(chatId, `Please give a time like 7:30 or 9pm. Example: /digest ${first} 7:30`);
+        return;
+      }
+
+      settings[first] = time;
+      settings.enabled = true;
+      settings.chatId = chatId;
+    } else if (first) {
+      await bot.sendMessage(chatId, 'I didn\'t understand that. Try /digest on, /digest off or /digest morning 7:30');
+      return;
+    }
+
+    if (first) {
+      await saveDigestSettings(settingsByUser);
+      await log('INFO', 'Digest settings saved', { userId: msg.from.id, enabled: settings.enabled, morning: settings.morning, evening: settings.evening });
+    }
+
+    const { timezone } = await getUserSettings(msg.from.id);
+    await bot.sendMessage(chatId, formatDigestSettings(settings, timezone), { parse_mode: 'Markdown' });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to update digest settings', { error: error.message });
+    await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t update the digest settings. Please try again.');
+  }
+}
+
+// Digest scheduler: runs in both polling and webhook mode
+let digestCheckRunning = false;
+
+async function runDueDigests() {
+  // Skip if the previous check is still sending
+  if (digestCheckRunning) return;
+  digestCheckRunning = true;
+
+  try {
+    const settingsByUser = await loadDigestSettings();
+
+    // Each linked user who turned the digest on gets it from their own calendar, on their own clock
+    for (const userId of await getLinkedUserIds()) {
+      const settings = settingsByUser[userId];
+      if (!settings) continue;
+
+      const { timezone } = await getUserSettings(userId);
+      const dueKinds = getDueDigests(settings, new Date(), timezone);
+
+      for (const kind of dueKinds) {
+        // Record the send first - a crash mid-send should miss a digest, not repeat it after restart
+        settings.lastSent[kind] = formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd');
+        await saveDigestSettings(settingsByUser);
+
+        try {
+          const message = await buildDigestMessage(kind, timezone, userId);
+          await bot.sendMessage(settings.chatId, message, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true
+          });
+          await log('INFO', 'Digest sent', { userId, kind, chatId: settings.chatId });
+        } catch (error) {
+          await log('ERROR', 'Failed to send digest', { userId, kind, error: error.message });
+        }
+      }
+    }
+  } catch (error) {
+    await log('ERROR', 'Digest check failed', { error: error.message });
+  } finally {
+    digestCheckRunning = false;
+  }
+}
+
+function startDigestScheduler() {
+  setInterval(runDueDigests, DIGEST_CHECK_INTERVAL_MS);
+  runDueDigests();
+}
+
+// Tell someone their Google sign-in has stopped working (or soon will), with a button to sign in again
+async function sendAuthAlert(userId, kind, expiresAt = null) {
+  const key = `${userId}:${kind}`;
+  if (await authAlerts.get(key)) return;
+
+  let text;
+  if (kind === 'expired') {
+    text = '⚠️ *Google sign-in expired*\n\n' +
+      'Google stopped accepting my sign-in to your calendar, so I can\'t read or add events until you sign in again.';
+  } else {
+    const { timezone } = await getUserSettings(userId);
+    text = '⏳ *Google sign-in expiring*\n\n' +
+      `My sign-in to your calendar runs out ${formatInTimeZone(expiresAt, timezone, "EEE, MMM d 'at' h:mm a")}. ` +
+      'Sign in again before then to keep things working.\n\n' +
+      '_Google limits sign-ins to 7 days while the app is in testing - publishing it in Google Cloud Console stops this._';
+  }
+
+  try {
+    await bot.sendMessage(userId, text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: [[{ text: '🔐 Sign in again', callback_data: buildCallbackData('reauth', userId) }]] }
+    });
+    await authAlerts.set(key, { sentAt: new Date().toISOString() });
+    await log('INFO', 'Google sign-in alert sent', { userId, kind });
+  } catch (error) {
+    await log('ERROR', 'Failed to send Google sign-in alert', { userId, kind, error: error.message });
+  }
+}
+
+// Test-refresh every saved Google sign-in, warning its owner before it runs out or once it has stopped working
+async function runAuthHealthCheck() {
+  try {
+    for (const userId of await getLinkedUserIds()) {
+      const health = await checkTokenHealth(userId);
+      if (!health) continue;
+
+      if (health.revoked) {
+        await sendAuthAlert(userId, 'expired');
+      } else if (!health.ok) {
+        // Network trouble or a Google outage - the next check will tell
+        await log('WARN', 'Google sign-in check failed', { userId, error: health.error });
+      } else if (health.expiresAt && health.expiresAt - Date.now() < AUTH_EXPIRY_WARNING_MS) {
+        await sendAuthAlert(userId, 'expiring', health.expiresAt);
+      }
+    }
+  } catch (error) {
+    await log('ERROR', 'Google sign-in health check failed', { error: error.message });
+  }
+}
+
+function startAuthHealthChecker() {
+  // Revoked sign-ins found while handling a message are reported straight away
+  onAuthFailure((userId, error) => {
+    log('WARN', 'Google refused to refresh a sign-in', { userId, error: error.message });
+    return userId ? sendAuthAlert(userId, 'expired') : null;
+  });
+
+  setInterval(runAuthHealthCheck, AUTH_CHECK_INTERVAL_MS);
+  runAuthHealthCheck();
+}
+
+// The bot is invite-only - tell strangers how to get in
+async function sendUnauthorizedMessage(msg) {
+  if (isGroupChat(msg.chat)) {
+    await bot.sendMessage(msg.chat.id, '🔗 This group isn\'t linked to a calendar yet. An admin can send /group link here.');
+    return;
+  }
+
+  await bot.sendMessage(msg.chat.id,
+    'Sorry, this bot is invite-only. Ask the owner for an invite link, ' +
+    `or send them your user ID: ${msg.from.id}`
+  );
+}
+
+// Name shown in /users ("Anna Smith", or @username)
+function formatUserName(user) {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return name || (user.username ? `@${user.username}` : null);
+}
+
+// /connect: send a Google sign-in link; the OAuth callback on the web server finishes the job
+async function handleConnectCommand(msg) {
+  try {
+    const link = await createAuthLink(msg.from.id, OAUTH_REDIRECT_URI, { chatId: msg.chat.id });
+
+    await bot.sendMessage(msg.chat.id,
+      '🔗 Tap below to sign in with Google and let me manage your calendar.\n\n' +
+      'The link works for 10 minutes.',
+      { reply_markup: { inline_keyboard: [[{ text: '🔐 Connect Google Calendar', url: link }]] } }
+    );
+  } catch (error) {
+    await log('ERROR', 'Failed to create sign-in link', { error: error.message });
+    await bot.sendMessage(msg.chat.id, '❌ Sorry, I couldn\'t create a sign-in link. Please try again later.');
+  }
+}
+
+// "🔐 Sign in again" on a sign-in alert - a fresh link, since one sent with the alert could expire before it's seen
+async function handleReauthButton(query) {
+  await handleConnectCommand({ from: query.from, chat: query.message.chat });
+}
+
+// Admin user management: "/users", "/users invite", "/users allow <id>", "/users remove <id>"
+async function handleUsersCommand(msg, args) {
+  const chatId = msg.chat.id;
+  const [subcommand, value] = args.trim().toLowerCase().split(/\s+/);
+  const targetId = parseInt(value);
+
+  try {
+    if (subcommand === 'invite') {
+      const { code } = await createInvite(msg.from.id);
+      const me = await getBotUser();
+
+      await bot.sendMessage(chatId,
+        `🎟 Send this link to the person you want to invite (works once, for ${INVITE_TTL_DAYS} days):\n\n` +
+        `https://t.me/${me.username}?start=${code}`
+      );
+      return;
+    }
+
+    if (subcommand === 'allow' || subcommand === 'remove') {
+      if (Number.isNaN(targetId)) {
+        await bot.sendMessage(chatId, `Please give a Telegram user ID. Example: /users ${subcommand} 123456789`);
+        return;
+      }
+
+      if (subcommand === 'remove' && ADMIN_USER_IDS.includes(targetId)) {
+        await bot.sendMessage(chatId, 'Admins are set in TELEGRAM_ADMIN_USER_IDS and can\'t be removed here.');
+        return;
+      }
+
+      const changed = subcommand === 'allow'
+        ? await allowUser(targetId, msg.from.id)
+        : await removeUser(targetId);
+      await log('INFO', `User ${subcommand === 'allow' ? 'allowed' : 'removed'}`, { adminId: msg.from.id, targetId });
+
+      const messages = {
+        allow: changed ? `✅ ${targetId} can use the bot now. They should send /start, then /connect.` : `${targetId} can already use the bot.`,
+        remove: changed ? `🚫 ${targetId} can no longer use the bot.` : `${targetId} wasn't on the list.`
+      };
+      await bot.sendMessage(chatId, messages[subcommand]);
+      return;
+    }
+
+    if (subcommand) {
+      await bot.sendMessage(chatId, 'I didn\'t understand that. Try /users, /users invite, /users allow <id> or /users remove <id>');
+      return;
+    }
+
+    await bot.sendMessage(chatId, formatUserList(await listUsers(), await listGroups()), { parse_mode: 'Markdown' });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to manage users', { error: error.message });
+    await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t update the user list. Please try again.');
+  }
+}
+
+// Group chats: "/group" shows the link, "/group link" and "/group unlink" (admins) bind the group to the admin's calendar
+async function handleGroupCommand(msg, args) {
+  const chatId = msg.chat.id;
+  const subcommand = args.trim().toLowerCase();
+
+  if (!isGroupChat(msg.chat)) {
+    await bot.sendMessage(chatId, 'Add me to a group, then send /group link there to share your calendar with it.');
+    return;
+  }
+
+  try {
+    const group = getLinkedGroup(chatId);
+
+    if (!subcommand) {
+      if (!group) {
+        await bot.sendMessage(chatId, '🔗 This group isn\'t linked to a calendar yet. An admin can send /group link here.');
+        return;
+      }
+
+      const { calendarName, calendarId, timezone } = await getUserSettings(group.ownerId);
+      await bot.sendMessage(chatId,
+        `📅 This group uses the ${calendarName || (calendarId === 'primary' ? 'primary' : calendarId)} calendar (${timezone.replace(/_/g, ' ')}).\n\n` +
+        `Mention me or reply to my messages to add events - the person who asked (or an admin) confirms them. ` +
+        `/today and /week show the schedule to everyone.`
+      );
+      return;
+    }
+
+    if (subcommand !== 'link' && subcommand !== 'unlink') {
+      await bot.sendMessage(chatId, 'I didn\'t understand that. Try /group, /group link or /group unlink');
+      return;
+    }
+
+    if (!isAdmin(msg.from.id)) {
+      await bot.sendMessage(chatId, 'Only an admin can link or unlink this group.');
+      return;
+    }
+
+    if (subcommand === 'unlink') {
+      const unlinked = await unlinkGroup(chatId);
+      await log('INFO', 'Group unlinked', { adminId: msg.from.id, chatId });
+      await bot.sendMessage(chatId, unlinked ? '👋 This group is no longer linked to a calendar.' : 'This group wasn\'t linked.');
+      return;
+    }
+
+    if (!(await isCalendarConnected(msg.from.id))) {
+      await bot.sendMessage(chatId, '🔗 Connect your Google Calendar first - send /connect to me in a private chat.');
+      return;
+    }
+
+    // The group uses the admin's Google account and /settings (calendar, timezone, default length)
+    await linkGroup(chatId, msg.from.id, msg.chat.title || null);
+    await log('INFO', 'Group linked', { adminId: msg.from.id, chatId });
+
+    const { calendarName, calendarId } = await getUserSettings(msg.from.id);
+    const me = await getBotUser();
+    await bot.sendMessage(chatId,
+      `✅ This group now shares the ${calendarName || (calendarId === 'primary' ? 'primary' : calendarId)} calendar ` +
+      `(change it in /settings, in our private chat).\n\n` +
+      `Everyone here can mention me (@${me.username}) or reply to my messages to add events. ` +
+      `Only the person who asked (or an admin) can confirm them, and I'll note who asked on the event.`
+    );
+
+  } catch (error) {
+    await log('ERROR', 'Failed to manage group link', { error: error.message });
+    await bot.sendMessage(chatId, '❌ Sorry, I couldn\'t update this group. Please try again.');
+  }
+}
+
+// /settings main menu: one button per setting
+function buildSettingsKeyboard(userId) {
+  return [
+    [
+      { text: '🌍 Timezone', callback_data: buildCallbackData('settings', userId, 'timezone') },
+      { text: '⏱ Default length', callback_data: buildCallbackData('settings', userId, 'duration') }
+    ],
+    [
+      { text: '📅 Week start', callback_data: buildCallbackData('settings', userId, 'week') },
+      { text: '🗓 Calendar', callback_data: buildCallbackData('settings', userId, 'calendar') }
+    ]
+  ];
+}
+
+// Choices for one setting, the current value marked (calendars come from Google, in the same order as handleCalendarPick sees them)
+async function buildSettingChoicesKeyboard(userId, setting, settings) {
+  const back = [{ text: '⬅️ Back', callback_data: buildCallbackData('settings', userId, 'main') }];
+  const mark = (label, selected) => selected ? `✓ ${label}` : label;
+  const keyboard = [];
+
+  if (setting === 'timezone') {
+    TIMEZONE_OPTIONS.forEach((timezone, index) => {
+      if (index % 2 === 0) keyboard.push([]);
+      keyboard[keyboard.length - 1].push({
+        text: mark(timezone.split('/').pop().replace(/_/g, ' '), timezone === settings.timezone),
+        callback_data: buildCallbackData('set_tz', userId, index)
+      });
+    });
+    keyboard.push([{ text: '⌨️ Other...', callback_data: buildCallbackData('set_tz', userId, 'other') }]);
+  } else if (setting === 'duration') {
+    DEFAULT_DURATION_OPTIONS.forEach((minutes, index) => {
+      if (index % 3 === 0) keyboard.push([]);
+      keyboard[keyboard.length - 1].push({
+        text: mark(formatDuration(minutes), minutes === settings.defaultDuration),
+        callback_data: buildCallbackData('set_dur', userId, minutes)
+      });
+    });
+  } else if (setting === 'week') {
+    keyboard.push(Object.entries(WEEK_START_OPTIONS).map(([day, name]) => ({
+      text: mark(name, parseInt(day) === settings.weekStartsOn),
+      callback_data: buildCallbackData('set_week', userId, day)
+    })));
+  } else if (setting === 'calendar') {
+    const calendars = await listCalendars(userId);
+    calendars.forEach((calendar, index) => {
+      const selected = settings.calendarId === calendar.id || (calendar.primary && settings.calendarId === 'primary');
+      keyboard.push([{ text: mark(calendar.summary, selected), callback_data: buildCallbackData('set_cal', userId, index) }]);
+    });
+  }
+
+  keyboard.push(back);
+  return keyboard;
+}
+
+// Show the settings summary (or one setting's choices) in place of the current menu
+async function showSettingsMenu(query, setting = 'main', notice = '') {
+  const userId = query.from.id;
+  const settings = await getUserSettings(userId);
+  const keyboard = setting === 'main'
+    ? buildSettingsKeyboard(userId)
+    : await buildSettingChoicesKeyboard(userId, setting, settings);
+
+  await bot.editMessageText(`${notice}${formatSettingsMessage(settings)}`, {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+}
+
+// Handle 🌍/⏱/📅/🗓 and ⬅️ Back in /settings
+async function handleSettingsMenu(query, setting) {
+  try {
+    await showSettingsMenu(query, setting || 'main');
+  } catch (error) {
+    await log('ERROR', 'Failed to show settings', { error: error.message });
+    await bot.sendMessage(query.message.chat.id, `❌ ${error.message}`);
+  }
+}
+
+// Save a setting picked from a menu and go back to the summary
+async function handleSettingPick(query, changes) {
+  if (Object.values(changes).some(value => Number.isNaN(value))) return;
+
+  await updateUserSettings(query.from.id, changes);
+  await log('INFO', 'Settings changed', { userId: query.from.id, ...changes });
+  await showSettingsMenu(query, 'main', '✅ Saved.\n\n');
+}
+
+// Handle a timezone button - "Other..." asks for any IANA name instead
+async function handleTimezonePick(query, arg) {
+  if (arg !== 'other') {
+    const timezone = TIMEZONE_OPTIONS[parseInt(arg)];
+    if (timezone) await handleSettingPick(query, { timezone });
+    return;
+  }
+
+  const prompt = await bot.sendMessage(query.message.chat.id,
+    '🌍 Which timezone? Send its name, like "Europe/Paris" or "America/Toronto".',
+    { reply_markup: { force_reply: true, input_field_placeholder: 'Region/City' } }
+  );
+
+  await replyPrompts.set(`${query.message.chat.id}:${prompt.message_id}`, {
+    type: 'settings_timezone',
+    userId: query.from.id,
+    promptMessageId: prompt.message_id,
+    chatId: query.message.chat.id,
+    messageId: query.message.message_id
+  });
+}
+
+// Handle the reply to "Which timezone?"
+async function handleTimezoneReply(msg, prompt) {
+  const timezone = msg.text.trim().replace(/\s+/g, '_');
+
+  if (!timezone.includes('/') || !isValidTimezone(timezone)) {
+    await bot.sendMessage(msg.chat.id, `Sorry, I don't know the timezone "${msg.text.trim()}". Try a name like Europe/Paris, or tap 🌍 Timezone again.`);
+    return;
+  }
+
+  await replyPrompts.delete(`${prompt.chatId}:${prompt.promptMessageId}`);
+  const settings = await updateUserSettings(msg.from.id, { timezone });
+  await log('INFO', 'Settings changed', { userId: msg.from.id, timezone });
+
+  await bot.editMessageText(`✅ Saved.\n\n${formatSettingsMessage(settings)}`, {
+    chat_id: prompt.chatId,
+    message_id: prompt.messageId,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildSettingsKeyboard(msg.from.id) }
+  });
+}
+
+// Handle a calendar button (calendar IDs are too long for callback data, so the list is fetched again)
+async function handleCalendarPick(query, arg) {
+  try {
+    const calendars = await listCalendars(query.from.id);
+    const calendar = calendars[parseInt(arg)];
+
+    if (!calendar) {
+      await showSettingsMenu(query, 'calendar', 'That calendar is gone - pick another one.\n\n');
+      return;
+    }
+
+    await handleSettingPick(query, {
+      calendarId: calendar.primary ? 'primary' : calendar.id,
+      calendarName: calendar.summary
+    });
+  } catch (error) {
+    await log('ERROR', 'Failed to change calendar', { error: error.message });
+    await bot.sendMessage(query.message.chat.id, `❌ ${error.message}`);
+  }
+}
+
+// Google redirects here after /connect - save the token and tell the user in Telegram
+async function handleOAuthCallback(req, res) {
+  try {
+    if (req.query.error) {
+      throw new Error(`Google returned "${req.query.error}"`);
+    }
+
+    const { userId, context } = await completeAuthorization(req.query.code, req.query.state);
+    await log('INFO', 'Google Calendar connected', { userId });
+
+    // A new sign-in - alerts about the old one no longer apply
+    await authAlerts.delete(`${userId}:expired`);
+    await authAlerts.delete(`${userId}:expiring`);
+
+    await bot.sendMessage(context.chatId || userId, '✅ Google Calendar connected! Try /today or tell me about an event.');
+    res.send('<h1>✅ Google Calendar connected</h1><p>You can close this window and go back to Telegram.</p>');
+
+  } catch (error) {
+    await log('ERROR', 'Google sign-in failed', { error: error.message });
+    res.status(400).send('<h1>❌ Sign-in failed</h1><p>Send /connect in Telegram to try again.</p>');
+  }
+}
+
+// Callback actions (first part of the callback data)
+const CALLBACK_HANDLERS = {
+  confirm: handleEventConfirm,
+  cancel: handleEventCancel,
+  next_slot: handleNextFreeSlot,
+  slot_pick: handleSlotPick,
+  page: handleListingPage,
+  day: handleListingDay,
+  week: handleListingWeek,
+  del_pick: handleDeletePick,
+  del_one: (query) => handleDeleteConfirm(query, false),
+  del_series: (query) => handleDeleteConfirm(query, true),
+  import: handleImportConfirm,
+  snooze: handleReminderSnooze,
+  intent: handleIntentPick,
+  clarify: handleClarifyPick,
+  edit: handleEditField,
+  pick_month: handleDatePickerMonth,
+  pick_hours: handleTimePickerBlock,
+  pick_date: (query, arg) => handleDraftEdit(query, 'date', arg),
+  pick_time: (query, arg) => handleDraftEdit(query, 'time', arg === 'allday' ? arg : `${(arg || '').slice(0, 2)}:${(arg || '').slice(2)}`),
+  pick_dur: (query, arg) => handleDraftEdit(query, 'duration', arg),
+  edit_back: (query) => handleDraftEdit(query, null),
+  settings: handleSettingsMenu,
+  set_tz: handleTimezonePick,
+  set_dur: (query, arg) => handleSettingPick(query, { defaultDuration: parseInt(arg) }),
+  set_week: (query, arg) => handleSettingPick(query, { weekStartsOn: parseInt(arg) }),
+  set_cal: handleCalendarPick,
+  reauth: handleReauthButton
+};
+
+// Listing navigation - in a group anyone may page through /today or /week
+const SHARED_CALLBACK_ACTIONS = ['page', 'day', 'week'];
+
+// Handle callback queries (button presses)
+bot.on('callback_query', async (query) => {
+  const userId = query.from.id;
+  const data = query.data;
+
+  await log('DEBUG', 'Callback query received', { userId, data });
+
+  const { action, userId: ownerId, arg } = parseCallbackData(data);
+  const handler = CALLBACK_HANDLERS[action];
+
+  // Buttons belong to whoever asked (admins can step in for them) - except listings, which the whole group can browse
+  if (handler && !isAuthorized(userId, query.message.chat)) {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+  if (handler && !SHARED_CALLBACK_ACTIONS.includes(action) && ownerId !== userId && !isAdmin(userId)) {
+    await bot.answerCallbackQuery(query.id, { text: 'Only the person who asked (or an admin) can use these buttons.', show_alert: true });
+    await log('INFO', 'Button pressed by someone else', { userId, ownerId, action });
+    return;
+  }
+
+  if (handler) {
+    try {
+      await handler(query, arg);
+    } catch (error) {
+      // A rejected Telegram call (e.g., "message is not modified") must not become an unhandled rejection
+      await log('ERROR', 'Button handler failed', { userId, action, error: error.message });
+    }
+  }
+
+  // Answer callback to remove loading state (too late if the handler took very long - that's fine)
+  await bot.answerCallbackQuery(query.id).catch(error => {
+    log('WARN', 'Failed to answer callback query', { userId, action, error: error.message });
+  });
+});
+
+// Find the draft or pending action behind a button by the draft ID in its callback data
+async function getCallbackPending(query) {
+  const { draftId } = parseCallbackData(query.data);
+  if (!draftId) return null;
+
+  const pending = (await eventDrafts.get(draftId)) || (await pendingEvents.get(draftId));
+
+  // Only on its own card - a copied button must not confirm something else
+  return pending && pending.chatId === query.message.chat.id && pending.messageId === query.message.message_id ? pending : null;
+}
+
+// The user a button belongs to (an admin may press it for them) and whose calendar it works on
+function getCallbackUsers(query) {
+  const { userId } = parseCallbackData(query.data);
+  return { userId, calendarUserId: getCalendarUserId(query.message.chat.id, userId) };
+}
+
+// In a group, the member a card was for - noted on the events it creates
+async function getGroupRequester(query) {
+  if (!isGroupChat(query.message.chat)) return null;
+
+  const { userId } = getCallbackUsers(query);
+  let user = query.from;
+  if (userId !== query.from.id) {
+    // An admin confirmed it for them
+    try {
+      user = (await bot.getChatMember(query.message.chat.id, userId)).user;
+    } catch (error) {
+      user = { id: userId };
+    }
+  }
+
+  return { id: userId, name: formatUserName(user) };
+}
+
+async function clearCallbackPending(pending) {
+  await eventDrafts.delete(pending.id);
+  await pendingEvents.delete(pending.id);
+}
+
+// Put back an entry cleared before a calendar call that then failed, so the card's buttons work again
+async function restoreCallbackPending(pending) {
+  await (pending.type ? pendingEvents : eventDrafts).set(pending.id, pending);
+}
+
+// A button was tapped on a card whose draft expired (or was lost) - say so on the card and drop its buttons
+async function showCardExpired(query, hint) {
+  const text = query.message.text || '';
+
+  try {
+    await bot.editMessageText(`${text}\n\n⌛ This has expired. ${hint}`.trim(), {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      entities: query.message.entities,
+      reply_markup: { inline_keyboard: [] }
+    });
+  } catch (error) {
+    // The card is too old to edit - a new message will do
+    await bot.sendMessage(query.message.chat.id, `⌛ This has expired. ${hint}`);
+  }
+
+  await log('INFO', 'Expired card tapped', { userId: query.from.id, data: query.data });
+}
+
+// Draft IDs whose ✅ Confirm is being handled right now
+const confirmingDrafts = new Set();
+
+// Handle event confirmation
+async function handleEventConfirm(query, arg) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+
+  const { draftId } = parseCallbackData(query.data);
+  const pending = await getCallbackPending(query);
+
+  // A double tap or a retried callback arrives while the first one is still saving - let that one finish
+  if (confirmingDrafts.has(draftId)) return;
+
+  if (!pending) {
+    await showCardExpired(query, 'Please send it again.');
+    return;
+  }
+
+  // Claim the card before calling Google, so a second tap finds nothing to confirm
+  confirmingDrafts.add(draftId);
+  try {
+    await clearCallbackPending(pending);
+
+    if (pending.type === 'update') {
+      await handleUpdateConfirm(query, pending);
+    } else {
+      await createConfirmedEvent(query, pending, arg, userId, calendarUserId, settings);
+    }
+  } finally {
+    confirmingDrafts.delete(draftId);
+  }
+}
+
+// Create the event from a confirmed draft (already claimed by handleEventConfirm)
+async function createConfirmedEvent(query, pending, arg, userId, calendarUserId, settings) {
+  let event = null;
+
+  try {
+    await bot.sendChatAction(query.message.chat.id, 'typing');
+
+    // Create calendar event (invitation emails only when the user asked for them)
+    const sendUpdates = arg === 'invite' ? 'all' : 'none';
+    await log('DEBUG', 'Creating calendar event', { sendUpdates });
+    const requestedBy = await getGroupRequester(query);
+    event = await createCalendarEvent({ ...pending.eventDetails, sendUpdates, requestedBy }, settings.timezone, calendarUserId);
+    await log('INFO', 'Event created', { eventId: event.id, summary: event.summary });
+
+    // Send confirmation
+    const message = formatEventCreatedMessage(event, settings.timezone);
+    const sentMessage = await bot.sendMessage(query.message.chat.id, message, { parse_mode: 'Markdown' });
+
+    // Edit original message to show it was confirmed
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: pending.chatId,
+      message_id: pending.messageId
+    });
+
+    // Keep the event for a quick "make it 4pm"
+    await recentEvents.set(memberKey(pending.chatId, userId), {
+      userId: userId,
+      eventId: event.id,
+      eventDetails: pending.eventDetails,
+      messageId: sentMessage.message_id
+    });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to create event', { error: error.message });
+    if (!event) {
+      await restoreCallbackPending(pending);
+    }
+    await bot.sendMessage(query.message.chat.id,
+      '❌ Sorry, I couldn\'t create the event. Please check your Google Calendar connection and try again.'
+    );
+  }
+}
+
+// Handle update confirmation (already claimed by handleEventConfirm)
+async function handleUpdateConfirm(query, pending) {
+  const { calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+  let event = null;
+
+  try {
+    await bot.sendChatAction(query.message.chat.id, 'typing');
+
+    // Patch calendar event
+    await log('DEBUG', 'Updating calendar event', { eventId: pending.eventId });
+    event = await updateCalendarEvent(pending.eventId, pending.updates, settings.timezone, calendarUserId);
+    await log('INFO', 'Event updated', { eventId: event.id, summary: event.summary });
+
+    // Send confirmation
+    const message = formatEventUpdatedMessage(event, settings.timezone);
+    await bot.sendMessage(query.message.chat.id, message, { parse_mode: 'Markdown' });
+
+    // Edit original message to show it was confirmed
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: pending.chatId,
+      message_id: pending.messageId
+    });
+
+  } catch (error) {
+    await log('ERROR', 'Failed to update event', { error: error.message });
+    if (!event) {
+      await restoreCallbackPending(pending);
+    }
+    await bot.sendMessage(query.message.chat.id,
+      '❌ Sorry, I couldn\'t update the event. Please check your Google Calendar connection and try again.'
+    );
+  }
+}
+
+// Handle importing the events of an uploaded .ics file ("all" or "free" = skip conflicts)
+async function handleImportConfirm(query, arg) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const pending = await getCallbackPending(query);
+
+  if (!pending || pending.type !== 'import') {
+    await showCardExpired(query, 'Please send the file again.');
+    return;
+  }
+
+  const events = arg === 'free'
+    ? pending.events.filter((event, index) => !pending.conflicts.includes(index))
+    : pending.events;
+
+  try {
+    // Remove the buttons first so a double tap can't import twice
+    await clearCallbackPending(pending);
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+      chat_id: pending.chatId,
+      message_id: pending.messageId
+    });
+
+    await bot.sendChatAction(query.message.chat.id, 'typing');
+    const { imported, failed } = await importCalendarEvents(events, calendarUserId, await getGroupRequester(query));
+    await log('INFO', 'Calendar file imported', { userId, imported, failed: failed.length });
+
+    let message = `✅ Imported ${imported} event${imported === 1 ? '' : 's'}.`;
+    if (failed.length > 0) {
+      message += `\n\n⚠️ ${failed.length} couldn't be imported:\n`;
+      message += failed.slice(0, 5).map(failure => `• ${failure.summary}: ${failure.error}`).join('\n');
+    }
+    await bot.sendMessage(query.message.chat.id, message);
+
+  } catch (error) {
+    await log('ERROR', 'Failed to import calendar file', { error: error.message });
+    await bot.sendMessage(query.message.chat.id,
+      '❌ Sorry, I couldn\'t import the events. Please check your Google Calendar connection and try again.'
+    );
+  }
+}
+
+// Handle moving a conflicting draft to the next free slot
+async function handleNextFreeSlot(query) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+  const pending = await getCallbackPending(query);
+
+  if (!pending || pending.type) {
+    await showCardExpired(query, 'Please send it again.');
+    return;
+  }
+
+  try {
+    const slot = await findNextFreeSlot(pending.eventDetails, settings.timezone, calendarUserId);
+
+    if (!slot) {
+      await bot.sendMessage(query.message.chat.id, 'I couldn\'t find a free slot of that length in the next week.');
+      return;
+    }
+
+    pending.eventDetails = { ...pending.eventDetails, ...slot };
+    await log('INFO', 'Draft moved to next free slot', slot);
+
+    // Re-checks conflicts - the slot comes from freebusy, so there should normally be none
+    await refreshEventCard(pending, userId);
+
+  } catch (error) {
+    await log('ERROR', 'Failed to find next free slot', { error: error.message });
+    await bot.sendMessage(query.message.chat.id, 'Sorry, I couldn\'t check your calendar for free time. Please try again.');
+  }
+}
+
+// Get the draft behind a confirmation card's button (null for update/delete cards or expired drafts)
+async function getCallbackDraft(query) {
+  const pending = await getCallbackPending(query);
+  return pending && !pending.type ? pending : null;
+}
+
+// Handle a per-field edit button: swap the card's buttons for a picker, or ask for the new text
+async function handleEditField(query, field) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const draft = await getCallbackDraft(query);
+
+  if (!draft) {
+    await showCardExpired(query, 'Please send it again.');
+    return;
+  }
+
+  const eventDetails = draft.eventDetails;
+
+  if (field === 'title' || field === 'location') {
+    const prompt = await bot.sendMessage(draft.chatId,
+      field === 'title' ? '📝 What should the event be called?' : '📍 Where is it?',
+      { reply_markup: { force_reply: true, input_field_placeholder: field === 'title' ? 'Event title' : 'Place or address' } }
+    );
+
+    await replyPrompts.set(`${draft.chatId}:${prompt.message_id}`, {
+      type: 'edit_text',
+      userId: query.from.id,
+      ownerId: userId,
+      field: field,
+      draftId: draft.id,
+      promptMessageId: prompt.message_id,
+      chatId: draft.chatId
+    });
+    return;
+  }
+
+  let keyboard;
+  if (field === 'date') {
+    const { weekStartsOn } = await getUserSettings(calendarUserId);
+    keyboard = buildDatePickerKeyboard(userId, draft.id, eventDetails.date.slice(0, 7), eventDetails.date, weekStartsOn);
+  } else if (field === 'time') {
+    keyboard = buildTimePickerKeyboard(userId, draft.id, getTimeGridBlock(eventDetails.allDay ? null : eventDetails.startTime), eventDetails);
+  } else if (field === 'duration') {
+    keyboard = buildDurationKeyboard(userId, draft.id, eventDetails);
+  } else {
+    return;
+  }
+
+  await bot.editMessageReplyMarkup({ inline_keyboard: keyboard }, {
+    chat_id: draft.chatId,
+    message_id: draft.messageId
+  });
+}
+
+// Handle ◀️/▶️ in the date picker
+async function handleDatePickerMonth(query, month) {
+  const draft = await getCallbackDraft(query);
+  if (!draft) {
+    await showCardExpired(query, 'Please send it again.');
+    return;
+  }
+  if (!/^\d{4}-\d{2}$/.test(month)) return;
+
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const { weekStartsOn } = await getUserSettings(calendarUserId);
+  await bot.editMessageReplyMarkup({ inline_keyboard: buildDatePickerKeyboard(userId, draft.id, month, draft.eventDetails.date, weekStartsOn) }, {
+    chat_id: draft.chatId,
+    message_id: draft.messageId
+  });
+}
+
+// Handle Night/Morning/Afternoon/Evening in the time grid
+async function handleTimePickerBlock(query, arg) {
+  const draft = await getCallbackDraft(query);
+  const block = parseInt(arg);
+  if (!draft) {
+    await showCardExpired(query, 'Please send it again.');
+    return;
+  }
+  if (!TIME_GRID_BLOCKS.includes(block)) return;
+
+  // The block on show is marked "•" - sending Telegram the same markup again gets "message is not modified"
+  const blockRow = (query.message.reply_markup && query.message.reply_markup.inline_keyboard[0]) || [];
+  const shown = blockRow.find(button => button.text.startsWith('• '));
+  if (shown && parseCallbackData(shown.callback_data).arg === String(block)) return;
+
+  await bot.editMessageReplyMarkup({ inline_keyboard: buildTimePickerKeyboard(getCallbackUsers(query).userId, draft.id, block, draft.eventDetails) }, {
+    chat_id: draft.chatId,
+    message_id: draft.messageId
+  });
+}
+
+// Handle a picked date, time or duration (or ⬅️ Back, with no field) and show the card again
+async function handleDraftEdit(query, field, value) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+  const draft = await getCallbackDraft(query);
+
+  if (!draft) {
+    await showCardExpired(query, 'Please send it again.');
+    return;
+  }
+
+  const valid = {
+    date: /^\d{4}-\d{2}-\d{2}$/,
+    time: /^(\d{2}:\d{2}|allday)$/,
+    duration: new RegExp(`^(${DURATION_OPTIONS.join('|')})$`)
+  };
+
+  if (field && valid[field] && valid[field].test(value)) {
+    draft.eventDetails = applyClarifyingAnswer(draft.eventDetails, field, value, new Date(), settings.defaultDuration);
+    await log('INFO', 'Draft edited', { field, value });
+  }
+
+  await refreshEventCard(draft, userId);
+}
+
+// Handle the reply to a 📝 Title or 📍 Location prompt
+async function handleEditReply(msg, prompt) {
+  const settings = await getUserSettings(getCalendarUserId(msg.chat.id, msg.from.id));
+  await replyPrompts.delete(`${prompt.chatId}:${prompt.promptMessageId}`);
+  const draft = await eventDrafts.get(prompt.draftId);
+
+  if (!draft) {
+    await bot.sendMessage(msg.chat.id, '⌛ Sorry, this event has expired. Please send it again.');
+    return;
+  }
+
+  draft.eventDetails = applyClarifyingAnswer(draft.eventDetails, prompt.field, msg.text.trim(), new Date(), settings.defaultDuration);
+  await log('INFO', 'Draft edited', { field: prompt.field });
+
+  await refreshEventCard(draft, prompt.ownerId || prompt.userId);
+  await bot.sendMessage(msg.chat.id, '✏️ Updated the event above.', { reply_to_message_id: draft.messageId });
+}
+
+// Handle ◀️/▶️ paging through a listing
+async function handleListingPage(query, arg) {
+  const chatId = query.message.chat.id;
+  const messageId = query.message.message_id;
+  const listing = await eventListings.get(`${chatId}:${messageId}`);
+  const page = parseInt(arg);
+
+  if (!listing || !(page in listing.pageTokens)) {
+    await showCardExpired(query, 'Please ask again.');
+    return;
+  }
+
+  try {
+    await sendEventListing(chatId, query.from.id, listing, page, messageId);
+  } catch (error) {
+    await log('ERROR', 'Failed to page events', { error: error.message });
+    await bot.sendMessage(chatId, 'Sorry, I couldn\'t retrieve your events right now. Please try again.');
+  }
+}
+
+// Handle previous/next day navigation (edits the listing in place)
+async function handleListingDay(query, arg) {
+  const settings = await getUserSettings(getCalendarUserId(query.message.chat.id, query.from.id));
+  const listing = { ...getDayRange(arg, settings.timezone), nav: { kind: 'day', date: arg } };
+
+  try {
+    await sendEventListing(query.message.chat.id, query.from.id, listing, 0, query.message.message_id);
+  } catch (error) {
+    await log('ERROR', 'Failed to navigate days', { error: error.message });
+    await bot.sendMessage(query.message.chat.id, 'Sorry, I couldn\'t retrieve your events right now. Please try again.');
+  }
+}
+
+// Handle previous/next week navigation (edits the listing in place)
+async function handleListingWeek(query, arg) {
+  const settings = await getUserSettings(getCalendarUserId(query.message.chat.id, query.from.id));
+  const week = getWeekRange(arg, settings.timezone, settings.weekStartsOn);
+  const listing = { ...week, nav: { kind: 'week', date: week.weekStart } };
+
+  try {
+    await sendEventListing(query.message.chat.id, query.from.id, listing, 0, query.message.message_id);
+  } catch (error) {
+    await log('ERROR', 'Failed to navigate weeks', { error: error.message });
+    await bot.sendMessage(query.message.chat.id, 'Sorry, I couldn\'t retrieve your events right now. Please try again.');
+  }
+}
+
+// Handle 💤 Snooze on a reminder - it is sent again in SNOOZE_MINUTES
+async function handleReminderSnooze(query, arg) {
+  const settings = await getUserSettings(query.from.id);
+  const chatId = query.message.chat.id;
+
+  try {
+    // Reminder IDs are per user - the one in the callback data owns it
+    const states = await getReminderStates();
+    const state = getUserReminderState(states, getCallbackUsers(query).userId);
+    const now = new Date();
+    const reminder = snoozeReminder(state, parseInt(arg), SNOOZE_MINUTES, now);
+
+    if (!reminder) {
+      await bot.sendMessage(chatId, 'Sorry, this reminder has expired.');
+      return;
+    }
+
+    await saveReminderState(states);
+
+    const snoozedUntil = formatInTimeZone(parseISO(reminder.snoozeUntil), settings.timezone, 'h:mm a');
+    await bot.editMessageText(`${formatReminderMessage(reminder, now, settings.timezone)}💤 Snoozed until ${snoozedUntil}`, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: buildReminderKeyboard(reminder, query.from.id, true)
+    });
+
+    await log('INFO', 'Reminder snoozed', { eventId: reminder.eventId, until: reminder.snoozeUntil });
+  } catch (error) {
+    await log('ERROR', 'Failed to snooze reminder', { error: error.message });
+    await bot.sendMessage(chatId, 'Sorry, I couldn\'t snooze this reminder. Please try again.');
+  }
+}
+
+// Handle tapping a free slot - draft an event there and ask for its title
+async function handleSlotPick(query, arg) {
+  const settings = await getUserSettings(getCallbackUsers(query).calendarUserId);
+  const pending = await getCallbackPending(query);
+  const slot = pending && pending.type === 'slots' ? pending.slots[parseInt(arg)] : null;
+
+  if (!slot) {
+    await showCardExpired(query, 'Please ask again.');
+    return;
+  }
+
+  // Book the requested length, or up to the user's default length of the slot
+  const slotMinutes = Math.round((new Date(slot.end) - new Date(slot.start)) / 60000);
+  const minutes = pending.durationMinutes || Math.min(slotMinutes, settings.defaultDuration);
+  const start = new Date(slot.start);
+  const end = new Date(start.getTime() + minutes * 60000);
+
+  const eventDetails = {
+    date: formatInTimeZone(start, settings.timezone, 'yyyy-MM-dd'),
+    endDate: formatInTimeZone(end, settings.timezone, 'yyyy-MM-dd'),
+    startTime: formatInTimeZone(start, settings.timezone, 'HH:mm'),
+    endTime: formatInTimeZone(end, settings.timezone, 'HH:mm'),
+    allDay: false,
+    confidence: 'high',
+    ambiguities: []
+  };
+
+  const prompt = await bot.sendMessage(query.message.chat.id,
+    `📝 What should I call the event on ${formatInTimeZone(start, settings.timezone, 'EEE, MMM d')} ` +
+    `at ${eventDetails.startTime}–${eventDetails.endTime}?`,
+    { reply_markup: { force_reply: true, input_field_placeholder: 'Event title' } }
+  );
+
+  await replyPrompts.set(`${query.message.chat.id}:${prompt.message_id}`, {
+    type: 'slot_title',
+    userId: query.from.id,
+    eventDetails: eventDetails,
+    promptMessageId: prompt.message_id,
+    chatId: query.message.chat.id
+  });
+}
+
+// Handle picking one of several matching events to delete
+async function handleDeletePick(query, arg) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+  const pending = await getCallbackPending(query);
+  const selected = pending && pending.type === 'delete' ? pending.candidates[parseInt(arg)] : null;
+
+  if (!selected) {
+    await showCardExpired(query, 'Please try again.');
+    return;
+  }
+
+  pending.selected = selected;
+  await pendingEvents.set(pending.id, pending);
+
+  await bot.editMessageText(formatEventDeleteConfirmation(selected, settings.timezone), {
+    chat_id: pending.chatId,
+    message_id: pending.messageId,
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: buildDeleteKeyboard(selected, userId, pending.id) }
+  });
+}
+
+// Handle delete confirmation (one occurrence or the whole series)
+async function handleDeleteConfirm(query, wholeSeries) {
+  const { calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+  const pending = await getCallbackPending(query);
+
+  if (!pending || pending.type !== 'delete' || !pending.selected) {
+    await showCardExpired(query, 'Please try again.');
+    return;
+  }
+
+  const event = pending.selected;
+  const eventId = wholeSeries ? event.recurringEventId : event.id;
+
+  try {
+    await bot.sendChatAction(query.message.chat.id, 'typing');
+
+    // Delete calendar event
+    await log('DEBUG', 'Deleting calendar event', { eventId, wholeSeries });
+    await deleteCalendarEvent(eventId, calendarUserId);
+    await log('INFO', 'Event deleted', { eventId, summary: event.summary, wholeSeries });
+
+    // Replace the card with the result
+    await bot.editMessageText(formatEventDeletedMessage(event, wholeSeries, settings.timezone), {
+      chat_id: pending.chatId,
+      message_id: pending.messageId,
+      parse_mode: 'Markdown'
+    });
+
+    // Clean up
+    await clearCallbackPending(pending);
+
+  } catch (error) {
+    await log('ERROR', 'Failed to delete event', { error: error.message });
+    await bot.sendMessage(query.message.chat.id,
+      '❌ Sorry, I couldn\'t delete the event. Please check your Google Calendar connection and try again.'
+    );
+  }
+}
+
+// Handle the answer to "what did you mean?"
+async function handleIntentPick(query, intent) {
+  const pending = await getCallbackPending(query);
+
+  if (!pending || pending.type !== 'intent' || !INTENT_LABELS[intent]) {
+    await showCardExpired(query, 'Please send your message again.');
+    return;
+  }
+
+  await clearCallbackPending(pending);
+  await bot.editMessageText(`🤔 ${INTENT_LABELS[intent]}`, {
+    chat_id: pending.chatId,
+    message_id: pending.messageId
+  });
+
+  await log('INFO', 'Intent picked by user', { intent });
+
+  try {
+    await dispatchIntent(pending.msg, intent, pending.args);
+  } catch (error) {
+    await log('ERROR', 'Message processing failed', { error: error.message, stack: error.stack });
+    await bot.sendMessage(pending.chatId, 'Sorry, something went wrong. Please try again.');
+  }
+}
+
+// Handle a quick-reply button under a follow-up question
+async function handleClarifyPick(query, arg) {
+  const { userId, calendarUserId } = getCallbackUsers(query);
+  const settings = await getUserSettings(calendarUserId);
+  const chatId = query.message.chat.id;
+  const conversation = await conversations.get(memberKey(chatId, userId));
+
+  if (!conversation || conversation.promptMessageId !== query.message.message_id) {
+    await showCardExpired(query, 'Please send your event again.');
+    return;
+  }
+
+  if (arg === 'cancel') {
+    await conversations.delete(memberKey(chatId, userId));
+    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: conversation.promptMessageId });
+    await bot.sendMessage(chatId, '❌ Event cancelled.');
+    await log('INFO', 'Event cancelled during follow-up questions', { userId: query.from.id });
+    return;
+  }
+
+  const option = conversation.options[parseInt(arg)];
+  if (!option) return;
+
+  // Show the chosen answer under the question
+  await bot.editMessageText(`${conversation.promptText}\n\n✅ ${option.label}`, {
+    chat_id: chatId,
+    message_id: conversation.promptMessageId,
+    parse_mode: 'Markdown'
+  });
+
+  conversation.draft = applyClarifyingAnswer(conversation.draft, conversation.field, option.value, new Date(), settings.defaultDuration);
+  await conversations.set(memberKey(chatId, userId), conversation);
+  await log('INFO', 'Follow-up answered', { field: conversation.field, value: option.value });
+  await askNextQuestion(query.message.chat, userId);
+}
+
+// Handle event cancellation
+async function handleEventCancel(query) {
+  const userId = query.from.id;
+  const pending = await getCallbackPending(query);
+
+  if (!pending) {
+    await showCardExpired(query, 'Nothing to cancel.');
+    return;
+  }
+
+  // Edit original message to show it was cancelled
+  await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+    chat_id: pending.chatId,
+    message_id: pending.messageId
+  });
+
+  await clearCallbackPending(pending);
+
+  const cancelMessages = {
+    update: '❌ Changes discarded.',
+    delete: '👍 Nothing was deleted.',
+    import: '👍 Nothing was imported.',
+    intent: '👍 Okay, never mind.'
+  };
+  await bot.sendMessage(query.message.chat.id, cancelMessages[pending.type] || '❌ Event cancelled.');
+  await log('INFO', 'Event cancelled by user', { userId });
+}
+
+// Error handling for polling mode
+if (!USE_WEBHOOK) {
+  bot.on('polling_error', (error) => {
+    log('ERROR', 'Polling error', { error: error.message, code: error.code });
+  });
+}
+
+// Startup
+(async () => {
+  await ensureLogDir();
+  await loadAccounts();
+  await loadSettings();
+
+  // The web server takes Google's /connect callback in both modes (and Telegram's webhook in production)
+  const app = express();
+  app.use(express.json());
+  app.get('/oauth/callback', handleOAuthCallback);
+
+  if (USE_WEBHOOK) {
+    // === WEBHOOK MODE (Production / Render) ===
 
     // Telegram webhook endpoint
     app.post(`/webhook/${TELEGRAM_BOT_TOKEN}`, (req, res) => {
@@ -403,24 +3161,31 @@ if (!USE_WEBHOOK) {
       console.log(`🌐 Webhook URL: ${WEBHOOK_URL}`);
       console.log(`🔗 Listening on port: ${PORT}`);
       console.log(`📍 Timezone: ${TIMEZONE}`);
-      console.log(`👤 Authorized user ID: ${ALLOWED_USER_ID || 'NOT SET (WARNING)'}`);
+      console.log(`👤 Admin user IDs: ${ADMIN_USER_IDS.join(', ') || 'NOT SET (WARNING)'}`);
     });
 
     await log('INFO', 'Bot started (webhook mode)', {
       timezone: TIMEZONE,
       webhookUrl: WEBHOOK_URL,
       port: PORT,
-      authorizedUser: ALLOWED_USER_ID || 'ANY (WARNING!)'
+      admins: ADMIN_USER_IDS.length > 0 ? ADMIN_USER_IDS : 'ANY (WARNING!)'
     });
 
   } else {
     // === POLLING MODE (Local development) ===
+    app.listen(PORT);
+
     await log('INFO', 'Bot started (polling mode)', {
       timezone: TIMEZONE,
-      authorizedUser: ALLOWED_USER_ID || 'ANY (WARNING!)'
+      admins: ADMIN_USER_IDS.length > 0 ? ADMIN_USER_IDS : 'ANY (WARNING!)'
     });
     console.log('✅ Telegram Calendar Bot is running (POLLING mode)');
     console.log(`📍 Timezone: ${TIMEZONE}`);
-    console.log(`👤 Authorized user ID: ${ALLOWED_USER_ID || 'NOT SET (WARNING)'}`);
+    console.log(`👤 Admin user IDs: ${ADMIN_USER_IDS.join(', ') || 'NOT SET (WARNING)'}`);
+    console.log(`🔐 Google sign-in callback: ${OAUTH_REDIRECT_URI}`);
   }
+
+  startDigestScheduler();
+  startReminderPoller();
+  startAuthHealthChecker();
 })();
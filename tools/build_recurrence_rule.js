@@ -0,0 +1,246 @@
+const { format, parseISO } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+/**
+ * Build an iCalendar RRULE from structured recurrence data
+ * @param {Object} recurrence - Recurrence data from parseEventDetails
+ * @param {string} recurrence.frequency - DAILY, WEEKLY, MONTHLY or YEARLY
+ * @param {number} recurrence.interval - Repeat every N periods (default: 1)
+ * @param {Array<string>} recurrence.byDay - Weekdays (MO, TU...), optionally with ordinal for monthly (2TU, -1FR)
+ * @param {Array<number>} recurrence.byMonthDay - Days of the month (1-31, -1 for last day)
+ * @param {string} recurrence.until - Last date (YYYY-MM-DD), optional
+ * @param {number} recurrence.count - Number of occurrences, optional
+ * @param {string} timezone - Timezone of the event, used to end UNTIL at the close of the local day
+ * @returns {string} RRULE line (e.g., "RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR")
+ */
+function buildRecurrenceRule(recurrence, timezone = 'America/Los_Angeles') {
+  const errors = validateRecurrence(recurrence);
+  if (errors.length > 0) {
+    throw new Error(`Invalid recurrence: ${errors.join(', ')}`);
+  }
+
+  const parts = [`FREQ=${recurrence.frequency}`];
+
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+
+  if (recurrence.byDay && recurrence.byDay.length > 0) {
+    parts.push(`BYDAY=${recurrence.byDay.join(',')}`);
+  }
+
+  if (recurrence.byMonthDay && recurrence.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(',')}`);
+  }
+
+  if (recurrence.until) {
+    // Inclusive of the whole last day in the event's timezone (UNTIL is in UTC)
+    const until = fromZonedTime(`${recurrence.until}T23:59:59`, timezone);
+    parts.push(`UNTIL=${formatInTimeZone(until, 'UTC', "yyyyMMdd'T'HHmmss'Z'")}`);
+  } else if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+
+  return `RRULE:${parts.join(';')}`;
+}
+
+/**
+ * Parse an RRULE line back into structured recurrence data
+ * @param {string} rule - RRULE line (with or without the "RRULE:" prefix)
+ * @param {string} timezone - Timezone to read a UTC UNTIL in (optional, default: server time)
+ * @returns {Object|null} Recurrence data or null if the rule is not understood
+ */
+function parseRecurrenceRule(rule, timezone = null) {
+  if (!rule) return null;
+
+  const body = rule.replace(/^RRULE:/, '');
+  const fields = {};
+
+  body.split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      fields[key.toUpperCase()] = value;
+    }
+  });
+
+  if (!FREQUENCIES.includes(fields.FREQ)) {
+    return null;
+  }
+
+  const recurrence = {
+    frequency: fields.FREQ,
+    interval: fields.INTERVAL ? parseInt(fields.INTERVAL) : 1,
+    byDay: fields.BYDAY ? fields.BYDAY.split(',') : [],
+    byMonthDay: fields.BYMONTHDAY ? fields.BYMONTHDAY.split(',').map(Number) : [],
+    until: null,
+    count: fields.COUNT ? parseInt(fields.COUNT) : null
+  };
+
+  if (fields.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?/.exec(fields.UNTIL);
+    if (match && match[4]) {
+      // 20261101T065959Z is the end of Oct 31 in Los Angeles
+      const until = new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`);
+      recurrence.until = timezone ? formatInTimeZone(until, timezone, 'yyyy-MM-dd') : format(until, 'yyyy-MM-dd');
+    } else if (match) {
+      recurrence.until = `${match[1]}-${match[2]}-${match[3]}`;
+    }
+  }
+
+  return recurrence;
+}
+
+/**
+ * Describe recurrence in plain English (e.g., "every Mon, Wed, Fri until Jun 30")
+ * @param {Object} recurrence - Structured recurrence data
+ * @returns {string} Human-readable description
+ */
+function describeRecurrence(recurrence) {
+  if (!recurrence) return '';
+
+  const interval = recurrence.interval || 1;
+  const byDay = recurrence.byDay || [];
+  const byMonthDay = recurrence.byMonthDay || [];
+  let description;
+
+  switch (recurrence.frequency) {
+    case 'DAILY':
+      description = interval === 1 ? 'every day' : `every ${interval} days`;
+      break;
+
+    case 'WEEKLY': {
+      const period = interval === 1 ? 'every' : `every ${interval} weeks on`;
+      if (isWeekdays(byDay)) {
+        description = interval === 1 ? 'every weekday' : `${period} weekdays`;
+      } else if (byDay.length > 0) {
+        description = `${period} ${byDay.map(day => WEEKDAY_NAMES[day] || day).join(', ')}`;
+      } else {
+        description = interval === 1 ? 'every week' : `every ${interval} weeks`;
+      }
+      break;
+    }
+
+    case 'MONTHLY': {
+      const period = interval === 1 ? 'every month' : `every ${interval} months`;
+      if (byMonthDay.length > 0) {
+        const days = byMonthDay.map(day => (day === -1 ? 'last day' : ordinalSuffix(day))).join(', ');
+        description = `on the ${days} of ${period}`;
+      } else if (byDay.length > 0) {
+        const days = byDay.map(describeOrdinalWeekday).join(', ');
+        description = `on the ${days} of ${period}`;
+      } else {
+        description = period;
+      }
+      break;
+    }
+
+    case 'YEARLY':
+      description = interval === 1 ? 'every year' : `every ${interval} years`;
+      break;
+
+    default:
+      return '';
+  }
+
+  if (recurrence.until) {
+    const until = parseISO(recurrence.until);
+    const untilFormat = until.getFullYear() === new Date().getFullYear() ? 'MMM d' : 'MMM d, yyyy';
+    description += ` until ${format(until, untilFormat)}`;
+  } else if (recurrence.count) {
+    description += `, ${recurrence.count} times`;
+  }
+
+  return description;
+}
+
+/**
+ * Validate structured recurrence data
+ * @param {Object} recurrence - Recurrence data to validate
+ * @returns {Array<string>} Array of validation error messages (empty if valid)
+ */
+function validateRecurrence(recurrence) {
+  const errors = [];
+
+  if (!recurrence || !FREQUENCIES.includes(recurrence.frequency)) {
+    errors.push(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+    return errors;
+  }
+
+  if (recurrence.interval !== undefined && recurrence.interval !== null &&
+      (!Number.isInteger(recurrence.interval) || recurrence.interval < 1)) {
+    errors.push('Interval must be a positive whole number');
+  }
+
+  (recurrence.byDay || []).forEach(day => {
+    const match = /^(-?\d)?([A-Z]{2})$/.exec(day);
+    if (!match || !WEEKDAYS.includes(match[2])) {
+      errors.push(`Unknown weekday: ${day}`);
+    }
+  });
+
+  (recurrence.byMonthDay || []).forEach(day => {
+    if (!Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+      errors.push(`Invalid day of month: ${day}`);
+    }
+  });
+
+  if (recurrence.until && !/^\d{4}-\d{2}-\d{2}$/.test(recurrence.until)) {
+    errors.push('Until date must be in YYYY-MM-DD format');
+  }
+
+  if (recurrence.count !== undefined && recurrence.count !== null &&
+      (!Number.isInteger(recurrence.count) || recurrence.count < 1)) {
+    errors.push('Count must be a positive whole number');
+  }
+
+  return errors;
+}
+
+/**
+ * Check if a BYDAY list is exactly Monday to Friday
+ * @param {Array<string>} byDay - Weekday codes
+ * @returns {boolean} True for MO,TU,WE,TH,FR in any order
+ */
+function isWeekdays(byDay) {
+  return byDay.length === 5 && WEEKDAYS.slice(0, 5).every(day => byDay.includes(day));
+}
+
+/**
+ * Describe a monthly weekday like "2TU" as "second Tue"
+ * @param {string} day - Weekday code with optional ordinal
+ * @returns {string} Human-readable weekday
+ */
+function describeOrdinalWeekday(day) {
+  const match = /^(-?\d)?([A-Z]{2})$/.exec(day);
+  if (!match) return day;
+
+  const name = WEEKDAY_NAMES[match[2]] || match[2];
+  return match[1] ? `${ORDINALS[match[1]] || match[1]} ${name}` : name;
+}
+
+/**
+ * Add an English ordinal suffix (1 -> 1st, 22 -> 22nd)
+ * @param {number} n - Number
+ * @returns {string} Number with suffix
+ */
+function ordinalSuffix(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+
+  switch (n % 10) {
+    case 1: return `${n}st`;
+    case 2: return `${n}nd`;
+    case 3: return `${n}rd`;
+    default: return `${n}th`;
+  }
+}
+
+module.exports = buildRecurrenceRule;
+module.exports.parseRecurrenceRule = parseRecurrenceRule;
+module.exports.describeRecurrence = describeRecurrence;
+module.exports.validateRecurrence = validateRecurrence;
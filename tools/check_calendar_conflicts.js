@@ -0,0 +1,103 @@
+const queryCalendarEvents = require('./query_calendar_events');
+const queryFreeBusy = require('./query_free_busy');
+const { findGaps, getWorkingHours } = require('./find_free_slots');
+const { format, parseISO, addDays } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+
+// Days searched when suggesting another slot
+const SLOT_SEARCH_DAYS = 7;
+
+/**
+ * Get the start and end of a parsed event as Date objects
+ * @param {Object} eventDetails - Parsed event details (date, endDate, startTime, endTime, allDay)
+ * @param {string} timezone - Timezone the times are in
+ * @returns {Object} Object with start and end (Date)
+ */
+function getEventInterval(eventDetails, timezone = 'America/Los_Angeles') {
+  const endDate = eventDetails.endDate || eventDetails.date;
+
+  if (eventDetails.allDay) {
+    const dayAfterEnd = format(addDays(parseISO(endDate), 1), 'yyyy-MM-dd');
+    return {
+      start: fromZonedTime(`${eventDetails.date}T00:00:00`, timezone),
+      end: fromZonedTime(`${dayAfterEnd}T00:00:00`, timezone)
+    };
+  }
+
+  return {
+    start: fromZonedTime(`${eventDetails.date}T${eventDetails.startTime}:00`, timezone),
+    end: fromZonedTime(`${endDate}T${eventDetails.endTime}:00`, timezone)
+  };
+}
+
+/**
+ * Find existing timed events that overlap a parsed event
+ * @param {Object} eventDetails - Parsed event details
+ * @param {string} timezone - User's timezone
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Array>} Overlapping events with startTime/endTime (HH:MM, local) added
+ */
+async function checkCalendarConflicts(eventDetails, timezone = 'America/Los_Angeles', userId = null) {
+  // All-day events (birthdays, vacations) don't block time
+  if (eventDetails.allDay) {
+    return [];
+  }
+
+  const { start, end } = getEventInterval(eventDetails, timezone);
+  const events = await queryCalendarEvents(start.toISOString(), end.toISOString(), 50, userId);
+
+  return events
+    .filter(event => !event.isAllDay)
+    .filter(event => parseISO(event.start) < end && parseISO(event.end) > start)
+    .map(event => ({
+      ...event,
+      startTime: formatInTimeZone(parseISO(event.start), timezone, 'HH:mm'),
+      endTime: formatInTimeZone(parseISO(event.end), timezone, 'HH:mm')
+    }));
+}
+
+/**
+ * Suggest the next free slot (within working hours) with the same duration as a parsed event
+ * @param {Object} eventDetails - Parsed event details
+ * @param {string} timezone - User's timezone
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object|null>} Object with date, endDate, startTime, endTime or null if nothing is free
+ */
+async function findNextFreeSlot(eventDetails, timezone = 'America/Los_Angeles', userId = null) {
+  const { start, end } = getEventInterval(eventDetails, timezone);
+  const duration = end - start;
+  const searchEnd = addDays(start, SLOT_SEARCH_DAYS);
+
+  const busy = await queryFreeBusy(start.toISOString(), searchEnd.toISOString(), timezone, userId);
+  const { workStart, workEnd } = getWorkingHours();
+
+  let day = formatInTimeZone(start, timezone, 'yyyy-MM-dd');
+
+  for (let i = 0; i < SLOT_SEARCH_DAYS; i++) {
+    const dayStart = fromZonedTime(`${day}T${workStart}:00`, timezone);
+    const dayEnd = fromZonedTime(`${day}T${workEnd}:00`, timezone);
+    const windowStart = dayStart > start ? dayStart : start;
+
+    if (windowStart < dayEnd) {
+      const slot = findGaps(busy, windowStart, dayEnd).find(gap => gap.end - gap.start >= duration);
+
+      if (slot) {
+        const slotEnd = new Date(slot.start.getTime() + duration);
+        return {
+          date: formatInTimeZone(slot.start, timezone, 'yyyy-MM-dd'),
+          endDate: formatInTimeZone(slotEnd, timezone, 'yyyy-MM-dd'),
+          startTime: formatInTimeZone(slot.start, timezone, 'HH:mm'),
+          endTime: formatInTimeZone(slotEnd, timezone, 'HH:mm')
+        };
+      }
+    }
+
+    day = format(addDays(parseISO(day), 1), 'yyyy-MM-dd');
+  }
+
+  return null;
+}
+
+module.exports = checkCalendarConflicts;
+module.exports.getEventInterval = getEventInterval;
+module.exports.findNextFreeSlot = findNextFreeSlot;
@@ -0,0 +1,267 @@
+const chrono = require('chrono-node');
+const {
+  format, parseISO, addDays, addMinutes, addMonths, startOfMonth, endOfMonth, startOfWeek, endOfWeek,
+  differenceInCalendarDays, differenceInMinutes
+} = require('date-fns');
+const { getReferenceDate } = require('./parse_dates_locally');
+const { CLARIFIABLE_FIELDS, PAST_DATE_WARNING } = require('./parse_event_details');
+
+// Times offered when the user didn't say one
+const SUGGESTED_TIMES = ['09:00', '14:00', '19:00'];
+
+// Lengths offered by the ⏱ Duration edit button, in minutes
+const DURATION_OPTIONS = [15, 30, 45, 60, 90, 120, 180, 240];
+
+// The time grid shows six hours at a time, starting at these hours
+const TIME_GRID_BLOCKS = [0, 6, 12, 18];
+
+// Messages that are a new request rather than an answer ("what's on tomorrow?", "cancel lunch", "show my week")
+const NOT_AN_ANSWER = /\?\s*$|^(what|what's|whats|when|where|which|who|how|is|are|am|do|does|did|can|could|will|show|list|cancel|delete|remove|move|reschedule|find|search)\b/i;
+
+// Longest reply still read as a title - anything longer is a message of its own
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * List the follow-up questions a draft event needs before it can be confirmed
+ * @param {Object} eventDetails - Parsed event details (from parseEventDetails)
+ * @returns {Array<string>} Fields to ask about, in order (subset of CLARIFIABLE_FIELDS)
+ */
+function getClarifyingQuestions(eventDetails) {
+  const unclear = eventDetails.unclear || [];
+  return CLARIFIABLE_FIELDS.filter(field => unclear.includes(field));
+}
+
+/**
+ * Build a follow-up question with quick-reply options
+ * @param {string} field - 'title', 'date' or 'time'
+ * @param {Object} eventDetails - Draft event
+ * @param {string} timezone - User's timezone
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} Object with text (Markdown) and options ([{ label, value }])
+ */
+function buildClarifyingQuestion(field, eventDetails, timezone = 'America/Los_Angeles', now = new Date()) {
+  const summary = (eventDetails.summary || 'this event').replace(/[*_`\[]/g, '');
+
+  if (field === 'title') {
+    return {
+      text: `📝 What should I call the event on ${format(parseISO(eventDetails.date), 'EEE, MMM d')}?`,
+      options: []
+    };
+  }
+
+  if (field === 'date') {
+    const today = getReferenceDate(now, timezone);
+    const days = [0, 1, 2, 3, 4].map(offset => format(addDays(today, offset), 'yyyy-MM-dd'));
+    if (eventDetails.date && !days.includes(eventDetails.date)) {
+      days.unshift(eventDetails.date);
+    }
+
+    return {
+      text: `📆 Which day is *${summary}*?`,
+      options: days.map(day => ({ label: describeDay(day, today), value: day }))
+    };
+  }
+
+  // Time: the current guess (and its am/pm twin for "at 6") first, then the usual suspects
+  const times = [];
+  if (!eventDetails.allDay && eventDetails.startTime) {
+    const [hours, minutes] = eventDetails.startTime.split(':').map(Number);
+    times.push(eventDetails.startTime);
+    if ((hours >= 1 && hours <= 7) || (hours >= 13 && hours <= 19)) {
+      times.push(`${String((hours + 12) % 24).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`);
+    }
+  }
+  SUGGESTED_TIMES.forEach(time => {
+    if (!times.includes(time)) times.push(time);
+  });
+
+  return {
+    text: `⏰ What time is *${summary}*?`,
+    options: times.slice(0, 5)
+      .map(time => ({ label: format(parseISO(`2000-01-01T${time}`), 'h:mm a'), value: time }))
+      .concat([{ label: 'All day', value: 'allday' }])
+  };
+}
+
+/**
+ * Read a typed answer to a follow-up question
+ * @param {string} field - 'title', 'date' or 'time'
+ * @param {string} text - The user's answer
+ * @param {string} timezone - User's timezone
+ * @param {Date} now - Current time (default: now)
+ * @returns {string|null} Value for applyClarifyingAnswer (title, YYYY-MM-DD, HH:MM or 'allday'),
+ *   or null if the text isn't an answer (not understood, or a new request like "what's on tomorrow?")
+ */
+function parseClarifyingAnswer(field, text, timezone = 'America/Los_Angeles', now = new Date()) {
+  const answer = (text || '').trim();
+  if (!answer || NOT_AN_ANSWER.test(answer)) return null;
+
+  if (field === 'title') {
+    return answer.length <= MAX_TITLE_LENGTH ? answer : null;
+  }
+
+  const reference = getReferenceDate(now, timezone);
+  const result = chrono.parse(answer, reference, { forwardDate: true })[0];
+
+  if (field === 'date') {
+    return result ? format(result.start.date(), 'yyyy-MM-dd') : null;
+  }
+
+  if (/^all[ -]?day$/i.test(answer)) {
+    return 'allday';
+  }
+
+  // A bare hour ("4", "4:30") - afternoon or evening is likelier than early morning
+  const bare = answer.match(/^(?:at\s+)?(\d{1,2})(?::(\d{2}))?$/i);
+  if (bare) {
+    let hours = parseInt(bare[1]);
+    if (hours >= 1 && hours <= 7) hours += 12;
+    return hours <= 23 ? `${String(hours).padStart(2, '0')}:${bare[2] || '00'}` : null;
+  }
+
+  return result && result.start.isCertain('hour') ? format(result.start.date(), 'HH:mm') : null;
+}
+
+/**
+ * Merge an answer (or an edit from the confirmation card) into the draft event
+ * @param {Object} eventDetails - Draft event
+ * @param {string} field - 'title', 'date', 'time', 'duration' (minutes) or 'location'
+ * @param {string} value - Answer from a button or parseClarifyingAnswer
+ * @param {Date} now - Current time, for the "in the past" warning
+ * @param {number} defaultDuration - Length in minutes for an all-day draft given a time (default: 60)
+ * @returns {Object} Updated event details (a new object)
+ */
+function applyClarifyingAnswer(eventDetails, field, value, now = new Date(), defaultDuration = 60) {
+  const updated = {
+    ...eventDetails,
+    unclear: (eventDetails.unclear || []).filter(item => item !== field),
+    ambiguities: (eventDetails.ambiguities || []).filter(item => item !== PAST_DATE_WARNING)
+  };
+
+  if (field === 'title') {
+    updated.summary = value;
+    // The description defaults to the title - keep them together
+    if (!eventDetails.description || eventDetails.description === eventDetails.summary) {
+      updated.description = value;
+    }
+  } else if (field === 'location') {
+    updated.location = value;
+  } else if (field === 'duration') {
+    // An all-day event given a length starts at 9:00
+    const startTime = eventDetails.allDay ? '09:00' : eventDetails.startTime;
+    const end = addMinutes(parseISO(`${eventDetails.date}T${startTime}`), parseInt(value));
+
+    updated.allDay = false;
+    updated.startTime = startTime;
+    updated.endTime = format(end, 'HH:mm');
+    updated.endDate = format(end, 'yyyy-MM-dd');
+  } else if (field === 'date') {
+    // Keep multi-day and overnight spans
+    const span = differenceInCalendarDays(parseISO(eventDetails.endDate || eventDetails.date), parseISO(eventDetails.date));
+    updated.date = value;
+    updated.endDate = format(addDays(parseISO(value), span), 'yyyy-MM-dd');
+  } else if (value === 'allday') {
+    updated.allDay = true;
+    updated.startTime = null;
+    updated.endTime = null;
+    updated.endDate = eventDetails.allDay ? eventDetails.endDate : eventDetails.date;
+    updated.reminderMinutes = null;
+  } else {
+    // Keep the duration (the default length if the draft was all-day)
+    const duration = eventDetails.allDay
+      ? defaultDuration
+      : differenceInMinutes(
+        parseISO(`${eventDetails.endDate || eventDetails.date}T${eventDetails.endTime}`),
+        parseISO(`${eventDetails.date}T${eventDetails.startTime}`)
+      ) || defaultDuration;
+    const end = addMinutes(parseISO(`${eventDetails.date}T${value}`), duration);
+
+    updated.allDay = false;
+    updated.startTime = value;
+    updated.endTime = format(end, 'HH:mm');
+    updated.endDate = format(end, 'yyyy-MM-dd');
+  }
+
+  // Same check as parseEventDetails
+  const start = updated.allDay
+    ? new Date(updated.endDate + 'T23:59')
+    : new Date(updated.date + 'T' + updated.startTime);
+  if (start < now) {
+    updated.ambiguities.push(PAST_DATE_WARNING);
+  }
+
+  return updated;
+}
+
+/**
+ * Lay out a month for the inline date picker
+ * @param {string} month - Month to show (YYYY-MM)
+ * @param {number} weekStartsOn - First column (0 = Sunday, 1 = Monday; default: 1)
+ * @returns {Object} Object with title ("October 2026"), weeks (rows of 7 YYYY-MM-DD days, null outside the month),
+ *   previous and next (YYYY-MM)
+ */
+function buildMonthGrid(month, weekStartsOn = 1) {
+  const first = parseISO(`${month}-01`);
+  const last = endOfMonth(first);
+  const weeks = [];
+
+  for (let day = startOfWeek(first, { weekStartsOn }); day <= endOfWeek(last, { weekStartsOn }); day = addDays(day, 1)) {
+    if (weeks.length === 0 || weeks[weeks.length - 1].length === 7) weeks.push([]);
+    weeks[weeks.length - 1].push(day >= first && day <= last ? format(day, 'yyyy-MM-dd') : null);
+  }
+
+  return {
+    title: format(first, 'MMMM yyyy'),
+    weeks: weeks,
+    previous: format(addMonths(startOfMonth(first), -1), 'yyyy-MM'),
+    next: format(addMonths(startOfMonth(first), 1), 'yyyy-MM')
+  };
+}
+
+/**
+ * List the half-hour times for one block of the inline time grid
+ * @param {number} startHour - First hour of the block (one of TIME_GRID_BLOCKS)
+ * @returns {Array<string>} Times (HH:MM), 12 of them
+ */
+function getTimeGridTimes(startHour) {
+  const times = [];
+  for (let hour = startHour; hour < startHour + 6; hour++) {
+    const padded = String(hour).padStart(2, '0');
+    times.push(`${padded}:00`, `${padded}:30`);
+  }
+  return times;
+}
+
+/**
+ * Pick the time grid block that contains a time (mornings for all-day events)
+ * @param {string|null} startTime - HH:MM, or null
+ * @returns {number} Start hour of the block
+ */
+function getTimeGridBlock(startTime) {
+  if (!startTime) return 6;
+  const hour = parseInt(startTime.split(':')[0]);
+  return TIME_GRID_BLOCKS.filter(block => block <= hour).pop();
+}
+
+/**
+ * Label a day for a date button ("Today", "Tomorrow", "Fri, Oct 23")
+ * @param {string} day - YYYY-MM-DD
+ * @param {Date} today - Current wall-clock time in the user's timezone
+ * @returns {string} Label
+ */
+function describeDay(day, today) {
+  const offset = differenceInCalendarDays(parseISO(day), today);
+  if (offset === 0) return 'Today';
+  if (offset === 1) return 'Tomorrow';
+  return format(parseISO(day), 'EEE, MMM d');
+}
+
+module.exports = getClarifyingQuestions;
+module.exports.buildClarifyingQuestion = buildClarifyingQuestion;
+module.exports.parseClarifyingAnswer = parseClarifyingAnswer;
+module.exports.applyClarifyingAnswer = applyClarifyingAnswer;
+module.exports.buildMonthGrid = buildMonthGrid;
+module.exports.getTimeGridTimes = getTimeGridTimes;
+module.exports.getTimeGridBlock = getTimeGridBlock;
+module.exports.DURATION_OPTIONS = DURATION_OPTIONS;
+module.exports.TIME_GRID_BLOCKS = TIME_GRID_BLOCKS;
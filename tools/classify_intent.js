@@ -0,0 +1,134 @@
+const chrono = require('chrono-node');
+const { generateJSON } = require('./gemini_client');
+const { extractSearchTerm } = require('./search_calendar_events');
+
+// The things a message can ask for ('correct' only when an event was just drafted or created)
+const INTENTS = ['create', 'query', 'update', 'delete', 'free_time', 'search', 'smalltalk', 'correct'];
+
+// Short follow-ups that change the event just drafted or created ("make it 4pm", "call it Budget sync instead")
+const CORRECTION_PATTERN = /^(?:(?:no|actually|oh|sorry|and|also|please)[,.!]?\s+)*(?:(?:make|call|rename|change|move|push|set|put) (?:it|that)|add that|it's at|it is at|at the)\b|\binstead\b/i;
+
+/**
+ * Work out what a message asks for, with Gemini (rules if Gemini is unavailable)
+ * @param {string} text - Message text (or voice transcript)
+ * @param {Object} recentEvent - Event just drafted or created in this chat ({ summary }), or null
+ * @returns {Promise<Object>} Object with intent (one of INTENTS), confidence (0-1), alternatives (other likely intents),
+ *   args ({ timeRange, searchTerm, reply }) and source ('gemini' or 'rules')
+ */
+async function classifyIntent(text, recentEvent = null) {
+  const intents = recentEvent ? INTENTS : INTENTS.filter(intent => intent !== 'correct');
+
+  const prompt = `You are the router of a Telegram calendar assistant. Classify the user's message.
+
+User's message: ${JSON.stringify(text)}
+
+Intents:
+- create: add a new event ("Lunch with Tom Friday at noon", "What a great idea, lunch with Tom Friday")
+- query: list events in a time range ("Meetings next week?", "What's on tomorrow?", "Show me this weekend")
+- update: move, reschedule or rename an existing event ("Push the dentist to 4pm")
+- delete: cancel or remove an existing event ("Cancel lunch with Sarah")
+- free_time: find open slots ("When am I free Thursday afternoon?", "Do I have time for a 2 hour call tomorrow?")
+- search: find a specific event by name, past or future ("When is my next haircut?", "When was the last dentist visit?")
+- smalltalk: greetings, thanks, questions about the bot ("hi", "thanks!", "what can you do?")
+${recentEvent ? `- correct: change the event that was just drafted or created, ${JSON.stringify(recentEvent.summary)} ("make it 4pm", "call it Budget sync instead", "add that it's at the office")\n` : ''}
+Return a JSON object:
+{
+  "intent": "one of: ${intents.join(', ')}",
+  "confidence": 0.0-1.0 (how sure you are),
+  "alternatives": ["other intents that are plausible, most likely first, empty if none"],
+  "timeRange": "the time expression for query/free_time (e.g. 'next week'), else null",
+  "searchTerm": "what to look for, for search (e.g. 'haircut'), else null",
+  "reply": "for smalltalk only: a short, friendly reply (one sentence), else null"
+}
+
+Rules:
+- Judge the whole message, not single words: "what" or "schedule" alone doesn't make a query
+- A message naming an activity with a date or time is usually create
+- A question about a time range ("Meetings next week?") is a query
+- Be honest with confidence: below 0.6 if the message could reasonably mean two things${recentEvent ? `
+- A short message about "it" or "that" without naming another event is correct, not update` : ''}`;
+
+  try {
+    const result = await generateJSON(prompt, { temperature: 0, maxRetries: 1 });
+
+    if (!intents.includes(result.intent)) {
+      throw new Error(`Unknown intent "${result.intent}"`);
+    }
+
+    const confidence = parseFloat(result.confidence);
+
+    return {
+      intent: result.intent,
+      confidence: confidence >= 0 && confidence <= 1 ? confidence : 0.5,
+      alternatives: (result.alternatives || []).filter(intent => intents.includes(intent) && intent !== result.intent),
+      args: {
+        timeRange: result.timeRange || null,
+        searchTerm: result.searchTerm || (result.intent === 'search' ? extractSearchTerm(text) : null),
+        reply: result.reply || null
+      },
+      source: 'gemini'
+    };
+
+  } catch (error) {
+    // Gemini is down or rate-limited - the rules still handle the common phrasings
+    return classifyIntentByRules(text, recentEvent);
+  }
+}
+
+/**
+ * Classify a message with keyword rules (the fallback when Gemini is unavailable)
+ * @param {string} text - Message text
+ * @param {Object} recentEvent - Event just drafted or created in this chat, or null
+ * @returns {Object} Same shape as classifyIntent
+ */
+function classifyIntentByRules(text, recentEvent = null) {
+  const trimmed = (text || '').trim();
+  const lower = trimmed.toLowerCase();
+  const hasDate = chrono.parse(trimmed).length > 0;
+  const hasClockTime = /\b\d{1,2}(:\d{2})?\s*(am|pm)\b|\b\d{1,2}:\d{2}\b|\bnoon\b/i.test(trimmed);
+  const result = (intent, confidence, args = {}, alternatives = []) => ({
+    intent,
+    confidence,
+    alternatives,
+    args: { timeRange: null, searchTerm: null, reply: null, ...args },
+    source: 'rules'
+  });
+
+  if (recentEvent && CORRECTION_PATTERN.test(trimmed)) {
+    return result('correct', 0.8, {}, ['update']);
+  }
+
+  if (/\b(am i free|free time|free slots?|when can i|availability|am i available)\b/i.test(trimmed)) {
+    return result('free_time', 0.8);
+  }
+
+  if (/^(when(?:'s| is| was)|find|search|look up)\b/i.test(trimmed)) {
+    return result('search', 0.8, { searchTerm: extractSearchTerm(trimmed) });
+  }
+
+  if (/^(please\s+)?(cancel|delete|remove)\b/i.test(trimmed)) {
+    return result('delete', 0.8);
+  }
+
+  if (/^(please\s+)?(move|reschedule|rename|postpone|push|shift|change|edit|update)\b/i.test(trimmed)) {
+    return result('update', 0.8);
+  }
+
+  if (/^(hi|hello|hey|thanks|thank you|help|good (morning|evening|night)|what can you do|who are you)\b[\s!.?]*$/i.test(trimmed)) {
+    return result('smalltalk', 0.8);
+  }
+
+  // Questions about a period ("Meetings next week?", "What's on tomorrow?") - but not "What a great idea, lunch Friday"
+  const asksAboutSchedule = /^(what(?:'s| is| are| do| does)|show|list|any\b|do i have|how(?:'s| does| is)\b.*\blook)/i.test(trimmed) ||
+    /\b(my (plans|schedule|calendar|agenda)|on my calendar|any events)\b/i.test(lower);
+  if (asksAboutSchedule || (trimmed.endsWith('?') && !hasClockTime)) {
+    return result('query', asksAboutSchedule ? 0.8 : 0.7, {}, ['create']);
+  }
+
+  // Anything else with a date is a new event; without one it could be a lot of things
+  return hasDate ? result('create', 0.7, {}, ['query']) : result('create', 0.4, {}, ['search', 'query']);
+}
+
+module.exports = classifyIntent;
+module.exports.classifyIntentByRules = classifyIntentByRules;
+module.exports.INTENTS = INTENTS;
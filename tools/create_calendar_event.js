@@ -1,4 +1,9 @@
+const crypto = require('crypto');
 const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+const buildRecurrenceRule = require('./build_recurrence_rule');
+const { validateRecurrence } = require('./build_recurrence_rule');
+const { format, addDays, parseISO } = require('date-fns');
 require('dotenv').config();
 
 /**
@@ -6,18 +11,30 @@ require('dotenv').config();
  * @param {Object} eventDetails - Structured event data
  * @param {string} eventDetails.summary - Event title
  * @param {string} eventDetails.description - Event description
- * @param {string} eventDetails.date - Event date (YYYY-MM-DD)
- * @param {string} eventDetails.startTime - Start time (HH:MM)
- * @param {string} eventDetails.endTime - End time (HH:MM)
+ * @param {string} eventDetails.location - Event location (optional)
+ * @param {string} eventDetails.date - Event start date (YYYY-MM-DD)
+ * @param {string} eventDetails.endDate - Event end date (YYYY-MM-DD, inclusive, defaults to date)
+ * @param {boolean} eventDetails.allDay - True for all-day events (no start/end times)
+ * @param {string} eventDetails.startTime - Start time (HH:MM), omitted for all-day events
+ * @param {string} eventDetails.endTime - End time (HH:MM), omitted for all-day events
+ * @param {Object} eventDetails.recurrence - Recurrence data (optional, see build_recurrence_rule.js)
+ * @param {Array<Object>} eventDetails.attendees - People to invite ([{ email, name }], optional)
+ * @param {boolean} eventDetails.addMeet - Attach a Google Meet link (optional)
+ * @param {number} eventDetails.reminderMinutes - Telegram reminder lead time for this event (optional)
+ * @param {string} eventDetails.sendUpdates - Invitation emails: 'all' or 'none' (default: 'none')
+ * @param {Object} eventDetails.requestedBy - Group member who asked for the event ({ id, name }, optional)
  * @param {string} timezone - Timezone for the event (default: from env or America/Los_Angeles)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
  * @returns {Promise<Object>} Created event with id, htmlLink, and summary
  */
-async function createCalendarEvent(eventDetails, timezone = null) {
-  const { summary, description, date, startTime, endTime } = eventDetails;
+async function createCalendarEvent(eventDetails, timezone = null, userId = null) {
+  const { summary, description, date, startTime, endTime, allDay, recurrence, attendees, addMeet, reminderMinutes, requestedBy } = eventDetails;
+  const sendUpdates = eventDetails.sendUpdates || 'none';
+  const endDate = eventDetails.endDate || date;
 
   // Use timezone from params, env, or default
   const eventTimezone = timezone || process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/Los_Angeles';
-  const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+  const calendarId = await getCalendarId(userId);
 
   // Validate event data
   const errors = validateEventData(eventDetails);
@@ -27,29 +44,64 @@ async function createCalendarEvent(eventDetails, timezone = null) {
 
   try {
     // Get authenticated Calendar API client
-    const calendar = await getCalendarClient();
+    const calendar = await getCalendarClient(userId);
 
     // Format the event for Google Calendar API
     const event = {
       summary: summary,
       description: description || summary,
-      start: {
-        dateTime: `${date}T${startTime}:00`,
-        timeZone: eventTimezone,
-      },
-      end: {
-        dateTime: `${date}T${endTime}:00`,
-        timeZone: eventTimezone,
-      },
+      location: eventDetails.location || undefined,
+      start: allDay
+        ? { date: date }
+        : { dateTime: `${date}T${startTime}:00`, timeZone: eventTimezone },
+      end: allDay
+        ? { date: format(addDays(parseISO(endDate), 1), 'yyyy-MM-dd') } // All-day end date is exclusive
+        : { dateTime: `${endDate}T${endTime}:00`, timeZone: eventTimezone },
       reminders: {
         useDefault: true, // Use calendar's default reminder settings
       },
     };
 
+    if (recurrence) {
+      event.recurrence = [buildRecurrenceRule(recurrence, eventTimezone)];
+    }
+
+    if (attendees && attendees.length > 0) {
+      event.attendees = attendees.map(attendee => ({
+        email: attendee.email,
+        displayName: attendee.name || undefined,
+      }));
+    }
+
+    // Read back by the Telegram reminder poller (see simplifyEvent)
+    if (reminderMinutes) {
+      event.extendedProperties = {
+        private: { reminderMinutes: String(reminderMinutes) },
+      };
+    }
+
+    // Events from a group chat all land in one person's calendar - note who asked, where the team can see it
+    if (requestedBy) {
+      event.description = `${event.description}\n\nRequested by ${requestedBy.name || requestedBy.id} via Telegram`;
+      event.extendedProperties = event.extendedProperties || { private: {} };
+      event.extendedProperties.private.requestedById = String(requestedBy.id);
+    }
+
+    if (addMeet) {
+      event.conferenceData = {
+        createRequest: {
+          requestId: crypto.randomUUID(), // Must be unique per request
+          conferenceSolutionKey: { type: 'hangoutsMeet' },
+        },
+      };
+    }
+
     // Create the event
     const response = await calendar.events.insert({
       calendarId: calendarId,
       resource: event,
+      conferenceDataVersion: addMeet ? 1 : 0, // Required for conferenceData to be saved
+      sendUpdates: sendUpdates,
     });
 
     const createdEvent = response.data;
@@ -60,7 +112,13 @@ async function createCalendarEvent(eventDetails, timezone = null) {
       summary: createdEvent.summary,
       start: createdEvent.start.dateTime || createdEvent.start.date,
       end: createdEvent.end.dateTime || createdEvent.end.date,
-      description: createdEvent.description,
+      description: description || summary, // Without the "Requested by" note - that has its own line
+      location: createdEvent.location || null,
+      recurrence: createdEvent.recurrence || null,
+      attendees: (createdEvent.attendees || []).map(attendee => attendee.email),
+      meetLink: getMeetLink(createdEvent),
+      reminderMinutes: reminderMinutes || null,
+      requestedBy: requestedBy ? requestedBy.name || String(requestedBy.id) : null,
     };
 
   } catch (error) {
@@ -68,7 +126,7 @@ async function createCalendarEvent(eventDetails, timezone = null) {
     if (error.code === 401 || error.code === 403) {
       throw new Error('Google Calendar authentication failed. Please check your credentials.');
     } else if (error.code === 404) {
-      throw new Error('Calendar not found. Please check GOOGLE_CALENDAR_ID in .env');
+      throw new Error('Calendar not found. Please pick another calendar in /settings (or check GOOGLE_CALENDAR_ID in .env)');
     } else if (error.code === 429) {
       throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
     }
@@ -77,6 +135,21 @@ async function createCalendarEvent(eventDetails, timezone = null) {
   }
 }
 
+/**
+ * Get the Google Meet join link from a Calendar API event
+ * @param {Object} event - Event resource from the Calendar API
+ * @returns {string|null} Meet URL or null if the event has no conference
+ */
+function getMeetLink(event) {
+  if (event.hangoutLink) {
+    return event.hangoutLink;
+  }
+
+  const entryPoints = (event.conferenceData && event.conferenceData.entryPoints) || [];
+  const video = entryPoints.find(entry => entry.entryPointType === 'video');
+  return video ? video.uri : null;
+}
+
 /**
  * Validate event data before creating calendar entry
  * @param {Object} eventDetails - Event details to validate
@@ -93,7 +166,7 @@ function validateEventData(eventDetails) {
     errors.push('Event must have a date');
   }
 
-  if (!eventDetails.startTime || !eventDetails.endTime) {
+  if (!eventDetails.allDay && (!eventDetails.startTime || !eventDetails.endTime)) {
     errors.push('Event must have start and end times');
   }
 
@@ -102,6 +175,10 @@ function validateEventData(eventDetails) {
     errors.push('Date must be in YYYY-MM-DD format');
   }
 
+  if (eventDetails.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(eventDetails.endDate)) {
+    errors.push('End date must be in YYYY-MM-DD format');
+  }
+
   // Validate time format (HH:MM)
   if (eventDetails.startTime && !/^\d{2}:\d{2}$/.test(eventDetails.startTime)) {
     errors.push('Start time must be in HH:MM format');
@@ -111,16 +188,35 @@ function validateEventData(eventDetails) {
     errors.push('End time must be in HH:MM format');
   }
 
-  // Validate that end time is after start time
-  if (eventDetails.startTime && eventDetails.endTime) {
-    const start = new Date(`2000-01-01T${eventDetails.startTime}:00`);
-    const end = new Date(`2000-01-01T${eventDetails.endTime}:00`);
+  // Validate that the event ends after it starts (may cross midnight via endDate)
+  const endDate = eventDetails.endDate || eventDetails.date;
+  if (eventDetails.allDay) {
+    if (eventDetails.date && endDate < eventDetails.date) {
+      errors.push('Event end date must not be before start date');
+    }
+  } else if (eventDetails.date && eventDetails.startTime && eventDetails.endTime) {
+    const start = new Date(`${eventDetails.date}T${eventDetails.startTime}:00`);
+    const end = new Date(`${endDate}T${eventDetails.endTime}:00`);
 
     if (end <= start) {
       errors.push('Event end time must be after start time');
     }
   }
 
+  (eventDetails.attendees || []).forEach(attendee => {
+    if (!attendee.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(attendee.email)) {
+      errors.push(`Invalid attendee email: ${attendee.email}`);
+    }
+  });
+
+  if (eventDetails.sendUpdates && !['all', 'externalOnly', 'none'].includes(eventDetails.sendUpdates)) {
+    errors.push('sendUpdates must be all, externalOnly or none');
+  }
+
+  if (eventDetails.recurrence) {
+    validateRecurrence(eventDetails.recurrence).forEach(error => errors.push(error));
+  }
+
   // Check if date is not too far in the past
   if (eventDetails.date) {
     const eventDate = new Date(eventDetails.date);
@@ -139,3 +235,4 @@ function validateEventData(eventDetails) {
 
 module.exports = createCalendarEvent;
 module.exports.validateEventData = validateEventData;
+module.exports.getMeetLink = getMeetLink;
@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getTodayEvents, getTomorrowEvents } = require('./query_calendar_events');
+const formatEventsMessage = require('./format_events_message');
+const { formatInTimeZone } = require('date-fns-tz');
+const { getAdminIds } = require('./user_accounts');
+require('dotenv').config();
+
+// Each user's schedule and delivery record, kept on disk so a restart doesn't resend today's digest
+const SETTINGS_PATH = path.join(__dirname, '..', '.tmp', 'digest_settings.json');
+
+// A digest missed by more than this (bot was down) is skipped instead of sent late
+const DIGEST_GRACE_MINUTES = 60;
+
+const DIGEST_KINDS = ['morning', 'evening'];
+
+/**
+ * Get the default digest settings for one user (times from env, disabled until turned on)
+ * @returns {Object} Default settings
+ */
+function getDefaultSettings() {
+  return {
+    enabled: false,
+    chatId: null,
+    morning: process.env.DIGEST_MORNING_TIME || '07:30',
+    evening: process.env.DIGEST_EVENING_TIME || '21:00',
+    lastSent: { morning: null, evening: null }
+  };
+}
+
+/**
+ * Load every user's digest settings from disk
+ * @returns {Promise<Object>} Settings by Telegram user ID, each with enabled, chatId, morning/evening (HH:MM or null)
+ *   and lastSent dates
+ */
+async function loadDigestSettings() {
+  let saved;
+  try {
+    const content = await fs.readFile(SETTINGS_PATH);
+    saved = JSON.parse(content);
+  } catch (error) {
+    // No settings saved yet
+    return {};
+  }
+
+  // Files from before multi-user mode hold one schedule - it belongs to whoever set it (else the first admin)
+  if (saved.lastSent) {
+    const { userId, ...settings } = saved;
+    const ownerId = userId || getAdminIds()[0];
+    saved = ownerId ? { [ownerId]: settings } : {};
+  }
+
+  const settingsByUser = {};
+  Object.entries(saved).forEach(([userId, settings]) => {
+    const defaults = getDefaultSettings();
+    settingsByUser[userId] = { ...defaults, ...settings, lastSent: { ...defaults.lastSent, ...settings.lastSent } };
+  });
+  return settingsByUser;
+}
+
+/**
+ * Get one user's digest settings, starting them on the defaults if they have none yet
+ * @param {Object} settingsByUser - Settings from loadDigestSettings (updated in place)
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} The user's settings (see getDefaultSettings)
+ */
+function getUserDigestSettings(settingsByUser, userId) {
+  if (!settingsByUser[userId]) {
+    settingsByUser[userId] = getDefaultSettings();
+  }
+  return settingsByUser[userId];
+}
+
+/**
+ * Save every user's digest settings to disk
+ * @param {Object} settingsByUser - Settings by Telegram user ID
+ */
+async function saveDigestSettings(settingsByUser) {
+  await fs.mkdir(path.dirname(SETTINGS_PATH), { recursive: true });
+  await fs.writeFile(SETTINGS_PATH, JSON.stringify(settingsByUser, null, 2));
+}
+
+/**
+ * Work out which digests are due right now
+ * @param {Object} settings - Digest settings
+ * @param {Date} now - Current time
+ * @param {string} timezone - Timezone the schedule is in
+ * @returns {Array<string>} Due digest kinds ("morning", "evening")
+ */
+function getDueDigests(settings, now, timezone = 'America/Los_Angeles') {
+  if (!settings.enabled || !settings.chatId) {
+    return [];
+  }
+
+  const today = formatInTimeZone(now, timezone, 'yyyy-MM-dd');
+  const [hours, minutes] = formatInTimeZone(now, timezone, 'HH:mm').split(':').map(Number);
+  const nowMinutes = hours * 60 + minutes;
+
+  return DIGEST_KINDS.filter(kind => {
+    if (!settings[kind] || settings.lastSent[kind] === today) return false;
+
+    const [scheduledHours, scheduledMinutes] = settings[kind].split(':').map(Number);
+    const lateBy = nowMinutes - (scheduledHours * 60 + scheduledMinutes);
+    return lateBy >= 0 && lateBy <= DIGEST_GRACE_MINUTES;
+  });
+}
+
+/**
+ * Build the digest message: today's agenda in the morning, tomorrow's preview in the evening
+ * @param {string} kind - "morning" or "evening"
+ * @param {string} timezone - User's timezone
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<string>} Formatted Markdown message for Telegram
+ */
+async function buildDigestMessage(kind, timezone = 'America/Los_Angeles', userId = null) {
+  if (kind === 'morning') {
+    const events = await getTodayEvents(timezone, userId);
+    return `☀️ *Good morning!* Here's your day.\n\n${formatEventsMessage(events, 'today', null, timezone)}`;
+  }
+
+  const events = await getTomorrowEvents(timezone, userId);
+  return `🌙 *Evening preview* - here's what's coming up.\n\n${formatEventsMessage(events, 'tomorrow', null, timezone)}`;
+}
+
+/**
+ * Parse a digest time ("7:30", "07:30", "9pm", "9:15 am")
+ * @param {string} text - Time text
+ * @returns {string|null} Time as HH:MM, or null if it isn't a valid time
+ */
+function parseDigestTime(text) {
+  const match = (text || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3];
+
+  // A bare hour ("7") is ambiguous, ask for "7:00" or "7am"
+  if (!match[2] && !meridiem) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format the current digest schedule for Telegram
+ * @param {Object} settings - Digest settings
+ * @param {string} timezone - Timezone the schedule is in
+ * @returns {string} Formatted Markdown message
+ */
+function formatDigestSettings(settings, timezone = 'America/Los_Angeles') {
+  let message = `🗞 *Daily digest: ${settings.enabled ? 'on' : 'off'}*\n\n`;
+  message += `☀️ Morning agenda: ${settings.morning || 'off'}\n`;
+  message += `🌙 Evening preview: ${settings.evening || 'off'}\n`;
+  message += `🌍 Times are in ${timezone}\n\n`;
+  message += '_/digest on, /digest off, /digest morning 7:00, /digest evening off_';
+  return message;
+}
+
+module.exports = buildDigestMessage;
+module.exports.loadDigestSettings = loadDigestSettings;
+module.exports.saveDigestSettings = saveDigestSettings;
+module.exports.getUserDigestSettings = getUserDigestSettings;
+module.exports.getDueDigests = getDueDigests;
+module.exports.parseDigestTime = parseDigestTime;
+module.exports.formatDigestSettings = formatDigestSettings;
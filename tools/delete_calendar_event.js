@@ -0,0 +1,45 @@
+const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+require('dotenv').config();
+
+/**
+ * Delete an event from Google Calendar
+ * @param {string} eventId - Google Calendar event ID (an instance ID deletes one occurrence,
+ *   a recurring event ID deletes the whole series)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object>} Object with the deleted event id
+ */
+async function deleteCalendarEvent(eventId, userId = null) {
+  const calendarId = await getCalendarId(userId);
+
+  if (!eventId) {
+    throw new Error('Invalid event data: Event ID is required');
+  }
+
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    // Delete the event
+    await calendar.events.delete({
+      calendarId: calendarId,
+      eventId: eventId,
+    });
+
+    return { id: eventId };
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 404 || error.code === 410) {
+      throw new Error('Event not found. It may have already been deleted.');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to delete calendar event: ${error.message}`);
+  }
+}
+
+module.exports = deleteCalendarEvent;
@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { addMinutes, addDays, parseISO } = require('date-fns');
+const { getAdminIds } = require('./user_accounts');
+require('dotenv').config();
+
+// Each user's settings and sent reminders, kept on disk so a restart doesn't remind twice
+const STATE_PATH = path.join(__dirname, '..', '.tmp', 'reminders.json');
+
+// Longest lead time supported (1 day) - also how far ahead the poller looks
+const MAX_REMINDER_MINUTES = 24 * 60;
+
+// Sent reminders are kept this long after the event started, then forgotten
+const KEEP_SENT_DAYS = 1;
+
+/**
+ * Get the default reminder state for one user (lead time from env, off until they turn it on)
+ * @returns {Object} Default state
+ */
+function getDefaultState() {
+  const envMinutes = parseInt(process.env.REMINDER_MINUTES_BEFORE);
+
+  return {
+    enabled: false,
+    chatId: null, // Defaults to the user's private chat
+    minutesBefore: Number.isNaN(envMinutes) ? 10 : envMinutes,
+    nextId: 1,
+    reminders: {}
+  };
+}
+
+/**
+ * Load every user's reminder settings and sent reminders from disk
+ * @returns {Promise<Object>} States by Telegram user ID, each with enabled, chatId, minutesBefore, nextId
+ *   and reminders (keyed by event and start)
+ */
+async function loadReminderState() {
+  let saved;
+  try {
+    const content = await fs.readFile(STATE_PATH);
+    saved = JSON.parse(content);
+  } catch (error) {
+    // Nothing saved yet
+    return {};
+  }
+
+  // Files from before multi-user mode hold one state - it belongs to whoever set it (else the first admin)
+  if (saved.reminders) {
+    const { userId, ...state } = saved;
+    const ownerId = userId || getAdminIds()[0];
+    saved = ownerId ? { [ownerId]: state } : {};
+  }
+
+  const states = {};
+  Object.entries(saved).forEach(([userId, state]) => {
+    states[userId] = { ...getDefaultState(), ...state };
+  });
+  return states;
+}
+
+/**
+ * Get one user's reminder state, starting them on the defaults if they have none yet
+ * @param {Object} states - States from loadReminderState (updated in place)
+ * @param {number} userId - Telegram user ID
+ * @returns {Object} The user's state (see getDefaultState)
+ */
+function getUserReminderState(states, userId) {
+  if (!states[userId]) {
+    states[userId] = getDefaultState();
+  }
+  return states[userId];
+}
+
+/**
+ * Save every user's reminder state to disk
+ * @param {Object} states - States by Telegram user ID
+ */
+async function saveReminderState(states) {
+  await fs.mkdir(path.dirname(STATE_PATH), { recursive: true });
+  await fs.writeFile(STATE_PATH, JSON.stringify(states, null, 2));
+}
+
+/**
+ * Find reminders that should go out now and mark them as sent
+ * @param {Object} state - Reminder state (updated in place)
+ * @param {Array} events - Upcoming events from queryCalendarEvents
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Reminders to send ({ id, eventId, summary, start, location, htmlLink })
+ */
+function collectDueReminders(state, events, now) {
+  const due = [];
+
+  // New reminders: lead time reached and the event hasn't started yet
+  events
+    .filter(event => !event.isAllDay)
+    .forEach(event => {
+      // Keyed by start too, so a rescheduled event gets a fresh reminder
+      const key = `${event.id}|${event.start}`;
+      const minutesBefore = event.reminderMinutes || state.minutesBefore;
+      const start = parseISO(event.start);
+
+      if (!minutesBefore || state.reminders[key]) return;
+      if (now < addMinutes(start, -minutesBefore) || now >= start) return;
+
+      const reminder = {
+        id: state.nextId++,
+        eventId: event.id,
+        summary: event.summary,
+        start: event.start,
+        location: event.location,
+        htmlLink: event.htmlLink,
+        sentAt: now.toISOString(),
+        snoozeUntil: null
+      };
+      state.reminders[key] = reminder;
+      due.push(reminder);
+    });
+
+  // Snoozed reminders that are up again
+  Object.values(state.reminders)
+    .filter(reminder => reminder.snoozeUntil && now >= parseISO(reminder.snoozeUntil))
+    .forEach(reminder => {
+      reminder.snoozeUntil = null;
+      reminder.sentAt = now.toISOString();
+      due.push(reminder);
+    });
+
+  return due;
+}
+
+/**
+ * Snooze a sent reminder
+ * @param {Object} state - Reminder state (updated in place)
+ * @param {number} reminderId - Reminder ID from the button
+ * @param {number} minutes - How long to snooze
+ * @param {Date} now - Current time
+ * @returns {Object|null} The snoozed reminder, or null if it is no longer known
+ */
+function snoozeReminder(state, reminderId, minutes, now) {
+  const reminder = Object.values(state.reminders).find(entry => entry.id === reminderId);
+  if (!reminder) return null;
+
+  reminder.snoozeUntil = addMinutes(now, minutes).toISOString();
+  return reminder;
+}
+
+/**
+ * Forget reminders for events that started more than a day ago (unless still snoozed)
+ * @param {Object} state - Reminder state (updated in place)
+ * @param {Date} now - Current time
+ */
+function pruneReminders(state, now) {
+  const cutoff = addDays(now, -KEEP_SENT_DAYS);
+
+  Object.entries(state.reminders).forEach(([key, reminder]) => {
+    if (parseISO(reminder.start) < cutoff && !reminder.snoozeUntil) {
+      delete state.reminders[key];
+    }
+  });
+}
+
+module.exports = collectDueReminders;
+module.exports.loadReminderState = loadReminderState;
+module.exports.saveReminderState = saveReminderState;
+module.exports.getUserReminderState = getUserReminderState;
+module.exports.snoozeReminder = snoozeReminder;
+module.exports.pruneReminders = pruneReminders;
+module.exports.MAX_REMINDER_MINUTES = MAX_REMINDER_MINUTES;
@@ -0,0 +1,308 @@
+const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+const { queryCalendarEventsPage } = require('./query_calendar_events');
+const { parseRecurrenceRule, describeRecurrence } = require('./build_recurrence_rule');
+const { format, parseISO, addDays } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+require('dotenv').config();
+
+const EXPORT_PAGE_SIZE = 250; // Largest page the Calendar API returns
+const MAX_EXPORT_EVENTS = 2500; // Safety limit for very long ranges ("the last 5 years")
+
+/**
+ * Export the events in a date range as an .ics or CSV file
+ * @param {string} startDate - Start of range (ISO 8601, local times are read in the timezone)
+ * @param {string} endDate - End of range (ISO 8601, local times are read in the timezone)
+ * @param {Object} options - Optional configuration
+ * @param {string} options.format - 'ics' (default) or 'csv'
+ * @param {string} options.timezone - User's timezone (default: America/Los_Angeles)
+ * @param {number} options.userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object>} Object with content, eventCount, truncated, extension and mimeType
+ */
+async function exportCalendarEvents(startDate, endDate, options = {}) {
+  const { format: fileFormat = 'ics', timezone = 'America/Los_Angeles', userId = null } = options;
+
+  const { events, truncated } = await fetchEventsForExport(
+    toRangeBound(startDate, timezone),
+    toRangeBound(endDate, timezone),
+    userId
+  );
+  const series = await fetchRecurringSeries(events, userId);
+
+  if (fileFormat === 'csv') {
+    return {
+      content: buildCSV(events, series, timezone),
+      eventCount: events.length,
+      truncated: truncated,
+      extension: 'csv',
+      mimeType: 'text/csv'
+    };
+  }
+
+  return {
+    content: buildICS(events, series, timezone),
+    eventCount: events.length,
+    truncated: truncated,
+    extension: 'ics',
+    mimeType: 'text/calendar'
+  };
+}
+
+/**
+ * Fetch every event in a range, following nextPageToken
+ * @param {string} startDate - Start of range (ISO 8601 datetime)
+ * @param {string} endDate - End of range (ISO 8601 datetime)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object>} Object with events and truncated (true if MAX_EXPORT_EVENTS was reached)
+ */
+async function fetchEventsForExport(startDate, endDate, userId = null) {
+  let events = [];
+  let pageToken = null;
+
+  do {
+    const page = await queryCalendarEventsPage(startDate, endDate, { pageSize: EXPORT_PAGE_SIZE, pageToken: pageToken, userId: userId });
+    events = events.concat(page.events);
+    pageToken = page.nextPageToken;
+  } while (pageToken && events.length < MAX_EXPORT_EVENTS);
+
+  return {
+    events: events.slice(0, MAX_EXPORT_EVENTS),
+    truncated: !!pageToken || events.length > MAX_EXPORT_EVENTS
+  };
+}
+
+/**
+ * Fetch the repeating series the exported occurrences belong to (for RRULE and "Repeats")
+ * @param {Array} events - Simplified events from queryCalendarEventsPage
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Map>} Series event resources by recurringEventId
+ */
+async function fetchRecurringSeries(events, userId = null) {
+  const calendarId = await getCalendarId(userId);
+  const seriesIds = [...new Set(events.map(event => event.recurringEventId).filter(Boolean))];
+  const series = new Map();
+
+  if (seriesIds.length === 0) {
+    return series;
+  }
+
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    for (const seriesId of seriesIds) {
+      const response = await calendar.events.get({ calendarId: calendarId, eventId: seriesId });
+      series.set(seriesId, response.data);
+    }
+
+    return series;
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to fetch repeating events: ${error.message}`);
+  }
+}
+
+/**
+ * Build an iCalendar file. Repeating events are written once, as the series with its RRULE
+ * (like Google's own export), so calendar apps show the same pattern.
+ * @param {Array} events - Simplified events
+ * @param {Map} series - Series event resources by recurringEventId
+ * @param {string} timezone - User's timezone
+ * @returns {string} File contents (CRLF line endings)
+ */
+function buildICS(events, series, timezone = 'America/Los_Angeles') {
+  const stamp = formatICSDateTime(new Date().toISOString());
+  const written = new Set();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Telegram Calendar Bot//Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  events.forEach(event => {
+    const master = event.recurringEventId ? series.get(event.recurringEventId) : null;
+    const key = master ? master.id : event.id;
+    if (written.has(key)) return;
+    written.add(key);
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${(master ? master.iCalUID : event.iCalUID) || `${key}@google.com`}`);
+    lines.push(`DTSTAMP:${stamp}`);
+
+    if (master) {
+      // The series keeps its own start and zone, so the RRULE expands to the right local times
+      lines.push(...formatSeriesTimes(master, timezone));
+      (master.recurrence || []).forEach(rule => lines.push(rule));
+    } else if (event.isAllDay) {
+      lines.push(`DTSTART;VALUE=DATE:${event.start.replace(/-/g, '')}`);
+      lines.push(`DTEND;VALUE=DATE:${event.end.replace(/-/g, '')}`);
+    } else {
+      lines.push(`DTSTART:${formatICSDateTime(event.start)}`);
+      lines.push(`DTEND:${formatICSDateTime(event.end)}`);
+    }
+
+    const source = master || event;
+    lines.push(`SUMMARY:${escapeICSText(source.summary || '(No title)')}`);
+    if (source.description) lines.push(`DESCRIPTION:${escapeICSText(source.description)}`);
+    if (source.location) lines.push(`LOCATION:${escapeICSText(source.location)}`);
+    if (event.htmlLink) lines.push(`URL:${event.htmlLink}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format DTSTART/DTEND of a repeating series in its own timezone
+ * @param {Object} master - Series event resource
+ * @param {string} timezone - Fallback timezone
+ * @returns {Array<string>} DTSTART and DTEND lines
+ */
+function formatSeriesTimes(master, timezone) {
+  if (master.start.date) {
+    return [
+      `DTSTART;VALUE=DATE:${master.start.date.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${master.end.date.replace(/-/g, '')}`
+    ];
+  }
+
+  const zone = master.start.timeZone || timezone;
+  return [
+    `DTSTART;TZID=${zone}:${formatInTimeZone(parseISO(master.start.dateTime), zone, "yyyyMMdd'T'HHmmss")}`,
+    `DTEND;TZID=${zone}:${formatInTimeZone(parseISO(master.end.dateTime), zone, "yyyyMMdd'T'HHmmss")}`
+  ];
+}
+
+/**
+ * Build a CSV file with one row per occurrence (opens in Excel, Numbers, Google Sheets)
+ * @param {Array} events - Simplified events
+ * @param {Map} series - Series event resources by recurringEventId
+ * @param {string} timezone - Timezone the dates and times are written in
+ * @returns {string} File contents (UTF-8 with byte order mark, CRLF line endings)
+ */
+function buildCSV(events, series, timezone = 'America/Los_Angeles') {
+  const header = ['Subject', 'Start Date', 'Start Time', 'End Date', 'End Time', 'All Day Event', 'Location', 'Description', 'Repeats'];
+
+  const rows = events.map(event => {
+    const master = event.recurringEventId ? series.get(event.recurringEventId) : null;
+    const rule = master && (master.recurrence || []).find(line => line.startsWith('RRULE:'));
+    const recurrence = rule ? parseRecurrenceRule(rule, timezone) : null;
+    const repeats = recurrence ? describeRecurrence(recurrence) : (master ? 'yes' : '');
+
+    // All-day end dates are exclusive in the API - show the last day instead
+    const start = event.isAllDay ? [event.start, ''] : formatCSVDateTime(event.start, timezone);
+    const end = event.isAllDay ? [format(addDays(parseISO(event.end), -1), 'yyyy-MM-dd'), ''] : formatCSVDateTime(event.end, timezone);
+
+    return [
+      event.summary,
+      start[0], start[1],
+      end[0], end[1],
+      event.isAllDay ? 'True' : 'False',
+      event.location || '',
+      event.description || '',
+      repeats
+    ];
+  });
+
+  // The byte order mark makes Excel read the file as UTF-8 (accents, emoji)
+  return '\uFEFF' + [header].concat(rows)
+    .map(row => row.map(escapeCSVField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Format a timestamp as a CSV date and time in a timezone
+ * @param {string} dateTime - ISO 8601 datetime
+ * @param {string} timezone - Timezone
+ * @returns {Array<string>} [YYYY-MM-DD, HH:MM]
+ */
+function formatCSVDateTime(dateTime, timezone) {
+  const date = parseISO(dateTime);
+  return [formatInTimeZone(date, timezone, 'yyyy-MM-dd'), formatInTimeZone(date, timezone, 'HH:mm')];
+}
+
+/**
+ * Quote a CSV field if it contains commas, quotes or line breaks
+ * @param {string} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCSVField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC datetime (20261106T190000Z)
+ * @param {string} dateTime - ISO 8601 datetime
+ * @returns {string} iCalendar datetime
+ */
+function formatICSDateTime(dateTime) {
+  return new Date(dateTime).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape iCalendar TEXT values (the reverse of parseICS's unescaping)
+ * @param {string} value - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeICSText(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line longer than 75 bytes (continuation lines start with a space)
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldICSLine(line) {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+
+  // Count bytes, not characters, and never split a multi-byte character
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // The leading space takes one byte
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Turn a range bound into an ISO timestamp the Calendar API accepts
+ * @param {string} value - ISO 8601 datetime, with or without offset
+ * @param {string} timezone - Timezone for local times (as returned by parseTimeRange)
+ * @returns {string} ISO 8601 datetime in UTC
+ */
+function toRangeBound(value, timezone) {
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(value)) {
+    return new Date(value).toISOString();
+  }
+  return fromZonedTime(value, timezone).toISOString();
+}
+
+module.exports = exportCalendarEvents;
+module.exports.fetchEventsForExport = fetchEventsForExport;
+module.exports.buildICS = buildICS;
+module.exports.buildCSV = buildCSV;
+module.exports.MAX_EXPORT_EVENTS = MAX_EXPORT_EVENTS;
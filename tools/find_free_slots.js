@@ -0,0 +1,103 @@
+const queryFreeBusy = require('./query_free_busy');
+const { format, parseISO, addDays } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+require('dotenv').config();
+
+/**
+ * Get working hours and minimum slot length from env (or defaults)
+ * @returns {Object} Object with workStart, workEnd (HH:MM) and minMinutes
+ */
+function getWorkingHours() {
+  return {
+    workStart: process.env.WORKING_HOURS_START || '09:00',
+    workEnd: process.env.WORKING_HOURS_END || '18:00',
+    minMinutes: parseInt(process.env.MIN_FREE_SLOT_MINUTES) || 30
+  };
+}
+
+/**
+ * Find open slots in a range, within working hours
+ * @param {string} startDate - Start of range (local datetime, e.g. "2026-01-29T12:00:00")
+ * @param {string} endDate - End of range (local datetime)
+ * @param {Object} options - Optional configuration
+ * @param {string} options.timezone - User's timezone (default: America/Los_Angeles)
+ * @param {number} options.durationMinutes - Only return slots at least this long (default: minimum slot length)
+ * @param {number} options.maxDays - Maximum number of days to search (default: 14)
+ * @param {number} options.userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Array>} Free slots ({ start, end } ISO strings), earliest first
+ */
+async function findFreeSlots(startDate, endDate, options = {}) {
+  const { timezone = 'America/Los_Angeles', durationMinutes = null, maxDays = 14, userId = null } = options;
+  const { workStart, workEnd, minMinutes } = getWorkingHours();
+  const minLength = Math.max(durationMinutes || 0, minMinutes) * 60 * 1000;
+
+  // Never offer time that has already passed
+  const now = new Date();
+  const rangeStart = new Date(Math.max(fromZonedTime(startDate, timezone), now));
+  const rangeEnd = fromZonedTime(endDate, timezone);
+
+  if (rangeEnd <= rangeStart) {
+    return [];
+  }
+
+  const busy = await queryFreeBusy(rangeStart.toISOString(), rangeEnd.toISOString(), timezone, userId);
+  const slots = [];
+
+  let day = formatInTimeZone(rangeStart, timezone, 'yyyy-MM-dd');
+
+  for (let i = 0; i < maxDays; i++) {
+    const dayStart = fromZonedTime(`${day}T${workStart}:00`, timezone);
+    const dayEnd = fromZonedTime(`${day}T${workEnd}:00`, timezone);
+
+    if (dayStart >= rangeEnd) break;
+
+    const windowStart = dayStart > rangeStart ? dayStart : rangeStart;
+    const windowEnd = dayEnd < rangeEnd ? dayEnd : rangeEnd;
+
+    if (windowStart < windowEnd) {
+      findGaps(busy, windowStart, windowEnd)
+        .filter(gap => gap.end - gap.start >= minLength)
+        .forEach(gap => slots.push({ start: gap.start.toISOString(), end: gap.end.toISOString() }));
+    }
+
+    day = format(addDays(parseISO(day), 1), 'yyyy-MM-dd');
+  }
+
+  return slots;
+}
+
+/**
+ * Find the gaps between busy intervals inside a window
+ * @param {Array} busy - Busy intervals ({ start, end } ISO strings or Dates), sorted by start
+ * @param {Date} windowStart - Start of the window
+ * @param {Date} windowEnd - End of the window
+ * @returns {Array} Free intervals ({ start, end } Dates)
+ */
+function findGaps(busy, windowStart, windowEnd) {
+  const gaps = [];
+  let cursor = windowStart;
+
+  busy.forEach(interval => {
+    const busyStart = new Date(interval.start);
+    const busyEnd = new Date(interval.end);
+
+    if (busyEnd <= cursor || busyStart >= windowEnd) return;
+
+    if (busyStart > cursor) {
+      gaps.push({ start: cursor, end: busyStart });
+    }
+    if (busyEnd > cursor) {
+      cursor = busyEnd;
+    }
+  });
+
+  if (cursor < windowEnd) {
+    gaps.push({ start: cursor, end: windowEnd });
+  }
+
+  return gaps;
+}
+
+module.exports = findFreeSlots;
+module.exports.findGaps = findGaps;
+module.exports.getWorkingHours = getWorkingHours;
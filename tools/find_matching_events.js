@@ -0,0 +1,69 @@
+const { parseISO } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+
+// Words that say nothing about which event the user means
+const STOP_WORDS = new Set([
+  'the', 'my', 'a', 'an', 'with', 'at', 'on', 'to', 'for', 'of', 'and', 'in',
+  'meeting', 'event', 'appointment', 'today', 'tomorrow', 'tonight'
+]);
+
+/**
+ * Rank calendar events by how well they match a user's description
+ * @param {Array} events - Events from queryCalendarEvents
+ * @param {Object} criteria - What the user said about the event
+ * @param {string} criteria.keywords - Words identifying the event (e.g., "dentist")
+ * @param {string} criteria.startTime - Start time mentioned by the user (HH:MM), optional
+ * @param {string} timezone - Timezone used to compare start times
+ * @returns {Array} Matching events, best match first
+ */
+function findMatchingEvents(events, criteria, timezone = 'America/Los_Angeles') {
+  const tokens = tokenize(criteria.keywords);
+
+  // Nothing to match on - every event in the window is a candidate
+  if (tokens.length === 0 && !criteria.startTime) {
+    return [...events];
+  }
+
+  const scored = events.map(event => {
+    const haystack = `${event.summary} ${event.description || ''} ${event.location || ''}`.toLowerCase();
+    let score = 0;
+
+    tokens.forEach(token => {
+      if (haystack.includes(token)) {
+        score += 2;
+      }
+    });
+
+    if (criteria.startTime && !event.isAllDay) {
+      const eventTime = formatInTimeZone(parseISO(event.start), timezone, 'HH:mm');
+      if (eventTime === criteria.startTime) {
+        score += 3;
+      }
+    }
+
+    return { event, score };
+  });
+
+  return scored
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || new Date(a.event.start) - new Date(b.event.start))
+    .map(({ event }) => event);
+}
+
+/**
+ * Split a description into lowercase search tokens
+ * @param {string} text - Free-form text
+ * @returns {Array<string>} Meaningful tokens
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(token => token.replace(/'s$/, ''))
+    .filter(token => token.length >= 3 && !STOP_WORDS.has(token));
+}
+
+module.exports = findMatchingEvents;
+module.exports.tokenize = tokenize;
@@ -1,35 +1,28 @@
-const { format, parseISO, isToday, isTomorrow, isThisWeek } = require('date-fns');
+const { format, parseISO, isSameDay, isSameWeek, addDays, differenceInCalendarDays } = require('date-fns');
+const { formatInTimeZone, toZonedTime } = require('date-fns-tz');
+const { parseRecurrenceRule, describeRecurrence } = require('./build_recurrence_rule');
 
 /**
  * Format calendar events into a Telegram message
  * @param {Array} events - Array of event objects from queryCalendarEvents
  * @param {string} timeDescription - Human-readable time range (e.g., "tomorrow", "next week")
+ * @param {Object} paging - Paging info for paginated listings (optional)
+ * @param {number} paging.page - Current page (0-based)
+ * @param {boolean} paging.hasMore - True if there are more pages after this one
+ * @param {string} timezone - User's timezone for times and day headers (optional, default: server time)
  * @returns {string} Formatted Markdown message for Telegram
  */
-function formatEventsMessage(events, timeDescription = 'the requested period') {
+function formatEventsMessage(events, timeDescription = 'the requested period', paging = null, timezone = null) {
   if (!events || events.length === 0) {
     return `📅 No events scheduled for *${timeDescription}*.`;
   }
 
-  // Group events by date
-  const eventsByDate = groupEventsByDate(events);
-
   let message = `📅 *Events for ${timeDescription}*\n\n`;
+  message += formatEventGroups(events, timezone);
 
-  for (const [dateKey, dateEvents] of Object.entries(eventsByDate)) {
-    const date = parseISO(dateKey);
-    const dateHeader = formatDateHeader(date);
-
-    message += `*${dateHeader}*\n`;
-
-    dateEvents.forEach(event => {
-      message += formatSingleEvent(event);
-    });
-
-    message += '\n';
-  }
-
-  if (events.length >= 10) {
+  if (paging && (paging.page > 0 || paging.hasMore)) {
+    message += `_Page ${paging.page + 1}${paging.hasMore ? ' - more on the next page' : ''}_\n`;
+  } else if (!paging && events.length >= 10) {
     message += `_Showing first ${events.length} events. Use a more specific time range for complete results._\n`;
   }
 
@@ -39,9 +32,10 @@ function formatEventsMessage(events, timeDescription = 'the requested period') {
 /**
  * Group events by date
  * @param {Array} events - Array of events
+ * @param {string} timezone - Timezone that decides which day a timed event is on (optional, default: server time)
  * @returns {Object} Events grouped by date string (YYYY-MM-DD)
  */
-function groupEventsByDate(events) {
+function groupEventsByDate(events, timezone = null) {
   const grouped = {};
 
   events.forEach(event => {
@@ -53,7 +47,7 @@ function groupEventsByDate(events) {
       dateKey = dateTime.split('T')[0];
     } else {
       // For timed events, extract date part
-      const date = parseISO(dateTime);
+      const date = toWallClock(dateTime, timezone);
       dateKey = format(date, 'yyyy-MM-dd');
     }
 
@@ -77,14 +71,17 @@ function groupEventsByDate(events) {
 /**
  * Format a date header with day of week
  * @param {Date} date - The date to format
+ * @param {string} timezone - Timezone that decides what "today" is (optional, default: server time)
  * @returns {string} Formatted date header
  */
-function formatDateHeader(date) {
-  if (isToday(date)) {
+function formatDateHeader(date, timezone = null) {
+  const now = timezone ? toZonedTime(new Date(), timezone) : new Date();
+
+  if (isSameDay(date, now)) {
     return `📆 Today, ${format(date, 'EEEE, MMMM d')}`;
-  } else if (isTomorrow(date)) {
+  } else if (isSameDay(date, addDays(now, 1))) {
     return `📆 Tomorrow, ${format(date, 'EEEE, MMMM d')}`;
-  } else if (isThisWeek(date)) {
+  } else if (isSameWeek(date, now)) {
     return `📆 ${format(date, 'EEEE, MMMM d')}`;
   } else {
     return `📆 ${format(date, 'EEEE, MMMM d, yyyy')}`;
@@ -94,9 +91,10 @@ function formatDateHeader(date) {
 /**
  * Format a single event
  * @param {Object} event - Event object
+ * @param {string} timezone - User's timezone (optional, default: server time)
  * @returns {string} Formatted event line
  */
-function formatSingleEvent(event) {
+function formatSingleEvent(event, timezone = null) {
   let eventLine = '';
 
   if (event.isAllDay) {
@@ -107,8 +105,8 @@ function formatSingleEvent(event) {
     }
   } else {
     // Timed event
-    const startTime = format(parseISO(event.start), 'h:mm a');
-    const endTime = format(parseISO(event.end), 'h:mm a');
+    const startTime = format(toWallClock(event.start, timezone), 'h:mm a');
+    const endTime = format(toWallClock(event.end, timezone), 'h:mm a');
 
     eventLine = `  ⏰ ${startTime} - ${endTime}`;
     eventLine += `\n     *${escapeMarkdown(event.summary)}*`;
@@ -145,6 +143,16 @@ function escapeMarkdown(text) {
   return text.replace(/([*_`\[])/g, '\\$1');
 }
 
+/**
+ * Parse an event time as wall-clock time in a timezone (date-only strings stay as they are)
+ * @param {string} dateTime - ISO date or datetime from the Calendar API
+ * @param {string} timezone - Timezone, or null for server time
+ * @returns {Date} Date whose local fields are the time in that timezone
+ */
+function toWallClock(dateTime, timezone) {
+  return timezone && dateTime.includes('T') ? toZonedTime(parseISO(dateTime), timezone) : parseISO(dateTime);
+}
+
 /**
  * Truncate text to a maximum length
  * @param {string} text - Text to truncate
@@ -159,28 +167,398 @@ function truncate(text, maxLength) {
 /**
  * Format a success message after creating an event
  * @param {Object} event - Created event object
+ * @param {string} timezone - User's timezone (optional, default: server time)
  * @returns {string} Formatted success message
  */
-function formatEventCreatedMessage(event) {
-  const startDate = parseISO(event.start);
-  const formattedDate = format(startDate, 'EEEE, MMMM d, yyyy');
-  const formattedTime = format(startDate, 'h:mm a');
-
+function formatEventCreatedMessage(event, timezone = null) {
   let message = `✅ *Event Created!*\n\n`;
   message += `📅 *${escapeMarkdown(event.summary)}*\n`;
-  message += `📆 ${formattedDate}\n`;
-  message += `⏰ ${formattedTime}\n`;
+  message += formatEventWhen(event, timezone);
+
+  const rule = (event.recurrence || []).find(line => line.startsWith('RRULE:'));
+  const recurrence = parseRecurrenceRule(rule, timezone);
+  if (recurrence) {
+    message += `🔁 Repeats ${describeRecurrence(recurrence)}\n`;
+  }
 
   if (event.description && event.description !== event.summary) {
     message += `📋 ${escapeMarkdown(truncate(event.description, 100))}\n`;
   }
 
+  if (event.location) {
+    message += `📍 ${escapeMarkdown(event.location)}\n`;
+  }
+
+  if (event.attendees && event.attendees.length > 0) {
+    message += `👥 Invited: ${escapeMarkdown(event.attendees.join(', '))}\n`;
+  }
+
+  if (event.meetLink) {
+    message += `🎥 [Join Google Meet](${event.meetLink})\n`;
+  }
+
+  if (event.reminderMinutes) {
+    message += `🔔 I'll remind you ${formatDuration(event.reminderMinutes)} before\n`;
+  }
+
+  if (event.requestedBy) {
+    message += `🙋 Requested by ${escapeMarkdown(event.requestedBy)}\n`;
+  }
+
   message += `\n[View in Google Calendar](${event.htmlLink})`;
 
   return message;
 }
 
+/**
+ * Format the date/time lines of an event, covering all-day, multi-day and overnight events
+ * @param {Object} event - Event with start and end (date-only strings for all-day events)
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Date and time lines
+ */
+function formatEventWhen(event, timezone = null) {
+  const startDate = toWallClock(event.start, timezone);
+  const isAllDay = !event.start.includes('T');
+
+  if (isAllDay) {
+    // Calendar API all-day end dates are exclusive
+    const lastDay = event.end ? addDays(parseISO(event.end), -1) : startDate;
+    const days = differenceInCalendarDays(lastDay, startDate) + 1;
+
+    if (days > 1) {
+      return `📆 ${format(startDate, 'EEE, MMM d')} – ${format(lastDay, 'EEE, MMM d, yyyy')}\n🗓 All day (${days} days)\n`;
+    }
+    return `📆 ${format(startDate, 'EEEE, MMMM d, yyyy')}\n🗓 All day\n`;
+  }
+
+  let lines = `📆 ${format(startDate, 'EEEE, MMMM d, yyyy')}\n`;
+
+  if (!event.end) {
+    return lines + `⏰ ${format(startDate, 'h:mm a')}\n`;
+  }
+
+  const endDate = toWallClock(event.end, timezone);
+  const daySpan = differenceInCalendarDays(endDate, startDate);
+
+  if (daySpan === 0) {
+    lines += `⏰ ${format(startDate, 'h:mm a')} - ${format(endDate, 'h:mm a')}\n`;
+  } else if (daySpan === 1) {
+    lines += `⏰ ${format(startDate, 'h:mm a')} - ${format(endDate, 'h:mm a')} (next day)\n`;
+  } else {
+    lines += `⏰ ${format(startDate, 'h:mm a')} - ${format(endDate, 'EEE, MMM d, h:mm a')}\n`;
+  }
+
+  return lines;
+}
+
+/**
+ * Format a success message after updating an event
+ * @param {Object} event - Updated event object
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Formatted success message
+ */
+function formatEventUpdatedMessage(event, timezone = null) {
+  let message = `✏️ *Event Updated!*\n\n`;
+  message += `📅 *${escapeMarkdown(event.summary)}*\n`;
+  message += formatEventWhen(event, timezone);
+
+  if (event.location) {
+    message += `📍 ${escapeMarkdown(event.location)}\n`;
+  }
+
+  message += `\n[View in Google Calendar](${event.htmlLink})`;
+
+  return message;
+}
+
+/**
+ * Format a short label for an event selection button
+ * @param {Object} event - Event object
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Button label (fits Telegram's button width)
+ */
+function formatEventButtonLabel(event, timezone = null) {
+  const when = event.isAllDay
+    ? format(parseISO(event.start), 'EEE MMM d')
+    : format(toWallClock(event.start, timezone), 'EEE MMM d, h:mm a');
+
+  return truncate(`${when} · ${event.summary}`, 40);
+}
+
+/**
+ * Format a confirmation card before deleting an event
+ * @param {Object} event - Event object from queryCalendarEvents
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Formatted Markdown message
+ */
+function formatEventDeleteConfirmation(event, timezone = null) {
+  const startDate = toWallClock(event.start, timezone);
+
+  let message = `🗑 *Delete this event?*\n\n`;
+  message += `📝 *${escapeMarkdown(event.summary)}*\n`;
+  message += `📆 ${format(startDate, 'EEEE, MMMM d, yyyy')}\n`;
+
+  if (event.isAllDay) {
+    message += `🗓 All day\n`;
+  } else {
+    message += `⏰ ${format(startDate, 'h:mm a')} - ${format(toWallClock(event.end, timezone), 'h:mm a')}\n`;
+  }
+
+  if (event.location) {
+    message += `📍 ${escapeMarkdown(event.location)}\n`;
+  }
+
+  if (event.recurringEventId) {
+    message += `\n🔁 This is a repeating event. Delete just this occurrence or the whole series?`;
+  }
+
+  return message.trim();
+}
+
+/**
+ * Format a success message after deleting an event
+ * @param {Object} event - Deleted event object
+ * @param {boolean} wholeSeries - True if the whole recurring series was deleted
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Formatted success message
+ */
+function formatEventDeletedMessage(event, wholeSeries = false, timezone = null) {
+  const startDate = toWallClock(event.start, timezone);
+
+  let message = `🗑 *Event Deleted*\n\n`;
+  message += `📝 ${escapeMarkdown(event.summary)}\n`;
+
+  if (wholeSeries) {
+    message += `🔁 All occurrences removed`;
+  } else {
+    message += `📆 ${format(startDate, 'EEEE, MMMM d, yyyy')}`;
+  }
+
+  return message;
+}
+
+/**
+ * Format search results, highlighting the next occurrence
+ * @param {string} searchText - What the user searched for
+ * @param {Object} results - Results from searchCalendarEvents ({ past, upcoming, next })
+ * @param {number} maxPerSection - Maximum events shown in each of upcoming/past (default: 5)
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Formatted Markdown message for Telegram
+ */
+function formatSearchResultsMessage(searchText, results, maxPerSection = 5, timezone = null) {
+  const { past, upcoming, next } = results;
+
+  if (past.length === 0 && upcoming.length === 0) {
+    return `🔎 No events found matching *${escapeMarkdown(searchText)}*.`;
+  }
+
+  let message = `🔎 *Events matching "${escapeMarkdown(searchText)}"*\n\n`;
+
+  if (next) {
+    const when = next.isAllDay
+      ? format(parseISO(next.start), 'EEEE, MMMM d, yyyy')
+      : format(toWallClock(next.start, timezone), "EEEE, MMMM d, yyyy 'at' h:mm a");
+    message += `👉 *Next:* ${escapeMarkdown(next.summary)}\n     ${when}\n\n`;
+  }
+
+  const later = upcoming.slice(1, maxPerSection + 1);
+  if (later.length > 0) {
+    message += `*⏭ Upcoming*\n`;
+    message += formatEventGroups(later, timezone);
+  }
+
+  const recent = past.slice(0, maxPerSection);
+  if (recent.length > 0) {
+    message += `*⏮ Past*\n`;
+    // Most recent first - groups keep that order
+    message += formatEventGroups(recent, timezone);
+  }
+
+  const hidden = Math.max(upcoming.length - 1 - later.length, 0) + (past.length - recent.length);
+  if (hidden > 0) {
+    message += `_${hidden} more not shown. Try a more specific search._\n`;
+  }
+
+  return message.trim();
+}
+
+/**
+ * Format events grouped under date headers (the body of formatEventsMessage)
+ * @param {Array} events - Array of events
+ * @param {string} timezone - User's timezone (optional, default: server time)
+ * @returns {string} Formatted groups
+ */
+function formatEventGroups(events, timezone = null) {
+  let text = '';
+
+  // Group events by date
+  for (const [dateKey, dateEvents] of Object.entries(groupEventsByDate(events, timezone))) {
+    text += `*${formatDateHeader(parseISO(dateKey), timezone)}*\n`;
+    dateEvents.forEach(event => {
+      text += formatSingleEvent(event, timezone);
+    });
+    text += '\n';
+  }
+
+  return text;
+}
+
+/**
+ * Format free slots into a Telegram message, grouped by day
+ * @param {Array} slots - Free slots from findFreeSlots ({ start, end } ISO strings)
+ * @param {string} timeDescription - Human-readable time range (e.g., "Thursday afternoon")
+ * @param {string} timezone - User's timezone
+ * @param {number} durationMinutes - Requested meeting length (optional)
+ * @returns {string} Formatted Markdown message for Telegram
+ */
+function formatFreeSlotsMessage(slots, timeDescription, timezone = 'America/Los_Angeles', durationMinutes = null) {
+  const lengthNote = durationMinutes ? ` for ${formatDuration(durationMinutes)}` : '';
+
+  if (!slots || slots.length === 0) {
+    return `😕 No free time${lengthNote} during working hours *${timeDescription}*.`;
+  }
+
+  let message = `🟢 *Free${lengthNote} ${timeDescription}*\n\n`;
+  let currentDay = null;
+
+  slots.forEach(slot => {
+    const start = parseISO(slot.start);
+    const end = parseISO(slot.end);
+    const day = formatInTimeZone(start, timezone, 'EEEE, MMMM d');
+
+    if (day !== currentDay) {
+      message += `${currentDay ? '\n' : ''}*📆 ${day}*\n`;
+      currentDay = day;
+    }
+
+    const minutes = Math.round((end - start) / 60000);
+    message += `  ${formatInTimeZone(start, timezone, 'HH:mm')} – ${formatInTimeZone(end, timezone, 'HH:mm')} (${formatDuration(minutes)})\n`;
+  });
+
+  message += `\n_Tap a slot to book it._`;
+
+  return message;
+}
+
+/**
+ * Format a short label for a free slot button
+ * @param {Object} slot - Free slot ({ start, end } ISO strings)
+ * @param {string} timezone - User's timezone
+ * @returns {string} Button label
+ */
+function formatSlotButtonLabel(slot, timezone = 'America/Los_Angeles') {
+  const start = parseISO(slot.start);
+  const end = parseISO(slot.end);
+  return `📅 ${formatInTimeZone(start, timezone, 'EEE HH:mm')}–${formatInTimeZone(end, timezone, 'HH:mm')}`;
+}
+
+/**
+ * Format a duration in minutes as "1h 30m"
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+
+  if (hours === 0) return `${rest}m`;
+  if (rest === 0) return `${hours}h`;
+  return `${hours}h ${rest}m`;
+}
+
+/**
+ * Format a Telegram reminder for an upcoming event
+ * @param {Object} reminder - Reminder with summary, start and location
+ * @param {Date} now - Current time
+ * @param {string} timezone - User's timezone
+ * @returns {string} Formatted Markdown message
+ */
+function formatReminderMessage(reminder, now, timezone = 'America/Los_Angeles') {
+  const start = parseISO(reminder.start);
+  const minutesLeft = Math.round((start - now) / (60 * 1000));
+
+  let when;
+  if (minutesLeft <= 0) {
+    when = `Started at ${formatInTimeZone(start, timezone, 'h:mm a')}`;
+  } else if (formatInTimeZone(start, timezone, 'yyyy-MM-dd') === formatInTimeZone(now, timezone, 'yyyy-MM-dd')) {
+    when = `Starts in ${formatDuration(minutesLeft)} (${formatInTimeZone(start, timezone, 'h:mm a')})`;
+  } else {
+    when = `Starts in ${formatDuration(minutesLeft)} (${formatInTimeZone(start, timezone, 'EEE h:mm a')})`;
+  }
+
+  let message = `⏰ *Reminder:* ${escapeMarkdown(reminder.summary)}\n`;
+  message += `🕒 ${when}\n`;
+
+  if (reminder.location) {
+    message += `📍 ${escapeMarkdown(reminder.location)}\n`;
+  }
+
+  return message;
+}
+
+/**
+ * Format the summary shown before importing an .ics file
+ * @param {string} fileName - Name of the uploaded file
+ * @param {Array} events - New events (from parseICS, duplicates removed)
+ * @param {Object} counts - Object with duplicates (number) and conflicts (Set of events from findImportConflicts)
+ * @param {Array<string>} warnings - Parser warnings
+ * @param {string} timezone - User's timezone
+ * @param {number} maxListed - Maximum events listed (default: 10)
+ * @returns {string} Formatted Markdown message
+ */
+function formatImportSummary(fileName, events, counts, warnings = [], timezone = 'America/Los_Angeles', maxListed = 10) {
+  const total = events.length + counts.duplicates;
+  let message = `📥 *Found ${total} event${total === 1 ? '' : 's'} in ${escapeMarkdown(fileName)}*\n`;
+
+  const notes = [];
+  if (counts.conflicts.size > 0) {
+    notes.push(`${counts.conflicts.size} conflict${counts.conflicts.size === 1 ? '' : 's'} with existing ones`);
+  }
+  if (counts.duplicates > 0) {
+    notes.push(`${counts.duplicates} already in your calendar (skipped)`);
+  }
+  if (notes.length > 0) {
+    message += `${notes.join(', ')}\n`;
+  }
+  message += '\n';
+
+  events.slice(0, maxListed).forEach(event => {
+    const when = event.allDay
+      ? `${format(parseISO(event.start), 'EEE MMM d')} (all day)`
+      : formatInTimeZone(parseISO(event.start), timezone, 'EEE MMM d, h:mm a');
+    const markers = `${event.recurrence.length > 0 ? ' 🔁' : ''}${counts.conflicts.has(event) ? ' ⚠️' : ''}`;
+    message += `• ${when} - ${escapeMarkdown(event.summary)}${markers}\n`;
+  });
+
+  if (events.length > maxListed) {
+    message += `_...and ${events.length - maxListed} more_\n`;
+  }
+
+  if (warnings.length > 0) {
+    message += `\n📝 *Notes:*\n`;
+    warnings.slice(0, 3).forEach(warning => {
+      message += `• ${escapeMarkdown(warning)}\n`;
+    });
+    if (warnings.length > 3) {
+      message += `_...and ${warnings.length - 3} more_\n`;
+    }
+  }
+
+  return message;
+}
+
 module.exports = formatEventsMessage;
 module.exports.formatEventCreatedMessage = formatEventCreatedMessage;
+module.exports.formatEventUpdatedMessage = formatEventUpdatedMessage;
+module.exports.formatEventButtonLabel = formatEventButtonLabel;
+module.exports.formatEventDeleteConfirmation = formatEventDeleteConfirmation;
+module.exports.formatEventDeletedMessage = formatEventDeletedMessage;
+module.exports.formatSearchResultsMessage = formatSearchResultsMessage;
+module.exports.formatFreeSlotsMessage = formatFreeSlotsMessage;
+module.exports.formatSlotButtonLabel = formatSlotButtonLabel;
 module.exports.groupEventsByDate = groupEventsByDate;
 module.exports.formatDateHeader = formatDateHeader;
+module.exports.formatDuration = formatDuration;
+module.exports.formatReminderMessage = formatReminderMessage;
+module.exports.formatImportSummary = formatImportSummary;
+module.exports.escapeMarkdown = escapeMarkdown;
@@ -24,18 +24,28 @@ function sleep(ms) {
  * @param {Object} options - Optional configuration
  * @param {number} options.maxRetries - Maximum number of retry attempts (default: 3)
  * @param {number} options.temperature - Model temperature 0-1 (default: 0.3 for consistency)
+ * @param {number} options.maxOutputTokens - Response length limit (default: 1024)
+ * @param {Array<Object>} options.attachments - Files sent along with the prompt ([{ data: Buffer, mimeType }], e.g. audio or images)
  * @returns {Promise<string>} The generated text response
  */
 async function generateContent(prompt, options = {}) {
-  const { maxRetries = 3, temperature = 0.3 } = options;
+  const { maxRetries = 3, temperature = 0.3, maxOutputTokens = 1024, attachments = [] } = options;
+
+  // Files (audio, images) go inline after the prompt text
+  const parts = [{ text: prompt }].concat(attachments.map(attachment => ({
+    inlineData: {
+      data: attachment.data.toString('base64'),
+      mimeType: attachment.mimeType,
+    },
+  })));
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
       const result = await model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        contents: [{ role: 'user', parts: parts }],
         generationConfig: {
           temperature: temperature,
-          maxOutputTokens: 1024,
+          maxOutputTokens: maxOutputTokens,
         },
       });
 
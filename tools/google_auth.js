@@ -2,7 +2,10 @@ const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
 const url = require('url');
+const crypto = require('crypto');
 const { google } = require('googleapis');
+const { getAdminIds, getUserToken, saveUserToken } = require('./user_accounts');
+const createStateStore = require('./state_store');
 require('dotenv').config();
 
 // OAuth2 scopes for Google Calendar
@@ -10,6 +13,16 @@ const SCOPES = ['https://www.googleapis.com/auth/calendar'];
 const TOKEN_PATH = path.join(__dirname, '..', 'token.json');
 const IS_PRODUCTION = !!process.env.WEBHOOK_URL;
 const AUTH_PORT = 3456; // Local port for OAuth callback
+const AUTH_LINK_TTL_MS = 10 * 60 * 1000; // /connect sign-in links expire after this
+// How long a refresh token lasts when Google doesn't say (7 while the OAuth consent screen is in "Testing"; unset = forever)
+const REFRESH_TOKEN_TTL_DAYS = parseFloat(process.env.GOOGLE_REFRESH_TOKEN_TTL_DAYS) || null;
+
+// /connect sign-in links waiting for Google's callback, keyed by their state parameter.
+// Only in memory until useStateStore hands over the bot's store, which keeps them across a restart
+let pendingAuthorizations = createStateStore({ backend: 'memory' }).namespace('auth_links', AUTH_LINK_TTL_MS);
+
+// Called with (userId, error) when Google refuses to refresh a saved sign-in - see onAuthFailure
+const authFailureListeners = [];
 
 /**
  * Get OAuth2 credentials from environment variables
@@ -73,7 +86,7 @@ async function loadToken() {
 }
 
 /**
- * Save token to both file and log it for env var use
+ * Save the bot's own token to token.json and, as the first admin's token, to users.json
  * @param {Object} token - The OAuth token to save
  */
 async function saveToken(token) {
@@ -85,12 +98,56 @@ async function saveToken(token) {
     console.error('Failed to save token file:', error.message);
   }
 
-  // Log the token JSON so user can copy it to env var / Render
-  console.log('\n========================================');
-  console.log('UPDATE GOOGLE_TOKEN_JSON in .env and Render:');
-  console.log('========================================');
-  console.log(JSON.stringify(token));
-  console.log('========================================\n');
+  // token.json is wiped on every Render deploy - users.json (USERS_PATH on a persistent disk) isn't
+  const ownerId = getAdminIds()[0];
+  if (ownerId) {
+    try {
+      await saveUserToken(ownerId, token);
+    } catch (error) {
+      console.error('Failed to save token to users.json:', error.message);
+    }
+  }
+}
+
+/**
+ * Note when a freshly issued refresh token runs out, so the health check can warn before it does
+ * @param {Object} tokens - Tokens from Google's code exchange
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {Object} The tokens, with refresh_token_expires_at (ms) when the lifetime is known
+ */
+function withRefreshTokenExpiry(tokens, now = Date.now()) {
+  const ttlMs = tokens.refresh_token_expires_in
+    ? tokens.refresh_token_expires_in * 1000
+    : REFRESH_TOKEN_TTL_DAYS && REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  if (!tokens.refresh_token || !ttlMs) return tokens;
+  return { ...tokens, refresh_token_expires_at: now + ttlMs };
+}
+
+/**
+ * Check if an error means Google has revoked a refresh token (expired, or access removed) rather than a passing failure
+ * @param {Error} error - Error from a token refresh
+ * @returns {boolean} True if the user has to sign in again
+ */
+function isAuthRevoked(error) {
+  const data = error.response && error.response.data;
+  return (data && data.error === 'invalid_grant') || /invalid_grant/.test(error.message);
+}
+
+/**
+ * Get told when Google refuses to refresh a saved sign-in while the bot is using it
+ * @param {Function} listener - Called with (userId, error); userId is null for the bot's token with no admins set
+ */
+function onAuthFailure(listener) {
+  authFailureListeners.push(listener);
+}
+
+function reportAuthFailure(userId, error) {
+  authFailureListeners.forEach(listener => {
+    Promise.resolve().then(() => listener(userId, error)).catch(listenerError => {
+      console.error('Auth failure listener failed:', listenerError.message);
+    });
+  });
 }
 
 /**
@@ -102,13 +159,7 @@ async function getNewToken(oAuth2Client) {
   // On Render/production, we can't do interactive auth
   if (IS_PRODUCTION) {
     throw new Error(
-      'GOOGLE TOKEN EXPIRED - Cannot re-authorize on Render.\n\n' +
-      'To fix this:\n' +
-      '1. Run the bot LOCALLY: npm start\n' +
-      '2. Browser will open for Google OAuth authorization\n' +
-      '3. Copy the new GOOGLE_TOKEN_JSON from the console output\n' +
-      '4. Update GOOGLE_TOKEN_JSON in Render Environment variables\n' +
-      '5. Redeploy on Render\n\n' +
+      'Google sign-in expired. Send /connect to the bot in Telegram to sign in again.\n\n' +
       'NOTE: Google OAuth "Testing" mode tokens expire every 7 days.\n' +
       'To avoid this, publish your OAuth app in Google Cloud Console.'
     );
@@ -160,8 +211,8 @@ async function getNewToken(oAuth2Client) {
         const { tokens } = await oAuth2Client.getToken(code);
         oAuth2Client.setCredentials(tokens);
 
-        // Save token
-        await saveToken(tokens);
+        // Save token (never printed - it holds the refresh token)
+        await saveToken(withRefreshTokenExpiry(tokens));
 
         // Send success page to browser
         res.writeHead(200, { 'Content-Type': 'text/html' });
@@ -204,9 +255,10 @@ async function getNewToken(oAuth2Client) {
  */
 async function authorize() {
   const oAuth2Client = createOAuth2Client();
+  const ownerId = getAdminIds()[0] || null;
 
-  // Try to load existing token
-  const token = await loadToken();
+  // Try to load existing token (the copy in users.json first - it's the one kept fresh across deploys)
+  const token = (ownerId && await getUserToken(ownerId)) || await loadToken();
 
   if (token) {
     oAuth2Client.setCredentials(token);
@@ -217,11 +269,12 @@ async function authorize() {
         console.log('Token is expiring, refreshing...');
         const { credentials } = await oAuth2Client.refreshAccessToken();
         oAuth2Client.setCredentials(credentials);
-        await saveToken(credentials);
+        await saveToken({ ...token, ...credentials });
         console.log('Token refreshed and saved');
       }
     } catch (error) {
       console.error('Token refresh failed:', error.message);
+      if (isAuthRevoked(error)) reportAuthFailure(ownerId, error);
       return await getNewToken(oAuth2Client);
     }
 
@@ -232,16 +285,176 @@ async function authorize() {
   return await getNewToken(oAuth2Client);
 }
 
+/**
+ * Keep /connect sign-in links in a state store, so one sent before a restart still works after it
+ * @param {Object} store - Store from createStateStore (the bot's own, so everything shares one file)
+ */
+function useStateStore(store) {
+  pendingAuthorizations = store.namespace('auth_links', AUTH_LINK_TTL_MS);
+}
+
+/**
+ * Create a Google sign-in link for a Telegram user (/connect)
+ * @param {number} userId - Telegram user ID
+ * @param {string} redirectUri - Callback URL on the bot's web server (e.g., https://your-app.onrender.com/oauth/callback)
+ * @param {Object} context - Extra data handed back by completeAuthorization (e.g., { chatId })
+ * @returns {Promise<string>} Authorization URL
+ */
+async function createAuthLink(userId, redirectUri, context = {}) {
+  const { clientId, clientSecret } = getCredentials();
+  const oAuth2Client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+
+  // The state ties Google's callback to this user and can't be guessed; unused links expire in the store
+  const state = crypto.randomBytes(16).toString('hex');
+  await pendingAuthorizations.set(state, { userId, redirectUri, context });
+
+  return oAuth2Client.generateAuthUrl({
+    access_type: 'offline',
+    scope: SCOPES,
+    response_type: 'code',
+    prompt: 'consent', // Always return a refresh token
+    state: state,
+  });
+}
+
+/**
+ * Finish a /connect sign-in: exchange the code from Google's callback and save the user's token
+ * @param {string} code - Authorization code from the callback
+ * @param {string} state - State parameter from the callback
+ * @returns {Promise<Object>} Object with userId and context (as given to createAuthLink)
+ */
+async function completeAuthorization(code, state) {
+  const pending = state ? await pendingAuthorizations.get(state) : null;
+  if (pending) {
+    await pendingAuthorizations.delete(state);
+  }
+
+  if (!pending) {
+    throw new Error('This sign-in link has expired. Send /connect in Telegram to get a new one.');
+  }
+
+  if (!code) {
+    throw new Error('No authorization code received');
+  }
+
+  const { clientId, clientSecret } = getCredentials();
+  const oAuth2Client = new google.auth.OAuth2(clientId, clientSecret, pending.redirectUri);
+
+  try {
+    const { tokens } = await oAuth2Client.getToken(code);
+    await saveUserToken(pending.userId, withRefreshTokenExpiry(tokens));
+    return { userId: pending.userId, context: pending.context };
+  } catch (error) {
+    throw new Error(`Error retrieving access token: ${error.message}`);
+  }
+}
+
+/**
+ * Check if a user falls back to the bot's own token (token.json / GOOGLE_TOKEN_JSON) until they /connect
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} True for the first admin, or for everyone when no admins are set (single-token mode)
+ */
+function usesBotToken(userId) {
+  const adminIds = getAdminIds();
+  return adminIds.length === 0 || userId === adminIds[0];
+}
+
+/**
+ * Get an OAuth2 client for a user's own Google account (linked with /connect)
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<google.auth.OAuth2>} The authorized OAuth2 client
+ */
+async function authorizeUser(userId) {
+  const token = await getUserToken(userId);
+
+  if (!token) {
+    // The first admin (or everyone, with no admins set) keeps using token.json / GOOGLE_TOKEN_JSON until they /connect
+    if (usesBotToken(userId)) {
+      return await authorize();
+    }
+    throw new Error('Google Calendar is not connected. Send /connect to link your account.');
+  }
+
+  const { clientId, clientSecret } = getCredentials();
+  const oAuth2Client = new google.auth.OAuth2(clientId, clientSecret);
+  oAuth2Client.setCredentials(token);
+
+  // The library refreshes access tokens on its own - keep the new ones (refreshes omit the refresh token)
+  oAuth2Client.on('tokens', (tokens) => {
+    saveUserToken(userId, { ...token, ...tokens }).catch(error => {
+      console.error('Failed to save refreshed token:', error.message);
+    });
+  });
+
+  // Refresh now rather than mid-request, so a sign-in Google has revoked is reported as such
+  if (oAuth2Client.isTokenExpiring()) {
+    try {
+      await oAuth2Client.refreshAccessToken();
+    } catch (error) {
+      if (!isAuthRevoked(error)) throw error;
+      reportAuthFailure(userId, error);
+      throw new Error('Your Google sign-in has expired. Send /connect to sign in again.');
+    }
+  }
+
+  return oAuth2Client;
+}
+
+/**
+ * Check that a user's saved Google sign-in still works by refreshing it (for the periodic health check)
+ * @param {number} userId - Telegram user ID (the first admin's may be token.json / GOOGLE_TOKEN_JSON)
+ * @returns {Promise<Object|null>} Object with ok, revoked (they must sign in again), error and expiresAt
+ *   (Date the sign-in runs out, if known) - or null if the user has no token to check
+ */
+async function checkTokenHealth(userId) {
+  const token = (await getUserToken(userId)) || (userId === getAdminIds()[0] ? await loadToken() : null);
+
+  if (!token) {
+    return null;
+  }
+
+  const oAuth2Client = createOAuth2Client();
+  oAuth2Client.setCredentials(token);
+  const expiresAt = token.refresh_token_expires_at ? new Date(token.refresh_token_expires_at) : null;
+
+  try {
+    // A refresh, not just a cached access token - only that proves the refresh token still works
+    const { credentials } = await oAuth2Client.refreshAccessToken();
+    await saveUserToken(userId, { ...token, ...credentials });
+    return { ok: true, revoked: false, error: null, expiresAt };
+  } catch (error) {
+    return { ok: false, revoked: isAuthRevoked(error), error: error.message, expiresAt };
+  }
+}
+
+/**
+ * Check if a user's calendar can be reached (they connected, or they own the bot's token)
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<boolean>} True if connected
+ */
+async function isCalendarConnected(userId) {
+  return usesBotToken(userId) || !!(await getUserToken(userId));
+}
+
 /**
  * Get an authenticated Google Calendar API client
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
  * @returns {Promise<Object>} The Google Calendar API client
  */
-async function getCalendarClient() {
-  const auth = await authorize();
+async function getCalendarClient(userId = null) {
+  const auth = userId ? await authorizeUser(userId) : await authorize();
   return google.calendar({ version: 'v3', auth });
 }
 
 module.exports = {
   authorize,
-  getCalendarClient
+  getCalendarClient,
+  createAuthLink,
+  completeAuthorization,
+  useStateStore,
+  isCalendarConnected,
+  checkTokenHealth,
+  onAuthFailure,
+  isAuthRevoked,
+  withRefreshTokenExpiry
 };
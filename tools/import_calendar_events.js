@@ -0,0 +1,188 @@
+const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+const queryFreeBusy = require('./query_free_busy');
+const { addDays } = require('date-fns');
+require('dotenv').config();
+
+// Free/busy is fetched in windows of this many days (the API rejects very long ranges)
+const FREEBUSY_WINDOW_DAYS = 30;
+
+/**
+ * Import parsed .ics events into Google Calendar, keeping their iCalendar UID
+ * @param {Array<Object>} events - Events from parseICS
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @param {Object} requestedBy - Group member who sent the file ({ id, name }, optional)
+ * @returns {Promise<Object>} Object with imported (count) and failed ([{ summary, error }])
+ */
+async function importCalendarEvents(events, userId = null, requestedBy = null) {
+  const calendarId = await getCalendarId(userId);
+  const failed = [];
+  let imported = 0;
+
+  // Get authenticated Calendar API client
+  const calendar = await getCalendarClient(userId);
+
+  for (const event of events) {
+    try {
+      const resource = buildEventResource(event, requestedBy);
+
+      // events.import keeps the UID, so importing the same file again finds the duplicates
+      if (event.uid) {
+        await calendar.events.import({ calendarId: calendarId, resource: resource });
+      } else {
+        await calendar.events.insert({ calendarId: calendarId, resource: resource });
+      }
+      imported++;
+
+    } catch (error) {
+      // Stop on auth or quota problems - the remaining events would fail the same way
+      if (error.code === 401 || error.code === 403) {
+        throw new Error('Google Calendar authentication failed. Please check your credentials.');
+      } else if (error.code === 429) {
+        failed.push(...events.slice(events.indexOf(event)).map(rest => ({ summary: rest.summary, error: 'rate limit exceeded' })));
+        break;
+      }
+
+      failed.push({ summary: event.summary, error: error.message });
+    }
+  }
+
+  return { imported, failed };
+}
+
+/**
+ * Build a Calendar API event resource from a parsed .ics event
+ * @param {Object} event - Event from parseICS
+ * @param {Object} requestedBy - Group member who sent the file ({ id, name }, optional)
+ * @returns {Object} Event resource
+ */
+function buildEventResource(event, requestedBy = null) {
+  const resource = {
+    summary: event.summary,
+    description: event.description || undefined,
+    location: event.location || undefined,
+    start: event.allDay ? { date: event.start } : { dateTime: event.start, timeZone: event.timeZone },
+    end: event.allDay ? { date: event.end } : { dateTime: event.end, timeZone: event.timeZone },
+  };
+
+  if (event.uid) {
+    resource.iCalUID = event.uid;
+  }
+
+  if (event.recurrence && event.recurrence.length > 0) {
+    resource.recurrence = event.recurrence;
+  }
+
+  // Same note as createCalendarEvent
+  if (requestedBy) {
+    const note = `Requested by ${requestedBy.name || requestedBy.id} via Telegram`;
+    resource.description = resource.description ? `${resource.description}\n\n${note}` : note;
+    resource.extendedProperties = { private: { requestedById: String(requestedBy.id) } };
+  }
+
+  return resource;
+}
+
+/**
+ * Find which parsed .ics events are already in the calendar (same iCalendar UID)
+ * @param {Array<Object>} events - Events from parseICS
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Set<string>>} UIDs that are already there
+ */
+async function findExistingEventUids(events, userId = null) {
+  const uids = new Set(events.filter(event => event.uid).map(event => event.uid));
+  const existing = new Set();
+
+  if (uids.size === 0) {
+    return existing;
+  }
+
+  const calendarId = await getCalendarId(userId);
+
+  // One listing of the file's date range instead of a lookup per UID (a conference file has hundreds).
+  // A day either side covers all-day dates and times without an offset
+  const timeMin = addDays(new Date(Math.min(...events.map(event => new Date(event.start)))), -1);
+  const timeMax = addDays(new Date(Math.max(...events.map(event => new Date(event.end)))), 1);
+
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    // Recurring events come back once, as the series (singleEvents is off), with the UID they were imported with
+    let pageToken;
+    do {
+      const response = await calendar.events.list({
+        calendarId: calendarId,
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        maxResults: 2500,
+        pageToken: pageToken,
+      });
+
+      (response.data.items || []).forEach(item => {
+        if (uids.has(item.iCalUID)) existing.add(item.iCalUID);
+      });
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return existing;
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 404) {
+      throw new Error('Calendar not found. Please pick another calendar in /settings (or check GOOGLE_CALENDAR_ID in .env)');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to check for duplicate events: ${error.message}`);
+  }
+}
+
+/**
+ * Find parsed .ics events that overlap busy time in the calendar (first occurrence only)
+ * @param {Array<Object>} events - Events from parseICS
+ * @param {string} timezone - User's timezone
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Set<Object>>} The events that conflict
+ */
+async function findImportConflicts(events, timezone = 'America/Los_Angeles', userId = null) {
+  // All-day events (holidays, trips) don't block time
+  const timed = events.filter(event => !event.allDay);
+  const conflicts = new Set();
+
+  if (timed.length === 0) {
+    return conflicts;
+  }
+
+  const earliest = new Date(Math.min(...timed.map(event => new Date(event.start))));
+  const latest = new Date(Math.max(...timed.map(event => new Date(event.end))));
+
+  // Only fetch windows that contain events (a conference file may span a year)
+  let busy = [];
+  for (let windowStart = earliest; windowStart < latest; windowStart = addDays(windowStart, FREEBUSY_WINDOW_DAYS)) {
+    const windowEnd = addDays(windowStart, FREEBUSY_WINDOW_DAYS);
+    const hasEvents = timed.some(event => new Date(event.start) < windowEnd && new Date(event.end) > windowStart);
+
+    if (hasEvents) {
+      busy = busy.concat(await queryFreeBusy(windowStart.toISOString(), windowEnd.toISOString(), timezone, userId));
+    }
+  }
+
+  timed.forEach(event => {
+    const start = new Date(event.start);
+    const end = new Date(event.end);
+    if (busy.some(interval => new Date(interval.start) < end && new Date(interval.end) > start)) {
+      conflicts.add(event);
+    }
+  });
+
+  return conflicts;
+}
+
+module.exports = importCalendarEvents;
+module.exports.buildEventResource = buildEventResource;
+module.exports.findExistingEventUids = findExistingEventUids;
+module.exports.findImportConflicts = findImportConflicts;
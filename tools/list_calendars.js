@@ -0,0 +1,39 @@
+const { getCalendarClient } = require('./google_auth');
+require('dotenv').config();
+
+/**
+ * List the calendars a user can add events to (for /settings)
+ * @param {number} userId - Telegram user whose calendars to list (default: the bot's own token)
+ * @returns {Promise<Array<Object>>} Calendars with id, summary and primary, primary first
+ */
+async function listCalendars(userId = null) {
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    // Read-only calendars (holidays, other people's shared calendars) can't take new events
+    const response = await calendar.calendarList.list({
+      minAccessRole: 'writer',
+    });
+
+    const calendars = (response.data.items || []).map(item => ({
+      id: item.id,
+      summary: item.summaryOverride || item.summary || item.id,
+      primary: !!item.primary
+    }));
+
+    return calendars.sort((a, b) => b.primary - a.primary);
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to list calendars: ${error.message}`);
+  }
+}
+
+module.exports = listCalendars;
@@ -0,0 +1,363 @@
+const chrono = require('chrono-node');
+const {
+  format, parseISO, addDays, addHours, addMinutes, addWeeks, addMonths, addYears, startOfWeek, startOfMonth, endOfMonth,
+  startOfYear, endOfYear, differenceInMinutes, differenceInCalendarDays
+} = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+
+// Duration phrases ("for 2 hours") - chrono would read them as "2 hours from now"
+const DURATION_PATTERN = /\bfor\s+(?:an hour and a half|half an? hour|an hour|\d+(?:\.\d+)?\s*(?:h|hrs?|hours?|m|mins?|minutes?))\b/i;
+
+// Words that need Gemini: repeating events, invites, reminders, video calls
+const GEMINI_ONLY_PATTERN = /\b(every|each|daily|weekly|monthly|yearly|annually|invite|remind|reminder|meet|zoom|video|online call)\b|@/i;
+
+// All-day events people mention without a time
+const ALL_DAY_PATTERN = /\b(birthday|anniversary|holiday|vacation|trip|day off|out of office)\b/i;
+
+// Words a time range question may contain besides the dates ("what do I have next Tuesday?")
+const RANGE_FILLER_WORDS = new Set([
+  'a', 'all', 'am', 'an', 'any', 'anything', 'are', 'at', 'availability', 'available', 'calendar', 'can', 'do',
+  'does', 'during', 'event', 'events', 'export', 'for', 'free', 'going', 'got', 'happening', 'have', 'how', 'i',
+  'in', 'is', 'list', 'look', 'like', 'me', 'my', 'of', 'on', 'plan', 'plans', 'please', 'schedule', 'show',
+  'slot', 'slots', 'the', 'there', 'time', 'up', 'what', "what's", 'whats', 'when',
+]);
+
+// Parts of the day and the hours they cover
+const DAY_PARTS = [
+  { name: 'morning', pattern: /\bmorning\b/i, startTime: '06:00', endTime: '12:00' },
+  { name: 'afternoon', pattern: /\bafternoon\b/i, startTime: '12:00', endTime: '17:00' },
+  { name: 'evening', pattern: /\b(evening|tonight)\b/i, startTime: '17:00', endTime: '23:59' },
+];
+
+/**
+ * Parse an event description without calling Gemini
+ * @param {string} text - The user's message describing the event
+ * @param {string} timezone - User's timezone (e.g., 'America/Los_Angeles')
+ * @param {Date} now - Current time (default: now)
+ * @param {number} defaultDuration - Event length in minutes when the text doesn't give one (default: 60)
+ * @returns {Object|null} Event details in the parseEventDetails shape, or null if there is no date in the text.
+ *   confidence is 'high' when the text is unambiguous (use it as is) and 'low' otherwise (only a fallback).
+ */
+function parseEventLocally(text, timezone = 'America/Los_Angeles', now = new Date(), defaultDuration = 60) {
+  const { cleaned, durationMinutes } = prepareText(text);
+  const results = chrono.parse(cleaned, getReferenceDate(now, timezone), { forwardDate: true });
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  const result = results[0];
+  const start = result.start.date();
+
+  // The title is what's left after removing the date
+  const summary = cleanTitle(cleaned.slice(0, result.index) + ' ' + cleaned.slice(result.index + result.text.length));
+
+  const event = {
+    summary: summary || '(No title)',
+    description: '',
+    date: format(start, 'yyyy-MM-dd'),
+    endDate: format(start, 'yyyy-MM-dd'),
+    allDay: false,
+    startTime: null,
+    endTime: null,
+    recurrence: null,
+    attendees: [],
+    addMeet: false,
+    reminderMinutes: null,
+    confidence: 'high',
+    unclear: [],
+    ambiguities: [],
+  };
+
+  // Anything unclear makes the result a fallback, with a note for the confirmation card
+  // or the field the bot should ask about
+  const unclear = (note, field = null) => {
+    event.confidence = 'low';
+    if (note) event.ambiguities.push(note);
+    if (field) event.unclear.push(field);
+  };
+
+  if (results.length > 1) unclear('Found several dates - using the first one');
+  if (GEMINI_ONLY_PATTERN.test(text)) unclear('Repeats, invitees, reminders and Meet links were not read - add them after creating the event');
+  if (text.includes('\n') || text.split(/\s+/).length > 15) unclear(null);
+  if (!summary) unclear(null, 'title');
+  if (/\d|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b|\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*\b/i.test(summary)) {
+    unclear('Part of the date may have ended up in the title');
+  }
+
+  if (!result.start.isCertain('hour')) {
+    // No time: birthdays and trips are all-day, anything else could be either
+    event.allDay = true;
+    if (!ALL_DAY_PATTERN.test(text)) unclear(null, 'time');
+    if (result.end) event.endDate = format(result.end.date(), 'yyyy-MM-dd');
+  } else {
+    // Times written 24-hour style ("23:00 to 06:30") are taken as written - chrono bends them ("tonight" -> pm)
+    const written = result.text.match(/\b\d{1,2}:\d{2}\b/g) || [];
+    const twentyFourHour = written.length > 0 && written.every(time => /^(0\d|1[3-9]|2[0-3]):/.test(time));
+    const clock = (date, index) => twentyFourHour && written[index] ? written[index].padStart(5, '0') : format(date, 'HH:mm');
+
+    // The end goes on the start's day - chrono can put it elsewhere ("12:30-1:30 friday" would end a week later)
+    const day = format(start, 'yyyy-MM-dd');
+    let startTime = parseISO(`${day}T${clock(start, 0)}`);
+    let end = result.end
+      ? parseISO(`${day}T${clock(result.end.date(), 1)}`)
+      : addMinutes(startTime, durationMinutes || defaultDuration);
+
+    const hour = startTime.getHours();
+    const endMeridiemKnown = twentyFourHour || (result.end && result.end.isCertain('meridiem'));
+    const meridiemKnown = endMeridiemKnown || result.start.isCertain('meridiem') ||
+      /\b0\d:\d{2}\b/.test(result.text); // "06:30" is 24-hour time
+
+    if (!meridiemKnown && hour >= 1 && hour <= 7) {
+      // "at 6" could be morning or evening - evening is the likelier guess
+      startTime = addHours(startTime, 12);
+      end = addHours(end, 12);
+      unclear(null, 'time');
+    } else if (!meridiemKnown && hour >= 8 && hour <= 11 && !/\d:\d{2}/.test(result.text)) {
+      // A bare "at 8" - "dinner at 8" is evening, "gym at 8" may not be
+      unclear(null, 'time');
+    }
+
+    // "12:30-1:30" ends after lunch, not after midnight
+    if (result.end && !endMeridiemKnown && end <= startTime && addHours(end, 12) > startTime) {
+      end = addHours(end, 12);
+    }
+
+    if (end <= startTime) {
+      end = addDays(end, 1);
+      // Only "8pm-1am" or "23:00-06:30" clearly runs past midnight
+      if (!meridiemKnown || !endMeridiemKnown) unclear(null);
+    }
+
+    // An end with a date of its own ("Nov 3 5pm to Nov 5 3pm") - several days, which only Gemini reads reliably
+    if (result.end && result.end.isCertain('day') && differenceInCalendarDays(result.end.date(), start) > 1) {
+      end = result.end.date();
+      unclear(null);
+    }
+
+    event.date = format(startTime, 'yyyy-MM-dd');
+    event.startTime = format(startTime, 'HH:mm');
+    event.endTime = format(end, 'HH:mm');
+    event.endDate = format(end, 'yyyy-MM-dd');
+  }
+
+  return event;
+}
+
+/**
+ * Parse a time range expression without calling Gemini
+ * @param {string} expression - Natural language time range (e.g., "next Tuesday", "Nov 3 - Nov 10")
+ * @param {string} timezone - User's timezone
+ * @param {Date} now - Current time (default: now)
+ * @param {number} weekStartsOn - First day of the week for "this/next week" (0 = Sunday, 1 = Monday; default: 1)
+ * @returns {Object|null} Object with startDate, endDate (local ISO strings, like parseTimeRange), description
+ *   and confidence ('high': use as is, 'low': only a fallback), or null if there is no date in the text
+ */
+function parseTimeRangeLocally(expression, timezone = 'America/Los_Angeles', now = new Date(), weekStartsOn = 1) {
+  const { cleaned } = prepareText(expression);
+  const reference = getReferenceDate(now, timezone);
+
+  let range = parseRelativePeriod(cleaned, reference, weekStartsOn);
+
+  if (!range) {
+    const results = chrono.parse(cleaned, reference, { forwardDate: true });
+    if (results.length === 0) {
+      return null;
+    }
+
+    range = buildRangeFromResult(results[0], reference);
+    range.extraDates = results.length > 1;
+  }
+
+  // Everything besides the dates should be filler ("what do I have ... ?")
+  const leftover = (cleaned.slice(0, range.index) + ' ' + cleaned.slice(range.index + range.text.length))
+    .toLowerCase()
+    .replace(/\b(morning|afternoon|evening|tonight)\b/g, ' ')
+    .replace(/'s\b/g, ' ') // "this weekend's schedule"
+    .replace(/[^a-z0-9' ]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !RANGE_FILLER_WORDS.has(word));
+
+  // Limit a single day to the part of the day that was asked for
+  let { startTime, endTime, description } = range;
+  const dayPart = DAY_PARTS.find(part => part.pattern.test(cleaned));
+  if (dayPart && range.singleDay && !range.hasTimes) {
+    startTime = dayPart.startTime;
+    endTime = dayPart.endTime;
+    description = `${description} (${dayPart.name})`;
+  }
+
+  return {
+    startDate: `${range.startDay}T${startTime}:00`,
+    endDate: `${range.endDay}T${endTime}:${endTime === '23:59' ? '59' : '00'}`,
+    description: description,
+    confidence: leftover.length === 0 && !range.extraDates ? 'high' : 'low'
+  };
+}
+
+/**
+ * Read "this/next/last week|weekend|month|year" (chrono moves these by 7 days, not to the next calendar week)
+ * @param {string} text - Cleaned expression
+ * @param {Date} reference - Current wall-clock time in the user's timezone
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday, 1 = Monday)
+ * @returns {Object|null} Range or null if there is no such phrase
+ */
+function parseRelativePeriod(text, reference, weekStartsOn = 1) {
+  const match = /\b(this|next|last|coming|past)\s+(week|weekend|month|year)\b/i.exec(text);
+  if (!match) return null;
+
+  const offset = { this: 0, coming: 1, next: 1, last: -1, past: -1 }[match[1].toLowerCase()];
+  const unit = match[2].toLowerCase();
+  let start, end;
+
+  if (unit === 'week') {
+    start = addWeeks(startOfWeek(reference, { weekStartsOn }), offset);
+    end = addDays(start, 6);
+  } else if (unit === 'weekend') {
+    // Saturday and Sunday, whichever day the week starts on
+    const monday = addWeeks(startOfWeek(reference, { weekStartsOn: 1 }), offset);
+    start = addDays(monday, 5);
+    end = addDays(monday, 6);
+  } else if (unit === 'month') {
+    start = startOfMonth(addMonths(reference, offset));
+    end = endOfMonth(start);
+  } else {
+    start = startOfYear(addYears(reference, offset));
+    end = endOfYear(start);
+  }
+
+  return {
+    index: match.index,
+    text: match[0],
+    startDay: format(start, 'yyyy-MM-dd'),
+    endDay: format(end, 'yyyy-MM-dd'),
+    startTime: '00:00',
+    endTime: '23:59',
+    singleDay: false,
+    hasTimes: false,
+    description: match[0].toLowerCase()
+  };
+}
+
+/**
+ * Turn a chrono result into a day, several days or a month
+ * @param {Object} result - chrono ParsedResult
+ * @param {Date} reference - Current wall-clock time in the user's timezone
+ * @returns {Object} Range
+ */
+function buildRangeFromResult(result, reference) {
+  const start = result.start.date();
+  const range = {
+    index: result.index,
+    text: result.text,
+    startDay: format(start, 'yyyy-MM-dd'),
+    endDay: format(start, 'yyyy-MM-dd'),
+    startTime: '00:00',
+    endTime: '23:59',
+    singleDay: true,
+    hasTimes: false,
+    description: describeDay(start, reference)
+  };
+
+  // "in March" - the whole month
+  if (result.start.isCertain('month') && !result.start.isCertain('day') && !result.start.isCertain('weekday')) {
+    range.startDay = format(startOfMonth(start), 'yyyy-MM-dd');
+    range.endDay = format(endOfMonth(start), 'yyyy-MM-dd');
+    range.singleDay = false;
+    range.description = format(start, 'MMMM yyyy');
+    return range;
+  }
+
+  if (result.end) {
+    const end = result.end.date();
+    range.endDay = format(end, 'yyyy-MM-dd');
+    range.singleDay = range.endDay === range.startDay;
+    range.description = range.singleDay ? range.description : `${format(start, 'MMM d')} – ${format(end, 'MMM d')}`;
+
+    // "tomorrow 2-5pm"
+    if (result.start.isCertain('hour') && result.end.isCertain('hour') && differenceInMinutes(end, start) > 0) {
+      range.startTime = format(start, 'HH:mm');
+      range.endTime = format(end, 'HH:mm');
+      range.hasTimes = true;
+    }
+  }
+
+  return range;
+}
+
+/**
+ * Describe a day like the rest of the bot ("today", "tomorrow", "Tuesday, November 3")
+ * @param {Date} day - Day
+ * @param {Date} reference - Current wall-clock time in the user's timezone
+ * @returns {string} Description
+ */
+function describeDay(day, reference) {
+  const date = format(day, 'yyyy-MM-dd');
+
+  if (date === format(reference, 'yyyy-MM-dd')) return 'today';
+  if (date === format(addDays(reference, 1), 'yyyy-MM-dd')) return 'tomorrow';
+  if (date === format(addDays(reference, -1), 'yyyy-MM-dd')) return 'yesterday';
+  return format(day, 'EEEE, MMMM d');
+}
+
+/**
+ * Take out the duration and make time ranges readable for chrono ("9-11" -> "9 to 11")
+ * @param {string} text - User text
+ * @returns {Object} Object with cleaned (text) and durationMinutes (or null)
+ */
+function prepareText(text) {
+  const durationMatch = DURATION_PATTERN.exec(text);
+  let durationMinutes = null;
+
+  if (durationMatch) {
+    const phrase = durationMatch[0].toLowerCase();
+    const amount = parseFloat((phrase.match(/\d+(?:\.\d+)?/) || [])[0]);
+
+    if (phrase.includes('and a half')) durationMinutes = 90;
+    else if (phrase.includes('half')) durationMinutes = 30;
+    else if (phrase.includes('an hour')) durationMinutes = 60;
+    else durationMinutes = /\d\s*h/.test(phrase) ? Math.round(amount * 60) : Math.round(amount);
+  }
+
+  const cleaned = text
+    .replace(DURATION_PATTERN, ' ')
+    // En and em dashes ("Aug 3–10") read like hyphens
+    .replace(/[–—]/g, '-')
+    // A hyphen between two times, but not inside dates like 2026-11-05 or 11/5
+    .replace(/(?<![\d\-\/:])(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*-\s*(\d{1,2}(?::\d{2})?)(?![\d\-\/])/gi, '$1 to $2')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { cleaned, durationMinutes };
+}
+
+/**
+ * Tidy the words left after removing the date ("Lunch with Sarah on" -> "Lunch with Sarah")
+ * @param {string} text - Leftover text
+ * @returns {string} Title (may be empty)
+ */
+function cleanTitle(text) {
+  const connectors = /^(?:at|on|from|for|by|to|in|this|next|the|,|-|–)\s+|\s+(?:at|on|from|for|by|to|in|this|next|the|,|-|–)$/i;
+  let title = text.replace(/\s+/g, ' ').trim().replace(/[.,!;:–-]+$/, '').trim();
+
+  while (connectors.test(title)) {
+    title = title.replace(connectors, '').trim();
+  }
+
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Get the current wall-clock time in a timezone as a Date in server time
+ * (chrono reads and writes dates in server time, so this keeps its results in the user's timezone)
+ * @param {Date} now - Current time
+ * @param {string} timezone - User's timezone
+ * @returns {Date} Reference date for chrono
+ */
+function getReferenceDate(now, timezone) {
+  return new Date(formatInTimeZone(now, timezone, "yyyy-MM-dd'T'HH:mm:ss"));
+}
+
+module.exports = parseEventLocally;
+module.exports.parseTimeRangeLocally = parseTimeRangeLocally;
+module.exports.getReferenceDate = getReferenceDate;
@@ -1,104 +1,297 @@
 const { generateJSON } = require('./gemini_client');
-const { format, addHours } = require('date-fns');
+const parseEventLocally = require('./parse_dates_locally');
+const { describeRecurrence, validateRecurrence } = require('./build_recurrence_rule');
+const resolveContacts = require('./resolve_contacts');
+const { formatDuration, escapeMarkdown } = require('./format_events_message');
+const { MAX_REMINDER_MINUTES } = require('./event_reminders');
+const { format, addHours, parseISO, differenceInCalendarDays } = require('date-fns');
 const { formatInTimeZone } = require('date-fns-tz');
 
+// Details the bot can ask a follow-up question about
+const CLARIFIABLE_FIELDS = ['title', 'date', 'time'];
+
+// Added to ambiguities when the start has already passed
+const PAST_DATE_WARNING = 'Event date appears to be in the past';
+
+// JSON fields and rules shared by every prompt that drafts events (text, images)
+const EVENT_JSON_FIELDS = `{
+  "summary": "Brief event title (max 10 words)",
+  "description": "Longer summary of the purpose (1-2 sentences, summarize the user's intent)",
+  "location": "Where the event takes place (venue, address or room), null if not given",
+  "date": "YYYY-MM-DD (the event start date)",
+  "endDate": "YYYY-MM-DD (the event end date, same as date unless the event spans several days or ends after midnight)",
+  "allDay": "true|false (true for birthdays, holidays, vacations and other events without a time)",
+  "startTime": "HH:MM (24-hour format, null for all-day events)",
+  "endTime": "HH:MM (24-hour format, start plus the default event length if not specified, null for all-day events)",
+  "recurrence": null or {
+    "frequency": "DAILY|WEEKLY|MONTHLY|YEARLY",
+    "interval": 1,
+    "byDay": ["MO", "WE", "FR"] (weekdays; for monthly use an ordinal prefix like "2TU" or "-1FR"),
+    "byMonthDay": [1] (days of the month for monthly events),
+    "until": "YYYY-MM-DD or null (last date the event repeats)",
+    "count": 10 (number of occurrences as a number, or null)
+  },
+  "attendees": ["email addresses or names of people to invite, empty if none"],
+  "addMeet": "true|false (true if the user wants a Google Meet / video call link)",
+  "reminderMinutes": "number of minutes before the event to send a reminder, null if not asked",
+  "confidence": "high|medium|low (how confident you are in the parsing)",
+  "unclear": ["required details the user did not give at all and you had to guess: date, time, title"],
+  "ambiguities": ["list any unclear aspects or assumptions made"]
+}`;
+
+const EVENT_PARSING_RULES = `- Birthdays, anniversaries, holidays, vacations and trips without a time are all-day events
+- For all-day events spanning several days ("vacation Aug 3-10"), endDate is the LAST day (inclusive)
+- For events ending after midnight ("flight 23:00 to 06:30 next day"), endDate is the next day
+- If no specific time is mentioned for a timed event, use a reasonable default (e.g., 9am for morning, 2pm for afternoon, 7pm for evening)
+- If duration is not specified, use the default event length
+- For relative dates (tomorrow, next Monday, etc.), calculate the actual date
+- Only set recurrence if the event repeats ("every", "daily", "weekly", "each Monday"); otherwise null
+- For repeating events, "date" is the FIRST occurrence on or after today
+- "every weekday" -> WEEKLY with byDay MO,TU,WE,TH,FR
+- "until June" -> until the last day of that month
+- Only list attendees the user wants to invite ("with anna@acme.com", "invite Bob"); keep emails exactly as written
+- Set addMeet for "on Meet", "Google Meet", "video call" or "online call"
+- Only set reminderMinutes if the user asks for a reminder ("remind me 30 min before" -> 30, "an hour before" -> 60, "the day before" -> 1440)
+- Summarize long descriptions into concise text
+- Be conservative with confidence: mark as "low" if anything is unclear
+- Include any assumptions in the ambiguities array
+- Use unclear only for a missing day ("date"), a missing time on a timed event ("time") or no idea what the event is ("title"); don't repeat those in ambiguities`;
+
+// Extra rules when the message corrects an event that was already drafted
+const CORRECTION_RULES = `- The message corrects the current event: return the WHOLE event with the correction applied
+- Keep every field the user didn't mention exactly as it is
+- "make it 4pm" moves the start and keeps the duration; "make it 2 hours" changes only the end
+- "call it Budget sync instead" changes only the summary
+- "add that it's at the office" sets location; other extra information goes into the description
+- Set unclear to []`;
+
 /**
  * Parse natural language event description into structured data
  * @param {string} userInput - The user's message describing the event
  * @param {string} timezone - User's timezone (e.g., 'America/Los_Angeles')
+ * @param {Object} currentEvent - Event the message corrects ("make it 4pm"), or null for a new event
+ * @param {number} defaultDuration - Event length in minutes when the message doesn't give one (default: 60)
  * @returns {Promise<Object>} Structured event data
  */
-async function parseEventDetails(userInput, timezone = 'America/Los_Angeles') {
+async function parseEventDetails(userInput, timezone = 'America/Los_Angeles', currentEvent = null, defaultDuration = 60) {
   // Get current date/time in user's timezone for context
   const now = new Date();
+
+  // Clear phrasings ("tomorrow 3pm for 2 hours") are parsed locally - instant and works without Gemini.
+  // Corrections only make sense next to the event they change, so they always go to Gemini.
+  const local = currentEvent ? null : parseEventLocally(userInput, timezone, now, defaultDuration);
+  if (local && local.confidence === 'high') {
+    return await normalizeEventDetails(local, now);
+  }
+
   const currentDateTime = formatInTimeZone(now, timezone, 'yyyy-MM-dd HH:mm zzz');
 
-  const prompt = `You are a calendar assistant. Parse the following message into a structured calendar event.
+  const prompt = `You are a calendar assistant. ${currentEvent ? 'Apply the user\'s correction to the current event.' : 'Parse the following message into a structured calendar event.'}
 
 User's timezone: ${timezone}
 Current date/time: ${currentDateTime}
-
-User's message: "${userInput}"
+Default event length: ${defaultDuration} minutes
+${currentEvent ? `\nCurrent event: ${JSON.stringify(toPromptEvent(currentEvent))}\n` : ''}
+User's message: ${JSON.stringify(userInput)}
 
 Extract the event details and return a JSON object with these fields:
-{
-  "summary": "Brief event title (max 10 words)",
-  "description": "Longer summary of the purpose (1-2 sentences, summarize the user's intent)",
-  "date": "YYYY-MM-DD (the event date)",
-  "startTime": "HH:MM (24-hour format)",
-  "endTime": "HH:MM (24-hour format, estimate 1 hour if not specified)",
-  "confidence": "high|medium|low (how confident you are in the parsing)",
-  "ambiguities": ["list any unclear aspects or assumptions made"]
-}
+${EVENT_JSON_FIELDS}
 
 Rules:
-- If no specific time is mentioned, use a reasonable default (e.g., 9am for morning, 2pm for afternoon, 7pm for evening)
-- If duration is not specified, default to 1 hour
-- For relative dates (tomorrow, next Monday, etc.), calculate the actual date
-- Summarize long descriptions into concise text
-- Be conservative with confidence: mark as "low" if anything is unclear
-- Include any assumptions in the ambiguities array`;
+${EVENT_PARSING_RULES}${currentEvent ? `\n${CORRECTION_RULES}` : ''}`;
 
   try {
     const result = await generateJSON(prompt);
+    return await normalizeEventDetails(result, now);
 
-    // Validate the response
-    if (!result.summary || !result.date || !result.startTime || !result.endTime) {
-      throw new Error('Missing required fields in parsed event');
+  } catch (error) {
+    // Gemini is down, rate-limited or returned nonsense - use the local guess, flagged for review
+    if (local) {
+      local.ambiguities.unshift('The AI parser is unavailable - I read the date and time myself, please check them');
+      return await normalizeEventDetails(local, now);
     }
 
-    // Validate date is not in the past
-    const eventDate = new Date(result.date + 'T' + result.startTime);
-    if (eventDate < now) {
+    throw new Error(`Failed to parse event details: ${error.message}`);
+  }
+}
+
+/**
+ * The fields of a drafted event Gemini needs to correct it (invitees as plain addresses)
+ * @param {Object} eventDetails - Event details from parseEventDetails
+ * @returns {Object} Event in the EVENT_JSON_FIELDS shape
+ */
+function toPromptEvent(eventDetails) {
+  const { summary, description, location, date, endDate, allDay, startTime, endTime, recurrence, addMeet, reminderMinutes } = eventDetails;
+  return {
+    summary, description, location: location || null, date, endDate, allDay, startTime, endTime,
+    recurrence: recurrence || null,
+    attendees: (eventDetails.attendees || []).map(attendee => attendee.email || attendee),
+    addMeet, reminderMinutes
+  };
+}
+
+/**
+ * Validate and normalize one event returned by Gemini (all-day fields, recurrence, reminder, contacts)
+ * @param {Object} result - Raw event object in the EVENT_JSON_FIELDS shape
+ * @param {Date} now - Current time, for the "in the past" warning
+ * @returns {Promise<Object>} Structured event data
+ */
+async function normalizeEventDetails(result, now = new Date()) {
+  // Normalize all-day/multi-day fields
+  result.allDay = result.allDay === true || result.allDay === 'true';
+  result.endDate = result.endDate || result.date;
+  if (result.allDay) {
+    result.startTime = null;
+    result.endTime = null;
+  }
+
+  // Validate the response
+  if (!result.summary || !result.date) {
+    throw new Error('Missing required fields in parsed event');
+  }
+
+  if (!result.allDay && (!result.startTime || !result.endTime)) {
+    throw new Error('Missing start or end time in parsed event');
+  }
+
+  // Validate date is not in the past (all-day events count until the end of the day)
+  const eventDate = result.allDay
+    ? new Date(result.endDate + 'T23:59')
+    : new Date(result.date + 'T' + result.startTime);
+  if (eventDate < now) {
+    result.ambiguities = result.ambiguities || [];
+    result.ambiguities.push(PAST_DATE_WARNING);
+    result.confidence = 'low';
+  }
+
+  // Guessed details the bot may ask about (in CLARIFIABLE_FIELDS order)
+  const unclear = Array.isArray(result.unclear) ? result.unclear : [];
+  result.unclear = CLARIFIABLE_FIELDS.filter(field => unclear.includes(field));
+
+  // Drop recurrence Gemini got wrong rather than failing the whole event
+  if (result.recurrence) {
+    const recurrenceErrors = validateRecurrence(result.recurrence);
+    if (recurrenceErrors.length > 0) {
       result.ambiguities = result.ambiguities || [];
-      result.ambiguities.push('Event date appears to be in the past');
-      result.confidence = 'low';
+      result.ambiguities.push(`Couldn't understand how the event repeats (${recurrenceErrors.join(', ')}) - creating a single event`);
+      result.recurrence = null;
     }
+  }
 
-    // Validate end time is after start time
-    const startTime = new Date('2000-01-01T' + result.startTime);
-    const endTime = new Date('2000-01-01T' + result.endTime);
-    if (endTime <= startTime) {
+  // Validate end is after start
+  if (result.allDay) {
+    if (result.endDate < result.date) {
+      throw new Error('End date must not be before start date');
+    }
+  } else {
+    const startDateTime = new Date(`${result.date}T${result.startTime}`);
+    const endDateTime = new Date(`${result.endDate}T${result.endTime}`);
+    if (endDateTime <= startDateTime) {
       throw new Error('End time must be after start time');
     }
+  }
 
-    return result;
-
-  } catch (error) {
-    throw new Error(`Failed to parse event details: ${error.message}`);
+  // Reminders are sent before the start time, so all-day events don't get one
+  const reminderMinutes = parseInt(result.reminderMinutes);
+  result.reminderMinutes = reminderMinutes > 0 && !result.allDay ? Math.min(reminderMinutes, MAX_REMINDER_MINUTES) : null;
+  if (reminderMinutes > MAX_REMINDER_MINUTES) {
+    result.ambiguities = result.ambiguities || [];
+    result.ambiguities.push('Reminders can be at most a day before - I\'ll remind you the day before');
   }
+
+  // Turn names into email addresses using the contacts table
+  result.addMeet = result.addMeet === true || result.addMeet === 'true';
+  const { attendees, unresolved } = await resolveContacts(result.attendees || []);
+  result.attendees = attendees;
+  unresolved.forEach(name => {
+    result.ambiguities = result.ambiguities || [];
+    result.ambiguities.push(`No email address for "${name}" - add it to contacts.json to send an invite`);
+  });
+
+  return result;
 }
 
 /**
  * Format parsed event details for user confirmation
  * @param {Object} eventDetails - Parsed event details
+ * @param {Array} conflicts - Overlapping events from checkCalendarConflicts (optional)
  * @returns {string} Formatted message for Telegram
  */
-function formatEventConfirmation(eventDetails) {
-  const { summary, description, date, startTime, endTime, confidence, ambiguities } = eventDetails;
+function formatEventConfirmation(eventDetails, conflicts = []) {
+  const { summary, description, date, startTime, endTime, allDay, recurrence, attendees, addMeet, reminderMinutes, confidence, ambiguities } = eventDetails;
+  const endDate = eventDetails.endDate || date;
 
   // Format the date nicely
-  const eventDate = new Date(date);
+  const eventDate = parseISO(date);
   const formattedDate = format(eventDate, 'EEEE, MMMM d, yyyy');
+  const daySpan = differenceInCalendarDays(parseISO(endDate), eventDate);
 
   let message = `📅 *Event Details*\n\n`;
-  message += `📆 *Date:* ${formattedDate}\n`;
-  message += `⏰ *Time:* ${startTime} - ${endTime}\n`;
-  message += `📝 *Title:* ${summary}\n`;
+
+  if (eventDetails.transcript) {
+    message += `🎙 *Heard:* _"${eventDetails.transcript.replace(/[*_`\[]/g, '')}"_\n\n`;
+  }
+
+  if (allDay && daySpan > 0) {
+    message += `📆 *Dates:* ${format(eventDate, 'EEE, MMM d')} – ${format(parseISO(endDate), 'EEE, MMM d, yyyy')} (${daySpan + 1} days)\n`;
+    message += `⏰ *Time:* All day\n`;
+  } else if (allDay) {
+    message += `📆 *Date:* ${formattedDate}\n`;
+    message += `⏰ *Time:* All day\n`;
+  } else if (daySpan === 1) {
+    message += `📆 *Date:* ${formattedDate}\n`;
+    message += `⏰ *Time:* ${startTime} - ${endTime} (next day)\n`;
+  } else if (daySpan > 1) {
+    message += `📆 *Starts:* ${formattedDate}, ${startTime}\n`;
+    message += `📆 *Ends:* ${format(parseISO(endDate), 'EEEE, MMMM d, yyyy')}, ${endTime}\n`;
+  } else {
+    message += `📆 *Date:* ${formattedDate}\n`;
+    message += `⏰ *Time:* ${startTime} - ${endTime}\n`;
+  }
+
+  if (recurrence) {
+    message += `🔁 *Repeats:* ${describeRecurrence(recurrence)}\n`;
+  }
+  message += `📝 *Title:* ${escapeMarkdown(summary)}\n`;
 
   if (description && description !== summary) {
-    message += `📋 *Description:* ${description}\n`;
+    message += `📋 *Description:* ${escapeMarkdown(description)}\n`;
+  }
+
+  if (eventDetails.location) {
+    message += `📍 *Location:* ${escapeMarkdown(eventDetails.location)}\n`;
+  }
+
+  if (attendees && attendees.length > 0) {
+    // Addresses like john_doe@x.com would break the Markdown
+    const invitees = attendees.map(attendee => (attendee.name ? `${attendee.name} (${attendee.email})` : attendee.email));
+    message += `👥 *Invitees:* ${escapeMarkdown(invitees.join(', '))}\n`;
+  }
+
+  if (addMeet) {
+    message += `🎥 *Google Meet:* a link will be added\n`;
+  }
+
+  if (reminderMinutes) {
+    message += `🔔 *Reminder:* ${formatDuration(reminderMinutes)} before\n`;
   }
 
   if (confidence === 'low' || (ambiguities && ambiguities.length > 0)) {
     message += `\n⚠️ *Please verify:*\n`;
     if (ambiguities && ambiguities.length > 0) {
       ambiguities.forEach(ambiguity => {
-        message += `• ${ambiguity}\n`;
+        message += `• ${escapeMarkdown(ambiguity)}\n`;
       });
     }
   }
 
+  if (conflicts && conflicts.length > 0) {
+    message += `\n⚠️ *Overlaps with:*\n`;
+    conflicts.forEach(conflict => {
+      message += `• ${escapeMarkdown(conflict.summary)} ${conflict.startTime}–${conflict.endTime}\n`;
+    });
+  }
+
   message += `\nShall I create this event?`;
 
   return message;
@@ -106,3 +299,8 @@ function formatEventConfirmation(eventDetails) {
 
 module.exports = parseEventDetails;
 module.exports.formatEventConfirmation = formatEventConfirmation;
+module.exports.normalizeEventDetails = normalizeEventDetails;
+module.exports.EVENT_JSON_FIELDS = EVENT_JSON_FIELDS;
+module.exports.EVENT_PARSING_RULES = EVENT_PARSING_RULES;
+module.exports.CLARIFIABLE_FIELDS = CLARIFIABLE_FIELDS;
+module.exports.PAST_DATE_WARNING = PAST_DATE_WARNING;
@@ -0,0 +1,70 @@
+const { generateJSON } = require('./gemini_client');
+const { normalizeEventDetails, EVENT_JSON_FIELDS, EVENT_PARSING_RULES } = require('./parse_event_details');
+const { formatInTimeZone } = require('date-fns-tz');
+
+// Image types Gemini accepts inline
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+/**
+ * Extract calendar events from a photo or screenshot (flyer, ticket, booking confirmation, chat invite)
+ * @param {Buffer} image - Image file contents
+ * @param {string} mimeType - Image MIME type (e.g., "image/jpeg")
+ * @param {string} caption - Text sent with the image (optional, may add context)
+ * @param {string} timezone - User's timezone (e.g., 'America/Los_Angeles')
+ * @param {number} defaultDuration - Event length in minutes when the image doesn't give one (default: 60)
+ * @returns {Promise<Object>} Object with events (structured event data, like parseEventDetails) and skipped (count of unusable events)
+ */
+async function parseEventImage(image, mimeType, caption = '', timezone = 'America/Los_Angeles', defaultDuration = 60) {
+  if (!SUPPORTED_IMAGE_TYPES.includes(mimeType)) {
+    throw new Error(`Unsupported image type: ${mimeType}`);
+  }
+
+  // Get current date/time in user's timezone for context
+  const now = new Date();
+  const currentDateTime = formatInTimeZone(now, timezone, 'yyyy-MM-dd HH:mm zzz');
+
+  const prompt = `You are a calendar assistant. The attached image is a flyer, poster, ticket, booking confirmation or chat screenshot.
+Find every event in it that the user could add to their calendar.
+
+User's timezone: ${timezone}
+Current date/time: ${currentDateTime}
+Default event length: ${defaultDuration} minutes
+${caption ? `\nUser's caption: ${JSON.stringify(caption)}\n` : ''}
+Return a JSON object: { "events": [ ... ] } where each event has these fields:
+${EVENT_JSON_FIELDS}
+
+Rules:
+${EVENT_PARSING_RULES}
+- Use the dates and times printed in the image; the caption may add context or pick which event is meant
+- If the year is missing, use the next time that date comes around
+- Put the venue or address in location and any booking reference in the description
+- Convert times to the user's timezone only if the image states a different timezone
+- If the image contains no event, return { "events": [] }`;
+
+  try {
+    const result = await generateJSON(prompt, {
+      attachments: [{ data: image, mimeType: mimeType }],
+      maxOutputTokens: 4096, // Room for several events
+    });
+
+    const events = [];
+    let skipped = 0;
+
+    for (const rawEvent of result.events || []) {
+      try {
+        events.push(await normalizeEventDetails(rawEvent, now));
+      } catch (error) {
+        // One unreadable event shouldn't hide the others
+        skipped++;
+      }
+    }
+
+    return { events, skipped };
+
+  } catch (error) {
+    throw new Error(`Failed to parse event image: ${error.message}`);
+  }
+}
+
+module.exports = parseEventImage;
+module.exports.SUPPORTED_IMAGE_TYPES = SUPPORTED_IMAGE_TYPES;
@@ -0,0 +1,47 @@
+const { generateJSON } = require('./gemini_client');
+const { formatInTimeZone } = require('date-fns-tz');
+
+/**
+ * Parse a natural language reference to an existing event ("my lunch with Sarah on Friday")
+ * @param {string} userInput - The user's message mentioning the event
+ * @param {string} timezone - User's timezone (e.g., 'America/Los_Angeles')
+ * @returns {Promise<Object>} Object with keywords, date and startTime (null when not mentioned)
+ */
+async function parseEventReference(userInput, timezone = 'America/Los_Angeles') {
+  const now = new Date();
+  const currentDateTime = formatInTimeZone(now, timezone, 'yyyy-MM-dd HH:mm zzz');
+
+  const prompt = `You are a calendar assistant. The user is referring to an event that is already on their calendar.
+
+User's timezone: ${timezone}
+Current date/time: ${currentDateTime}
+
+User's message: ${JSON.stringify(userInput)}
+
+Work out how to find the event. Return a JSON object with these fields:
+{
+  "keywords": "words likely to appear in the event title (e.g., 'lunch Sarah'), or null",
+  "date": "YYYY-MM-DD of the event if mentioned, or null",
+  "startTime": "HH:MM (24-hour) of the event if mentioned, or null"
+}
+
+Rules:
+- Leave out command words like cancel, delete, remove
+- For relative dates (tomorrow, next Monday, etc.), calculate the actual date
+- Use null for anything the user did not mention`;
+
+  try {
+    const result = await generateJSON(prompt);
+
+    return {
+      keywords: result.keywords || null,
+      date: result.date || null,
+      startTime: result.startTime || null
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to parse event reference: ${error.message}`);
+  }
+}
+
+module.exports = parseEventReference;
@@ -0,0 +1,284 @@
+const { generateJSON } = require('./gemini_client');
+const { format, parseISO, addDays, differenceInMinutes, differenceInCalendarDays, addMinutes } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const { escapeMarkdown } = require('./format_events_message');
+
+/**
+ * Parse a natural language edit request ("move the dentist to Thursday at 10")
+ * @param {string} userInput - The user's message describing the change
+ * @param {string} timezone - User's timezone (e.g., 'America/Los_Angeles')
+ * @returns {Promise<Object>} Object with target (which event) and changes (what to change)
+ */
+async function parseEventUpdate(userInput, timezone = 'America/Los_Angeles') {
+  const now = new Date();
+  const currentDateTime = formatInTimeZone(now, timezone, 'yyyy-MM-dd HH:mm zzz');
+
+  const prompt = `You are a calendar assistant. The user wants to change an existing calendar event.
+
+User's timezone: ${timezone}
+Current date/time: ${currentDateTime}
+
+User's message: ${JSON.stringify(userInput)}
+
+Work out which event the user means and what should change. Return a JSON object with these fields:
+{
+  "target": {
+    "keywords": "words identifying the existing event (e.g., 'dentist'), or null",
+    "date": "YYYY-MM-DD of the existing event if mentioned, or null",
+    "startTime": "HH:MM (24-hour) of the existing event if mentioned, or null"
+  },
+  "changes": {
+    "summary": "new title, or null if unchanged",
+    "date": "YYYY-MM-DD new date, or null if unchanged",
+    "startTime": "HH:MM (24-hour) new start time, or null if unchanged",
+    "endTime": "HH:MM (24-hour) new end time, or null if unchanged",
+    "location": "new location, or null if unchanged",
+    "description": "new description, or null if unchanged"
+  },
+  "confidence": "high|medium|low (how confident you are in the parsing)",
+  "ambiguities": ["list any unclear aspects or assumptions made"]
+}
+
+Rules:
+- "target" describes the event as it is NOW, "changes" describes how it should be AFTER
+- "rename tomorrow's 3pm to Budget review" -> target date tomorrow, startTime 15:00, changes.summary "Budget review"
+- "move the dentist to Thursday at 10" -> target keywords "dentist", changes.date Thursday, changes.startTime 10:00
+- Only set endTime if the user gives an end time or a new duration
+- For relative dates (tomorrow, next Monday, etc.), calculate the actual date
+- Be conservative with confidence: mark as "low" if anything is unclear`;
+
+  try {
+    const result = await generateJSON(prompt);
+
+    result.target = result.target || {};
+    result.changes = result.changes || {};
+
+    const hasTarget = result.target.keywords || result.target.date || result.target.startTime;
+    if (!hasTarget) {
+      throw new Error('Could not tell which event to change');
+    }
+
+    const hasChanges = Object.values(result.changes).some(value => value !== null && value !== undefined && value !== '');
+    if (!hasChanges) {
+      throw new Error('No changes found in the request');
+    }
+
+    result.ambiguities = result.ambiguities || [];
+
+    return result;
+
+  } catch (error) {
+    throw new Error(`Failed to parse event update: ${error.message}`);
+  }
+}
+
+/**
+ * Get the date range to search for the event being changed
+ * @param {Object} target - The target from parseEventUpdate
+ * @param {string} timezone - User's timezone
+ * @param {number} lookaheadDays - How far ahead to search when no date is given (default: 30)
+ * @returns {Object} Object with startDate and endDate (ISO strings)
+ */
+function getSearchWindow(target, timezone = 'America/Los_Angeles', lookaheadDays = 30) {
+  if (target.date) {
+    return {
+      startDate: fromZonedTime(`${target.date}T00:00:00`, timezone).toISOString(),
+      endDate: fromZonedTime(`${target.date}T23:59:59`, timezone).toISOString()
+    };
+  }
+
+  const now = new Date();
+  const today = formatInTimeZone(now, timezone, 'yyyy-MM-dd');
+
+  return {
+    startDate: fromZonedTime(`${today}T00:00:00`, timezone).toISOString(),
+    endDate: addDays(now, lookaheadDays).toISOString()
+  };
+}
+
+/**
+ * Apply parsed changes to an existing event, keeping the duration when only the start moves
+ * @param {Object} existingEvent - Event from queryCalendarEvents
+ * @param {Object} changes - The changes from parseEventUpdate
+ * @param {string} timezone - User's timezone
+ * @returns {Object} Object with updates (fields to patch) and after (event as it will look)
+ */
+function resolveEventChanges(existingEvent, changes, timezone = 'America/Los_Angeles') {
+  const updates = {};
+
+  if (changes.summary && changes.summary !== existingEvent.summary) {
+    updates.summary = changes.summary;
+  }
+
+  if (changes.location && changes.location !== existingEvent.location) {
+    updates.location = changes.location;
+  }
+
+  if (changes.description && changes.description !== existingEvent.description) {
+    updates.description = changes.description;
+  }
+
+  const timingChanged = changes.date || changes.startTime || changes.endTime;
+
+  if (timingChanged && existingEvent.isAllDay && !changes.startTime) {
+    // All-day event moved to another day - keep it all-day and keep its span (Google's end date is exclusive)
+    const span = differenceInCalendarDays(parseISO(existingEvent.end), parseISO(existingEvent.start)) - 1;
+    updates.date = changes.date || existingEvent.start;
+    updates.endDate = format(addDays(parseISO(updates.date), Math.max(span, 0)), 'yyyy-MM-dd');
+  } else if (timingChanged) {
+    const oldStart = existingEvent.isAllDay
+      ? fromZonedTime(`${existingEvent.start}T09:00:00`, timezone)
+      : parseISO(existingEvent.start);
+    const oldEnd = existingEvent.isAllDay
+      ? addMinutes(oldStart, 60)
+      : parseISO(existingEvent.end);
+    const duration = differenceInMinutes(oldEnd, oldStart);
+
+    const date = changes.date || formatInTimeZone(oldStart, timezone, 'yyyy-MM-dd');
+    const startTime = changes.startTime || formatInTimeZone(oldStart, timezone, 'HH:mm');
+
+    let endTime = changes.endTime;
+    let endDate = date;
+    if (endTime) {
+      // "until 1am" on a late start ends the next day
+      if (endTime <= startTime) {
+        endDate = format(addDays(parseISO(date), 1), 'yyyy-MM-dd');
+      }
+    } else {
+      const newEnd = addMinutes(fromZonedTime(`${date}T${startTime}:00`, timezone), duration);
+      endTime = formatInTimeZone(newEnd, timezone, 'HH:mm');
+      endDate = formatInTimeZone(newEnd, timezone, 'yyyy-MM-dd');
+    }
+
+    updates.date = date;
+    updates.startTime = startTime;
+    updates.endTime = endTime;
+    if (endDate !== date) {
+      updates.endDate = endDate;
+    }
+  }
+
+  const after = {
+    summary: updates.summary || existingEvent.summary,
+    description: updates.description || existingEvent.description,
+    location: updates.location || existingEvent.location,
+    isAllDay: existingEvent.isAllDay,
+    start: existingEvent.start,
+    end: existingEvent.end
+  };
+
+  if (updates.startTime) {
+    after.isAllDay = false;
+    after.start = fromZonedTime(`${updates.date}T${updates.startTime}:00`, timezone).toISOString();
+    after.end = fromZonedTime(`${updates.endDate || updates.date}T${updates.endTime}:00`, timezone).toISOString();
+  } else if (updates.date) {
+    after.start = updates.date;
+    after.end = format(addDays(parseISO(updates.endDate), 1), 'yyyy-MM-dd');
+  }
+
+  return { updates, after };
+}
+
+/**
+ * Work out the patch that turns a created event into its corrected version ("make it 4pm" right after creating it)
+ * @param {Object} before - Event details the event was created from
+ * @param {Object} after - Corrected event details (from parseEventDetails)
+ * @returns {Object|null} Fields for updateCalendarEvent (empty if nothing changed),
+ *   or null if the change needs more than a patch (repeats, invitees, Meet, reminder, multi-day)
+ */
+function diffEventDetails(before, after) {
+  const sameList = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+  const emails = attendees => (attendees || []).map(attendee => attendee.email);
+
+  if (JSON.stringify(before.recurrence || null) !== JSON.stringify(after.recurrence || null) ||
+    !sameList(emails(before.attendees), emails(after.attendees)) ||
+    !!before.addMeet !== !!after.addMeet ||
+    (before.reminderMinutes || null) !== (after.reminderMinutes || null) ||
+    (after.endDate || after.date) !== after.date) {
+    return null;
+  }
+
+  const updates = {};
+
+  ['summary', 'description', 'location'].forEach(field => {
+    if (after[field] && after[field] !== before[field]) {
+      updates[field] = after[field];
+    }
+  });
+
+  const timingChanged = after.date !== before.date || after.allDay !== before.allDay ||
+    after.startTime !== before.startTime || after.endTime !== before.endTime;
+
+  if (timingChanged) {
+    updates.date = after.date;
+    if (!after.allDay) {
+      updates.startTime = after.startTime;
+      updates.endTime = after.endTime;
+    }
+  }
+
+  return updates;
+}
+
+/**
+ * Format a before/after card for the user to confirm an update
+ * @param {Object} before - Event as it is now
+ * @param {Object} after - Event as it will look after the update
+ * @param {string} timezone - User's timezone
+ * @param {Array<string>} ambiguities - Notes to show the user
+ * @returns {string} Formatted message for Telegram
+ */
+function formatEventUpdateConfirmation(before, after, timezone = 'America/Los_Angeles', ambiguities = []) {
+  let message = `✏️ *Update Event*\n\n`;
+
+  message += `*Before:*\n`;
+  message += formatEventSnapshot(before, timezone);
+  message += `\n*After:*\n`;
+  message += formatEventSnapshot(after, timezone);
+
+  if (ambiguities && ambiguities.length > 0) {
+    message += `\n⚠️ *Please verify:*\n`;
+    ambiguities.forEach(ambiguity => {
+      message += `• ${escapeMarkdown(ambiguity)}\n`;
+    });
+  }
+
+  message += `\nShall I save these changes?`;
+
+  return message;
+}
+
+/**
+ * Format one side of the before/after card
+ * @param {Object} event - Event snapshot
+ * @param {string} timezone - User's timezone
+ * @returns {string} Formatted lines
+ */
+function formatEventSnapshot(event, timezone) {
+  let lines = `📝 ${escapeMarkdown(event.summary)}\n`;
+
+  if (event.isAllDay) {
+    const lastDay = addDays(parseISO(event.end), -1);
+    const days = differenceInCalendarDays(lastDay, parseISO(event.start)) > 0
+      ? `${format(parseISO(event.start), 'EEEE, MMMM d')} - ${format(lastDay, 'EEEE, MMMM d, yyyy')}`
+      : format(parseISO(event.start), 'EEEE, MMMM d, yyyy');
+    lines += `📆 ${days} (all day)\n`;
+  } else {
+    const start = parseISO(event.start);
+    const end = parseISO(event.end);
+    lines += `📆 ${formatInTimeZone(start, timezone, 'EEEE, MMMM d, yyyy')}\n`;
+    lines += `⏰ ${formatInTimeZone(start, timezone, 'HH:mm')} - ${formatInTimeZone(end, timezone, 'HH:mm')}\n`;
+  }
+
+  if (event.location) {
+    lines += `📍 ${escapeMarkdown(event.location)}\n`;
+  }
+
+  return lines;
+}
+
+module.exports = parseEventUpdate;
+module.exports.getSearchWindow = getSearchWindow;
+module.exports.resolveEventChanges = resolveEventChanges;
+module.exports.diffEventDetails = diffEventDetails;
+module.exports.formatEventUpdateConfirmation = formatEventUpdateConfirmation;
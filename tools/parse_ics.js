@@ -0,0 +1,298 @@
+const { format, addDays, parseISO } = require('date-fns');
+const { fromZonedTime } = require('date-fns-tz');
+
+// Outlook/Exchange write Windows zone names - map the common ones to IANA
+const WINDOWS_TIMEZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'UTC': 'UTC',
+};
+
+/**
+ * Parse an iCalendar (.ics) file into events
+ * @param {string} text - File contents
+ * @param {string} defaultTimezone - Timezone for "floating" times without TZID (e.g., 'America/Los_Angeles')
+ * @returns {Object} Object with events and warnings (things that were skipped or guessed)
+ *
+ * Each event: { uid, summary, description, location, allDay, start, end, timeZone, recurrence }
+ * - Timed events: start/end are UTC ISO strings, timeZone is the zone the event was written in
+ * - All-day events: start/end are YYYY-MM-DD, end is exclusive (as in iCalendar and the Calendar API)
+ * - recurrence: RRULE/EXDATE/RDATE lines, passed through to the Calendar API as-is
+ */
+function parseICS(text, defaultTimezone = 'America/Los_Angeles') {
+  const lines = unfoldLines(text);
+  const events = [];
+  const warnings = [];
+
+  if (!lines.some(line => line.startsWith('BEGIN:VCALENDAR'))) {
+    throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+  }
+
+  // A METHOD:CANCEL file withdraws invites, it doesn't add events
+  if (lines.some(line => line === 'METHOD:CANCEL')) {
+    warnings.push('This file cancels an invitation - nothing to import');
+    return { events, warnings };
+  }
+
+  let current = null;
+  let depth = 0; // Nested blocks inside a VEVENT (VALARM)
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = [];
+      depth = 0;
+      return;
+    }
+    if (!current) return;
+
+    if (line === 'END:VEVENT') {
+      try {
+        const event = buildEvent(current, defaultTimezone, warnings);
+        if (event) events.push(event);
+      } catch (error) {
+        warnings.push(`Skipped an event: ${error.message}`);
+      }
+      current = null;
+      return;
+    }
+
+    if (line.startsWith('BEGIN:')) depth++;
+    else if (line.startsWith('END:')) depth--;
+    else if (depth === 0) current.push(parseContentLine(line));
+  });
+
+  return { events, warnings };
+}
+
+/**
+ * Unfold long lines (continuation lines start with a space or tab) and drop blanks
+ * @param {string} text - File contents
+ * @returns {Array<string>} Logical lines
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/^\uFEFF/, '') // Byte order mark
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Split a content line into name, parameters and value ("DTSTART;TZID=Europe/Berlin:20261106T200000")
+ * @param {string} line - Unfolded line
+ * @returns {Object} Object with name, params (uppercase keys) and value
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside quotes
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+
+  const head = colon === -1 ? line : line.slice(0, colon);
+  const value = colon === -1 ? '' : line.slice(colon + 1);
+  const [name, ...paramParts] = head.split(';');
+
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value, raw: line };
+}
+
+/**
+ * Turn the properties of one VEVENT into an event
+ * @param {Array<Object>} properties - Parsed content lines
+ * @param {string} defaultTimezone - Timezone for floating times
+ * @param {Array<string>} warnings - Warnings list (appended to)
+ * @returns {Object|null} Event, or null if it should be skipped
+ */
+function buildEvent(properties, defaultTimezone, warnings) {
+  const get = name => properties.find(property => property.name === name);
+  const summary = get('SUMMARY') ? unescapeText(get('SUMMARY').value) : '(No title)';
+
+  const status = get('STATUS');
+  if (status && status.value.toUpperCase() === 'CANCELLED') {
+    warnings.push(`Skipped "${summary}" (cancelled)`);
+    return null;
+  }
+
+  // Changed occurrences of a repeating event - the Calendar API can't take them as separate events
+  if (get('RECURRENCE-ID')) {
+    warnings.push(`Skipped a changed occurrence of "${summary}"`);
+    return null;
+  }
+
+  const dtstart = get('DTSTART');
+  if (!dtstart) {
+    throw new Error(`"${summary}" has no start time`);
+  }
+
+  const start = parseDateValue(dtstart, defaultTimezone, warnings);
+  let end;
+
+  if (get('DTEND')) {
+    end = parseDateValue(get('DTEND'), defaultTimezone, warnings);
+  } else if (get('DURATION')) {
+    end = addDuration(start, get('DURATION').value);
+  } else {
+    // No end: all-day events last one day, timed events are a point in time
+    end = start.allDay
+      ? { ...start, value: format(addDays(parseISO(start.value), 1), 'yyyy-MM-dd') }
+      : start;
+  }
+
+  // EXDATE/RDATE may carry a TZID too - rewrite it to the IANA name the Calendar API expects
+  const recurrence = properties
+    .filter(property => ['RRULE', 'EXDATE', 'RDATE', 'EXRULE'].includes(property.name))
+    .map(property => (property.params.TZID
+      ? property.raw.replace(/TZID=("[^"]*"|[^;:]*)/, `TZID=${resolveTimezone(property.params.TZID, defaultTimezone, warnings)}`)
+      : property.raw));
+
+  const uid = get('UID') ? get('UID').value : null;
+  if (!uid) {
+    warnings.push(`"${summary}" has no UID - it can't be checked for duplicates`);
+  }
+
+  return {
+    uid: uid,
+    summary: summary,
+    description: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : '',
+    location: get('LOCATION') ? unescapeText(get('LOCATION').value) : null,
+    allDay: start.allDay,
+    start: start.value,
+    end: end.allDay === start.allDay ? end.value : start.value,
+    timeZone: start.timeZone,
+    recurrence: recurrence
+  };
+}
+
+/**
+ * Parse a DTSTART/DTEND value
+ * @param {Object} property - Parsed content line
+ * @param {string} defaultTimezone - Timezone for floating times
+ * @param {Array<string>} warnings - Warnings list (appended to)
+ * @returns {Object} Object with allDay, value (YYYY-MM-DD or UTC ISO) and timeZone
+ */
+function parseDateValue(property, defaultTimezone, warnings) {
+  const value = property.value.trim();
+
+  // All-day: 20261106 (VALUE=DATE)
+  const dateMatch = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateMatch) {
+    return { allDay: true, value: `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}`, timeZone: null };
+  }
+
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!match) {
+    throw new Error(`Unreadable date "${value}"`);
+  }
+
+  const local = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+
+  // UTC: 20261106T190000Z
+  if (match[7]) {
+    return { allDay: false, value: new Date(`${local}Z`).toISOString(), timeZone: resolveTimezone(property.params.TZID, defaultTimezone, warnings) || 'UTC' };
+  }
+
+  // Local time in a named zone, or floating (the user's zone)
+  const timeZone = resolveTimezone(property.params.TZID, defaultTimezone, warnings) || defaultTimezone;
+  return { allDay: false, value: fromZonedTime(local, timeZone).toISOString(), timeZone: timeZone };
+}
+
+/**
+ * Map a TZID to an IANA timezone
+ * @param {string} tzid - TZID parameter (may be missing)
+ * @param {string} defaultTimezone - Fallback for unknown zones
+ * @param {Array<string>} warnings - Warnings list (appended to)
+ * @returns {string|null} IANA timezone, or null if there was no TZID
+ */
+function resolveTimezone(tzid, defaultTimezone, warnings) {
+  if (!tzid) return null;
+
+  // Some exporters prefix the zone ("/mozilla.org/20050126_1/Europe/Berlin")
+  const ianaSuffix = (tzid.match(/([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_]+)?)$/) || [])[1];
+  const candidates = [tzid, ianaSuffix, WINDOWS_TIMEZONES[tzid]];
+  const zone = candidates.find(candidate => candidate && isValidTimezone(candidate));
+
+  if (zone) return zone;
+
+  const warning = `Unknown timezone "${tzid}" - using ${defaultTimezone}`;
+  if (!warnings.includes(warning)) warnings.push(warning);
+  return defaultTimezone;
+}
+
+/**
+ * Check if a timezone name is known to the runtime
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Add an iCalendar DURATION ("PT1H30M", "P1D", "P1W") to a start value
+ * @param {Object} start - Parsed start (allDay, value, timeZone)
+ * @param {string} duration - DURATION value
+ * @returns {Object} End in the same shape as start
+ */
+function addDuration(start, duration) {
+  const match = duration.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    throw new Error(`Unreadable duration "${duration}"`);
+  }
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(part => parseInt(part) || 0);
+  const totalDays = weeks * 7 + days;
+
+  if (start.allDay) {
+    return { ...start, value: format(addDays(parseISO(start.value), Math.max(totalDays, 1)), 'yyyy-MM-dd') };
+  }
+
+  const milliseconds = ((totalDays * 24 + hours) * 60 * 60 + minutes * 60 + seconds) * 1000;
+  return { ...start, value: new Date(new Date(start.value).getTime() + milliseconds).toISOString() };
+}
+
+/**
+ * Unescape iCalendar TEXT values (\n, \, \; \\)
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+module.exports = parseICS;
+module.exports.unfoldLines = unfoldLines;
+module.exports.isValidTimezone = isValidTimezone;
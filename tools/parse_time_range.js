@@ -1,30 +1,42 @@
 const { generateJSON } = require('./gemini_client');
-const { formatInTimeZone } = require('date-fns-tz');
-const { startOfDay, endOfDay, startOfWeek, endOfWeek, addDays, addWeeks } = require('date-fns');
+const { parseTimeRangeLocally } = require('./parse_dates_locally');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const { startOfWeek, endOfWeek, addDays, addWeeks, format, parseISO } = require('date-fns');
+
+// Day names by date-fns weekStartsOn index, for the Gemini prompt
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 /**
  * Parse natural language time expression into a date range
  * @param {string} timeExpression - Natural language time (e.g., "tomorrow", "next week")
  * @param {string} timezone - User's timezone (default: America/Los_Angeles)
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday, 1 = Monday; default: 1)
  * @returns {Promise<Object>} Object with startDate, endDate (ISO strings), and description
  */
-async function parseTimeRange(timeExpression, timezone = 'America/Los_Angeles') {
+async function parseTimeRange(timeExpression, timezone = 'America/Los_Angeles', weekStartsOn = 1) {
   const now = new Date();
   const currentDateTime = formatInTimeZone(now, timezone, 'yyyy-MM-dd HH:mm zzz');
 
   // Handle common shortcuts first (faster than AI)
-  const quickParse = parseQuickShortcuts(timeExpression, timezone);
+  const quickParse = parseQuickShortcuts(timeExpression, timezone, weekStartsOn);
   if (quickParse) {
     return quickParse;
   }
 
+  // Then clear dates and periods ("next Tuesday", "in March", "Nov 3 - Nov 10")
+  const local = parseTimeRangeLocally(timeExpression, timezone, now, weekStartsOn);
+  if (local && local.confidence === 'high') {
+    return local;
+  }
+
   // Use Gemini for more complex expressions
   const prompt = `You are a date range parser. Convert the time expression into a date range.
 
 User's timezone: ${timezone}
 Current date/time: ${currentDateTime}
+Weeks start on: ${WEEKDAY_NAMES[weekStartsOn]}
 
-Time expression: "${timeExpression}"
+Time expression: ${JSON.stringify(timeExpression)}
 
 Return a JSON object with:
 {
@@ -38,7 +50,7 @@ Return a JSON object with:
 
 Examples:
 - "tomorrow" -> next day from 00:00 to 23:59
-- "next week" -> upcoming Monday through Sunday
+- "next week" -> the 7 days from the next ${WEEKDAY_NAMES[weekStartsOn]}
 - "this weekend" -> upcoming Saturday and Sunday
 - "next Monday" -> the next occurrence of Monday`;
 
@@ -61,6 +73,11 @@ Examples:
     };
 
   } catch (error) {
+    // Gemini is down or rate-limited - a local guess beats no answer
+    if (local) {
+      return local;
+    }
+
     throw new Error(`Failed to parse time range: ${error.message}`);
   }
 }
@@ -69,56 +86,56 @@ Examples:
  * Parse common time shortcuts without using AI (faster)
  * @param {string} expression - Time expression
  * @param {string} timezone - User's timezone
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday, 1 = Monday; default: 1)
  * @returns {Object|null} Parsed range or null if not a shortcut
  */
-function parseQuickShortcuts(expression, timezone) {
+function parseQuickShortcuts(expression, timezone, weekStartsOn = 1) {
   const normalized = expression.toLowerCase().trim();
-  const now = new Date();
+
+  // The user's today as a plain date, so days and weeks start at midnight where the user is, not on the server
+  const today = parseISO(formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd'));
 
   let start, end, description;
 
   switch (normalized) {
     case 'today':
-      start = startOfDay(now);
-      end = endOfDay(now);
+      start = today;
+      end = today;
       description = 'today';
       break;
 
     case 'tomorrow':
-      const tomorrow = addDays(now, 1);
-      start = startOfDay(tomorrow);
-      end = endOfDay(tomorrow);
+      start = addDays(today, 1);
+      end = start;
       description = 'tomorrow';
       break;
 
     case 'yesterday':
-      const yesterday = addDays(now, -1);
-      start = startOfDay(yesterday);
-      end = endOfDay(yesterday);
+      start = addDays(today, -1);
+      end = start;
       description = 'yesterday';
       break;
 
     case 'this week':
     case 'week':
-      start = startOfWeek(now, { weekStartsOn: 1 }); // Monday
-      end = endOfWeek(now, { weekStartsOn: 1 }); // Sunday
+      start = startOfWeek(today, { weekStartsOn });
+      end = endOfWeek(today, { weekStartsOn });
       description = 'this week';
       break;
 
     case 'next week':
-      const nextWeekStart = addWeeks(startOfWeek(now, { weekStartsOn: 1 }), 1);
+      const nextWeekStart = addWeeks(startOfWeek(today, { weekStartsOn }), 1);
       start = nextWeekStart;
-      end = endOfWeek(nextWeekStart, { weekStartsOn: 1 });
+      end = endOfWeek(nextWeekStart, { weekStartsOn });
       description = 'next week';
       break;
 
     case 'this weekend':
       // Find next Saturday
-      const dayOfWeek = now.getDay();
+      const dayOfWeek = today.getDay();
       const daysUntilSaturday = dayOfWeek <= 6 ? 6 - dayOfWeek : 0;
-      const saturday = addDays(now, daysUntilSaturday);
-      start = startOfDay(saturday);
-      end = endOfDay(addDays(saturday, 1)); // Sunday
+      start = addDays(today, daysUntilSaturday);
+      end = addDays(start, 1); // Sunday
       description = 'this weekend';
       break;
 
@@ -126,12 +143,85 @@ function parseQuickShortcuts(expression, timezone) {
       return null; // Not a recognized shortcut
   }
 
+  // Wall-clock times in the user's timezone, like the Gemini and local parses
   return {
-    startDate: formatInTimeZone(start, timezone, "yyyy-MM-dd'T'HH:mm:ss"),
-    endDate: formatInTimeZone(end, timezone, "yyyy-MM-dd'T'HH:mm:ss"),
+    startDate: `${format(start, 'yyyy-MM-dd')}T00:00:00`,
+    endDate: `${format(end, 'yyyy-MM-dd')}T23:59:59`,
     description: description,
     confidence: 'high'
   };
 }
 
+/**
+ * Get the range covering one day, for browsing day by day
+ * @param {string} date - Day (YYYY-MM-DD)
+ * @param {string} timezone - User's timezone
+ * @returns {Object} Object with startDate, endDate (ISO strings) and description
+ */
+function getDayRange(date, timezone = 'America/Los_Angeles') {
+  const today = formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd');
+  const tomorrow = format(addDays(parseISO(today), 1), 'yyyy-MM-dd');
+  const yesterday = format(addDays(parseISO(today), -1), 'yyyy-MM-dd');
+
+  let description = format(parseISO(date), 'EEEE, MMMM d');
+  if (date === today) description = 'today';
+  if (date === tomorrow) description = 'tomorrow';
+  if (date === yesterday) description = 'yesterday';
+
+  return {
+    startDate: fromZonedTime(`${date}T00:00:00`, timezone).toISOString(),
+    endDate: fromZonedTime(`${date}T23:59:59`, timezone).toISOString(),
+    description: description
+  };
+}
+
+/**
+ * Get the week containing a day (Monday-Sunday by default), for browsing week by week
+ * @param {string} date - Any day in the week (YYYY-MM-DD)
+ * @param {string} timezone - User's timezone
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday, 1 = Monday; default: 1)
+ * @returns {Object} Object with startDate, endDate (ISO strings), weekStart (YYYY-MM-DD) and description
+ */
+function getWeekRange(date, timezone = 'America/Los_Angeles', weekStartsOn = 1) {
+  const firstDay = startOfWeek(parseISO(date), { weekStartsOn });
+  const lastDay = addDays(firstDay, 6);
+  const weekStart = format(firstDay, 'yyyy-MM-dd');
+  const thisWeekStart = format(startOfWeek(parseISO(formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd')), { weekStartsOn }), 'yyyy-MM-dd');
+
+  let description = `week of ${format(firstDay, 'MMM d')}`;
+  if (weekStart === thisWeekStart) description = 'this week';
+  if (weekStart === format(addWeeks(parseISO(thisWeekStart), 1), 'yyyy-MM-dd')) description = 'next week';
+
+  return {
+    startDate: fromZonedTime(`${weekStart}T00:00:00`, timezone).toISOString(),
+    endDate: fromZonedTime(`${format(lastDay, 'yyyy-MM-dd')}T23:59:59`, timezone).toISOString(),
+    weekStart: weekStart,
+    description: description
+  };
+}
+
+/**
+ * Extract a duration from text ("for 90 minutes", "2 hours", "1.5h", "half an hour")
+ * @param {string} text - Text that may mention a duration
+ * @returns {number|null} Duration in minutes or null if none mentioned
+ */
+function parseDuration(text) {
+  if (!text) return null;
+
+  const normalized = text.toLowerCase();
+
+  if (/\bhalf an? hour\b/.test(normalized)) return 30;
+  if (/\ban hour and a half\b/.test(normalized)) return 90;
+  if (/\ban hour\b/.test(normalized)) return 60;
+
+  const match = /(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|mins?|minutes?)\b/.exec(normalized);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  return match[2].startsWith('h') ? Math.round(value * 60) : Math.round(value);
+}
+
 module.exports = parseTimeRange;
+module.exports.parseDuration = parseDuration;
+module.exports.getDayRange = getDayRange;
+module.exports.getWeekRange = getWeekRange;
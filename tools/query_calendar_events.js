@@ -1,4 +1,7 @@
 const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+const { format, parseISO, addDays } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
 require('dotenv').config();
 
 /**
@@ -6,21 +9,39 @@ require('dotenv').config();
  * @param {string} startDate - Start of range (ISO 8601 datetime)
  * @param {string} endDate - End of range (ISO 8601 datetime)
  * @param {number} maxResults - Maximum number of events to return (default: 10)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
  * @returns {Promise<Array>} Array of event objects
  */
-async function queryCalendarEvents(startDate, endDate, maxResults = 10) {
-  const calendarId = process.env.GOOGLE_CALENDAR_ID || 'primary';
+async function queryCalendarEvents(startDate, endDate, maxResults = 10, userId = null) {
+  const { events } = await queryCalendarEventsPage(startDate, endDate, { pageSize: maxResults, userId: userId });
+  return events;
+}
+
+/**
+ * Query one page of events from Google Calendar within a date range
+ * @param {string} startDate - Start of range (ISO 8601 datetime)
+ * @param {string} endDate - End of range (ISO 8601 datetime)
+ * @param {Object} options - Optional configuration
+ * @param {number} options.pageSize - Events per page (default: 10)
+ * @param {string} options.pageToken - Token of the page to fetch (from a previous nextPageToken)
+ * @param {number} options.userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object>} Object with events and nextPageToken (null on the last page)
+ */
+async function queryCalendarEventsPage(startDate, endDate, options = {}) {
+  const { pageSize = 10, pageToken = null, userId = null } = options;
+  const calendarId = await getCalendarId(userId);
 
   try {
     // Get authenticated Calendar API client
-    const calendar = await getCalendarClient();
+    const calendar = await getCalendarClient(userId);
 
     // Query events from Google Calendar
     const response = await calendar.events.list({
       calendarId: calendarId,
       timeMin: startDate,
       timeMax: endDate,
-      maxResults: maxResults,
+      maxResults: pageSize,
+      pageToken: pageToken || undefined,
       singleEvents: true, // Expand recurring events
       orderBy: 'startTime', // Sort by start time
     });
@@ -28,30 +49,17 @@ async function queryCalendarEvents(startDate, endDate, maxResults = 10) {
     const events = response.data.items || [];
 
     // Transform events into a simpler format
-    return events.map(event => {
-      const start = event.start.dateTime || event.start.date;
-      const end = event.end.dateTime || event.end.date;
-
-      return {
-        id: event.id,
-        summary: event.summary || '(No title)',
-        description: event.description || '',
-        start: start,
-        end: end,
-        isAllDay: !event.start.dateTime, // All-day if no time component
-        htmlLink: event.htmlLink,
-        location: event.location || null,
-        created: event.created,
-        updated: event.updated
-      };
-    });
+    return {
+      events: events.map(simplifyEvent),
+      nextPageToken: response.data.nextPageToken || null
+    };
 
   } catch (error) {
     // Handle specific Google Calendar API errors
     if (error.code === 401 || error.code === 403) {
       throw new Error('Google Calendar authentication failed. Please check your credentials.');
     } else if (error.code === 404) {
-      throw new Error('Calendar not found. Please check GOOGLE_CALENDAR_ID in .env');
+      throw new Error('Calendar not found. Please pick another calendar in /settings (or check GOOGLE_CALENDAR_ID in .env)');
     } else if (error.code === 429) {
       throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
     }
@@ -60,55 +68,134 @@ async function queryCalendarEvents(startDate, endDate, maxResults = 10) {
   }
 }
 
+/**
+ * Transform a Calendar API event into the simpler format used by the bot
+ * @param {Object} event - Event resource from the Calendar API
+ * @returns {Object} Simplified event
+ */
+function simplifyEvent(event) {
+  const start = event.start.dateTime || event.start.date;
+  const end = event.end.dateTime || event.end.date;
+
+  return {
+    id: event.id,
+    summary: event.summary || '(No title)',
+    description: event.description || '',
+    start: start,
+    end: end,
+    isAllDay: !event.start.dateTime, // All-day if no time component
+    htmlLink: event.htmlLink,
+    location: event.location || null,
+    recurringEventId: event.recurringEventId || null, // Set on instances of repeating events
+    iCalUID: event.iCalUID || null,
+    reminderMinutes: getReminderMinutes(event), // Per-event Telegram reminder, null for the default
+    created: event.created,
+    updated: event.updated
+  };
+}
+
+/**
+ * Read the per-event Telegram reminder lead time saved by createCalendarEvent
+ * @param {Object} event - Event resource from the Calendar API
+ * @returns {number|null} Minutes before the event, or null if not set
+ */
+function getReminderMinutes(event) {
+  const properties = (event.extendedProperties && event.extendedProperties.private) || {};
+  const minutes = parseInt(properties.reminderMinutes);
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Get the start and end of a calendar day in a timezone
+ * @param {number} offsetDays - Days from today (0 = today, 1 = tomorrow)
+ * @param {string} timezone - Timezone the day is in
+ * @returns {Object} Object with startOfDay and endOfDay (ISO strings)
+ */
+function getDayBounds(offsetDays, timezone) {
+  const today = formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd');
+  const day = format(addDays(parseISO(today), offsetDays), 'yyyy-MM-dd');
+
+  return {
+    startOfDay: fromZonedTime(`${day}T00:00:00`, timezone).toISOString(),
+    endOfDay: fromZonedTime(`${day}T23:59:59.999`, timezone).toISOString()
+  };
+}
+
 /**
  * Get today's events (convenience function)
+ * @param {string} timezone - Timezone that decides where "today" starts (optional, default: server time)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
  * @returns {Promise<Array>} Array of today's events
  */
-async function getTodayEvents() {
+async function getTodayEvents(timezone = null, userId = null) {
+  if (timezone) {
+    const { startOfDay, endOfDay } = getDayBounds(0, timezone);
+    return await queryCalendarEvents(startOfDay, endOfDay, 10, userId);
+  }
+
   const now = new Date();
   const startOfDay = new Date(now.setHours(0, 0, 0, 0)).toISOString();
   const endOfDay = new Date(now.setHours(23, 59, 59, 999)).toISOString();
 
-  return await queryCalendarEvents(startOfDay, endOfDay);
+  return await queryCalendarEvents(startOfDay, endOfDay, 10, userId);
 }
 
 /**
  * Get tomorrow's events (convenience function)
+ * @param {string} timezone - Timezone that decides where "tomorrow" starts (optional, default: server time)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
  * @returns {Promise<Array>} Array of tomorrow's events
  */
-async function getTomorrowEvents() {
+async function getTomorrowEvents(timezone = null, userId = null) {
+  if (timezone) {
+    const { startOfDay, endOfDay } = getDayBounds(1, timezone);
+    return await queryCalendarEvents(startOfDay, endOfDay, 10, userId);
+  }
+
   const tomorrow = new Date();
   tomorrow.setDate(tomorrow.getDate() + 1);
 
   const startOfDay = new Date(tomorrow.setHours(0, 0, 0, 0)).toISOString();
   const endOfDay = new Date(tomorrow.setHours(23, 59, 59, 999)).toISOString();
 
-  return await queryCalendarEvents(startOfDay, endOfDay);
+  return await queryCalendarEvents(startOfDay, endOfDay, 10, userId);
 }
 
 /**
  * Get this week's events (convenience function)
+ * @param {string} timezone - Timezone that decides where the week starts (optional, default: server time)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday, 1 = Monday; default: 1)
  * @returns {Promise<Array>} Array of this week's events
  */
-async function getWeekEvents() {
+async function getWeekEvents(timezone = null, userId = null, weekStartsOn = 1) {
+  if (timezone) {
+    const today = parseISO(formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd'));
+    const daysBack = (today.getDay() - weekStartsOn + 7) % 7;
+    const { startOfDay } = getDayBounds(-daysBack, timezone);
+    const { endOfDay } = getDayBounds(6 - daysBack, timezone);
+    return await queryCalendarEvents(startOfDay, endOfDay, 50, userId);
+  }
+
   const now = new Date();
 
-  // Get start of week (Monday)
-  const dayOfWeek = now.getDay();
-  const daysToMonday = dayOfWeek === 0 ? -6 : 1 - dayOfWeek;
+  // Get start of week
+  const daysBack = (now.getDay() - weekStartsOn + 7) % 7;
   const startOfWeek = new Date(now);
-  startOfWeek.setDate(now.getDate() + daysToMonday);
+  startOfWeek.setDate(now.getDate() - daysBack);
   startOfWeek.setHours(0, 0, 0, 0);
 
-  // Get end of week (Sunday)
+  // Get end of week
   const endOfWeek = new Date(startOfWeek);
   endOfWeek.setDate(startOfWeek.getDate() + 6);
   endOfWeek.setHours(23, 59, 59, 999);
 
-  return await queryCalendarEvents(startOfWeek.toISOString(), endOfWeek.toISOString(), 50);
+  return await queryCalendarEvents(startOfWeek.toISOString(), endOfWeek.toISOString(), 50, userId);
 }
 
 module.exports = queryCalendarEvents;
 module.exports.getTodayEvents = getTodayEvents;
 module.exports.getTomorrowEvents = getTomorrowEvents;
 module.exports.getWeekEvents = getWeekEvents;
+module.exports.simplifyEvent = simplifyEvent;
+module.exports.queryCalendarEventsPage = queryCalendarEventsPage;
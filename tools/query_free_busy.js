@@ -0,0 +1,54 @@
+const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+require('dotenv').config();
+
+/**
+ * Query busy intervals from Google Calendar's freebusy API
+ * @param {string} startDate - Start of range (ISO 8601 datetime)
+ * @param {string} endDate - End of range (ISO 8601 datetime)
+ * @param {string} timezone - Timezone for the response (default: from env or America/Los_Angeles)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Array>} Array of busy intervals ({ start, end } ISO strings), sorted by start
+ */
+async function queryFreeBusy(startDate, endDate, timezone = null, userId = null) {
+  const calendarId = await getCalendarId(userId);
+  const queryTimezone = timezone || process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/Los_Angeles';
+
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    const response = await calendar.freebusy.query({
+      resource: {
+        timeMin: startDate,
+        timeMax: endDate,
+        timeZone: queryTimezone,
+        items: [{ id: calendarId }],
+      },
+    });
+
+    const calendarBusy = response.data.calendars[calendarId] || {};
+
+    if (calendarBusy.errors && calendarBusy.errors.length > 0) {
+      throw new Error(calendarBusy.errors.map(error => error.reason).join(', '));
+    }
+
+    return (calendarBusy.busy || [])
+      .map(interval => ({ start: interval.start, end: interval.end }))
+      .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 404) {
+      throw new Error('Calendar not found. Please pick another calendar in /settings (or check GOOGLE_CALENDAR_ID in .env)');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to query free/busy: ${error.message}`);
+  }
+}
+
+module.exports = queryFreeBusy;
@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+// Alias table: { "anna": "anna@acme.com", "bob smith": "bob@acme.com" }
+const CONTACTS_PATH = path.join(__dirname, '..', 'contacts.json');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Load the contacts alias table from contacts.json or the CONTACTS_JSON env var
+ * @returns {Promise<Object>} Map of lowercase alias to email address
+ */
+async function loadContacts() {
+  let contacts = {};
+
+  // First try local contacts.json file
+  try {
+    const content = await fs.readFile(CONTACTS_PATH);
+    contacts = JSON.parse(content);
+  } catch (error) {
+    // Fall back to environment variable (for Render / production)
+    if (process.env.CONTACTS_JSON) {
+      try {
+        contacts = JSON.parse(process.env.CONTACTS_JSON);
+      } catch (parseError) {
+        console.error('Failed to parse CONTACTS_JSON env var:', parseError.message);
+      }
+    }
+  }
+
+  const normalized = {};
+  Object.entries(contacts).forEach(([alias, email]) => {
+    normalized[alias.toLowerCase().trim()] = email;
+  });
+
+  return normalized;
+}
+
+/**
+ * Resolve names and email addresses into attendees
+ * @param {Array<string>} people - Email addresses or names/aliases (e.g., ["anna@acme.com", "Bob"])
+ * @returns {Promise<Object>} Object with attendees ([{ email, name }]) and unresolved (names without an email)
+ */
+async function resolveContacts(people) {
+  const attendees = [];
+  const unresolved = [];
+
+  if (!people || people.length === 0) {
+    return { attendees, unresolved };
+  }
+
+  const contacts = await loadContacts();
+
+  people.forEach(person => {
+    const value = String(person).trim();
+    if (!value) return;
+
+    if (EMAIL_PATTERN.test(value)) {
+      attendees.push({ email: value.toLowerCase(), name: null });
+      return;
+    }
+
+    // Try the full name first, then the first name ("Anna Smith" -> "anna")
+    const key = value.toLowerCase();
+    const email = contacts[key] || contacts[key.split(/\s+/)[0]];
+
+    if (email) {
+      attendees.push({ email: email.toLowerCase(), name: value });
+    } else {
+      unresolved.push(value);
+    }
+  });
+
+  // Drop duplicates (same person mentioned by name and email)
+  const unique = attendees.filter((attendee, index) =>
+    attendees.findIndex(other => other.email === attendee.email) === index
+  );
+
+  return { attendees: unique, unresolved };
+}
+
+module.exports = resolveContacts;
+module.exports.loadContacts = loadContacts;
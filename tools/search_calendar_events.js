@@ -0,0 +1,105 @@
+const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+const { simplifyEvent } = require('./query_calendar_events');
+const { addDays } = require('date-fns');
+require('dotenv').config();
+
+/**
+ * Search events by text (title, description, location, attendees) in both directions from now
+ * @param {string} searchText - Free text to search for (e.g., "dentist")
+ * @param {Object} options - Optional configuration
+ * @param {number} options.pastDays - How far back to search (default: 365)
+ * @param {number} options.futureDays - How far ahead to search (default: 365)
+ * @param {number} options.maxResults - Maximum number of events to return in each direction (default: 50)
+ * @param {number} options.userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object>} Object with past (most recent first), upcoming (soonest first) and next event
+ */
+async function searchCalendarEvents(searchText, options = {}) {
+  const { pastDays = 365, futureDays = 365, maxResults = 50, userId = null } = options;
+  const calendarId = await getCalendarId(userId);
+
+  if (!searchText || searchText.trim().length === 0) {
+    throw new Error('Search text is required');
+  }
+
+  const now = new Date();
+
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    const query = {
+      calendarId: calendarId,
+      q: searchText.trim(),
+      singleEvents: true, // Expand recurring events
+      orderBy: 'startTime', // Sort by start time
+    };
+
+    // Two ranges - in one, a weekly match would fill every slot with last year's occurrences.
+    // Upcoming: the soonest first (timeMin matches by end, so events still running count)
+    const upcomingResponse = await calendar.events.list({
+      ...query,
+      timeMin: now.toISOString(),
+      timeMax: addDays(now, futureDays).toISOString(),
+      maxResults: maxResults,
+    });
+
+    // Past: the API only sorts oldest first, so page through to reach the most recent
+    let pastItems = [];
+    let pageToken = null;
+    do {
+      const pastResponse = await calendar.events.list({
+        ...query,
+        timeMin: addDays(now, -pastDays).toISOString(),
+        timeMax: now.toISOString(),
+        maxResults: 250,
+        pageToken: pageToken || undefined,
+      });
+      pastItems = pastItems.concat(pastResponse.data.items || []);
+      pageToken = pastResponse.data.nextPageToken;
+    } while (pageToken);
+
+    const upcoming = (upcomingResponse.data.items || []).map(simplifyEvent);
+    const past = pastItems
+      .map(simplifyEvent)
+      .filter(event => new Date(event.end) <= now) // Still running - already in upcoming
+      .slice(-maxResults)
+      .reverse();
+
+    return {
+      past: past,
+      upcoming: upcoming,
+      next: upcoming[0] || null
+    };
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 404) {
+      throw new Error('Calendar not found. Please pick another calendar in /settings (or check GOOGLE_CALENDAR_ID in .env)');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to search calendar events: ${error.message}`);
+  }
+}
+
+/**
+ * Pull the search term out of a question ("When is my next haircut?" -> "haircut")
+ * @param {string} text - The user's message
+ * @returns {string} Search term
+ */
+function extractSearchTerm(text) {
+  return text
+    .trim()
+    .replace(/[?!.]+$/, '')
+    .replace(/^(when(?:'s| is| was| are| were)|find|search(?: for)?|look up)\s+/i, '')
+    .replace(/^(my|the|a|an)\s+/i, '')
+    .replace(/^(next|last|upcoming|previous)\s+/i, '')
+    .trim();
+}
+
+module.exports = searchCalendarEvents;
+module.exports.extractSearchTerm = extractSearchTerm;
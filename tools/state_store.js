@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Pending confirmations, drafts and listings, kept on disk so a restart doesn't strand their buttons.
+// On Render the disk is wiped on redeploy - point STATE_PATH at a persistent disk to keep them across deploys
+const STATE_PATH = process.env.STATE_PATH || path.join(__dirname, '..', '.tmp', 'bot_state.json');
+
+/**
+ * File backend: every entry in one JSON file, rewritten on each change
+ * @param {string} filePath - JSON file to use (default: STATE_PATH)
+ * @returns {Object} Backend with load() and save(entries)
+ */
+function createFileBackend(filePath = STATE_PATH) {
+  return {
+    async load() {
+      try {
+        const content = await fs.readFile(filePath);
+        return JSON.parse(content);
+      } catch (error) {
+        // Nothing saved yet (or a half-written file from a crash - start over)
+        return {};
+      }
+    },
+
+    async save(entries) {
+      // Write then rename, so a crash mid-write keeps the previous file
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(entries));
+      await fs.rename(`${filePath}.tmp`, filePath);
+    }
+  };
+}
+
+/**
+ * Memory backend: nothing survives a restart (the old behaviour)
+ * @returns {Object} Backend with load() and save(entries)
+ */
+function createMemoryBackend() {
+  return {
+    async load() {
+      return {};
+    },
+
+    async save() {}
+  };
+}
+
+// Built-in backends for STATE_STORE. Anything with load() and save(entries) can be passed instead (SQLite, Redis...)
+const BACKENDS = {
+  file: createFileBackend,
+  memory: createMemoryBackend
+};
+
+/**
+ * Create a key-value store whose entries expire, on top of a backend
+ * @param {Object} options - Options
+ * @param {string|Object} options.backend - 'file' or 'memory' (default: STATE_STORE, else 'file'),
+ *   or a backend object with load() and save(entries)
+ * @returns {Object} Store with get, set, delete, namespace and createId
+ */
+function createStateStore(options = {}) {
+  const backendOption = options.backend || process.env.STATE_STORE || 'file';
+  const backend = typeof backendOption === 'string' ? BACKENDS[backendOption] && BACKENDS[backendOption]() : backendOption;
+
+  if (!backend) {
+    throw new Error(`Unknown state store "${backendOption}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  // { "namespace:key": { value, expiresAt } } - loaded once, then the backend only receives writes
+  let entries = null;
+  let loading = null;
+  let saving = Promise.resolve();
+
+  // Shared, so calls made before the first load finishes all see the same entries
+  function load() {
+    if (!loading) {
+      loading = backend.load().then(loaded => {
+        entries = loaded;
+        prune();
+        return entries;
+      });
+    }
+    return loading;
+  }
+
+  function prune(now = Date.now()) {
+    Object.keys(entries).forEach(id => {
+      if (entries[id].expiresAt && entries[id].expiresAt <= now) delete entries[id];
+    });
+  }
+
+  // Saves run one at a time, each writing everything there is by then
+  function persist() {
+    prune();
+    saving = saving.catch(() => {}).then(() => backend.save(entries));
+    return saving;
+  }
+
+  const store = {
+    /**
+     * Get an entry
+     * @param {string} namespace - What kind of entry ("drafts")
+     * @param {string} key - Entry key
+     * @returns {Promise<*>} The value, or null if there is none or it expired
+     */
+    async get(namespace, key) {
+      await load();
+      const entry = entries[`${namespace}:${key}`];
+
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        delete entries[`${namespace}:${key}`];
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    /**
+     * Add or replace an entry (replacing restarts its clock)
+     * @param {string} namespace - What kind of entry
+     * @param {string} key - Entry key
+     * @param {*} value - Anything JSON can hold
+     * @param {number} ttlMs - Forget it after this long (default: never)
+     */
+    async set(namespace, key, value, ttlMs = null) {
+      await load();
+      entries[`${namespace}:${key}`] = { value: value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      await persist();
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} namespace - What kind of entry
+     * @param {string} key - Entry key
+     */
+    async delete(namespace, key) {
+      await load();
+      if (!entries[`${namespace}:${key}`]) return;
+
+      delete entries[`${namespace}:${key}`];
+      await persist();
+    },
+
+    /**
+     * Get get/set/delete bound to one namespace and lifetime
+     * @param {string} namespace - What kind of entry
+     * @param {number} ttlMs - Lifetime of entries set through it (default: forever)
+     * @returns {Object} Object with get(key), set(key, value) and delete(key)
+     */
+    namespace(namespace, ttlMs = null) {
+      return {
+        get: (key) => store.get(namespace, key),
+        set: (key, value) => store.set(namespace, key, value, ttlMs),
+        delete: (key) => store.delete(namespace, key)
+      };
+    },
+
+    /**
+     * Make a short random ID for callback data (letters, digits, - and _)
+     * @returns {string} 8-character ID
+     */
+    createId() {
+      return crypto.randomBytes(6).toString('base64url');
+    }
+  };
+
+  return store;
+}
+
+module.exports = createStateStore;
+module.exports.createFileBackend = createFileBackend;
+module.exports.createMemoryBackend = createMemoryBackend;
+module.exports.STATE_PATH = STATE_PATH;
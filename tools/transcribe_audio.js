@@ -0,0 +1,114 @@
+const { generateContent } = require('./gemini_client');
+require('dotenv').config();
+
+/**
+ * Transcribe audio with Gemini (no extra API key needed)
+ * @param {Buffer} audio - Audio file contents
+ * @param {string} mimeType - Audio MIME type (e.g., "audio/ogg")
+ * @returns {Promise<string>} Transcript
+ */
+async function transcribeWithGemini(audio, mimeType) {
+  const prompt = `Transcribe this voice message word for word.
+Return only the transcript, without quotes, labels or commentary.
+If there is no speech, return an empty response.`;
+
+  return await generateContent(prompt, {
+    attachments: [{ data: audio, mimeType: mimeType }],
+    temperature: 0,
+  });
+}
+
+/**
+ * Transcribe audio with OpenAI Whisper (needs OPENAI_API_KEY)
+ * @param {Buffer} audio - Audio file contents
+ * @param {string} mimeType - Audio MIME type (e.g., "audio/ogg")
+ * @returns {Promise<string>} Transcript
+ */
+async function transcribeWithOpenAI(audio, mimeType) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY not found in environment variables');
+  }
+
+  // Whisper picks the decoder from the file extension
+  const extension = mimeType.split('/')[1].replace('mpeg', 'mp3').replace('x-m4a', 'm4a');
+
+  const form = new FormData();
+  form.append('file', new Blob([audio], { type: mimeType }), `voice.${extension}`);
+  form.append('model', process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1');
+
+  const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+    body: form,
+  });
+
+  if (!response.ok) {
+    throw new Error(`OpenAI API error: ${response.status} ${await response.text()}`);
+  }
+
+  const data = await response.json();
+  return data.text;
+}
+
+// Transcription backends: async (audio Buffer, mimeType) => transcript
+// Pick one with TRANSCRIPTION_BACKEND in .env, or plug in your own with setTranscriber()
+const TRANSCRIBERS = {
+  gemini: transcribeWithGemini,
+  openai: transcribeWithOpenAI,
+};
+
+let customTranscriber = null;
+
+/**
+ * Replace the transcription backend (e.g., with a local stub in tests)
+ * @param {Function|null} transcriber - async (audio, mimeType) => transcript, or null to go back to TRANSCRIPTION_BACKEND
+ */
+function setTranscriber(transcriber) {
+  customTranscriber = transcriber;
+}
+
+/**
+ * Get the active transcription backend
+ * @returns {Function} async (audio, mimeType) => transcript
+ */
+function getTranscriber() {
+  if (customTranscriber) {
+    return customTranscriber;
+  }
+
+  const backend = (process.env.TRANSCRIPTION_BACKEND || 'gemini').toLowerCase();
+  if (!TRANSCRIBERS[backend]) {
+    throw new Error(`Unknown TRANSCRIPTION_BACKEND "${backend}" (expected: ${Object.keys(TRANSCRIBERS).join(', ')})`);
+  }
+
+  return TRANSCRIBERS[backend];
+}
+
+/**
+ * Transcribe a voice note or audio file
+ * @param {Buffer} audio - Audio file contents
+ * @param {string} mimeType - Audio MIME type (default: audio/ogg, Telegram voice notes)
+ * @returns {Promise<string>} Transcript (trimmed, never empty)
+ */
+async function transcribeAudio(audio, mimeType = 'audio/ogg') {
+  if (!audio || audio.length === 0) {
+    throw new Error('Audio is empty');
+  }
+
+  try {
+    const transcriber = getTranscriber();
+    const transcript = ((await transcriber(audio, mimeType)) || '').trim();
+
+    if (!transcript) {
+      throw new Error('No speech found in the recording');
+    }
+
+    return transcript;
+
+  } catch (error) {
+    throw new Error(`Failed to transcribe audio: ${error.message}`);
+  }
+}
+
+module.exports = transcribeAudio;
+module.exports.setTranscriber = setTranscriber;
@@ -0,0 +1,152 @@
+const { getCalendarClient } = require('./google_auth');
+const { getCalendarId } = require('./user_settings');
+const { format, addDays, parseISO } = require('date-fns');
+require('dotenv').config();
+
+/**
+ * Update an existing event in Google Calendar (only the given fields are changed)
+ * @param {string} eventId - Google Calendar event ID
+ * @param {Object} updates - Fields to change
+ * @param {string} updates.summary - New event title
+ * @param {string} updates.description - New event description
+ * @param {string} updates.location - New event location
+ * @param {string} updates.date - New event date (YYYY-MM-DD)
+ * @param {string} updates.endDate - Last day of the event (YYYY-MM-DD, inclusive) if it ends after updates.date
+ * @param {string} updates.startTime - New start time (HH:MM), omit to keep an all-day event all-day
+ * @param {string} updates.endTime - New end time (HH:MM)
+ * @param {string} timezone - Timezone for the event (default: from env or America/Los_Angeles)
+ * @param {number} userId - Telegram user whose calendar to use (default: the bot's own token)
+ * @returns {Promise<Object>} Updated event with id, htmlLink, and summary
+ */
+async function updateCalendarEvent(eventId, updates, timezone = null, userId = null) {
+  const { summary, description, location, date, endDate, startTime, endTime } = updates;
+
+  // Use timezone from params, env, or default
+  const eventTimezone = timezone || process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/Los_Angeles';
+  const calendarId = await getCalendarId(userId);
+
+  // Validate update data
+  const errors = validateUpdateData(eventId, updates);
+  if (errors.length > 0) {
+    throw new Error(`Invalid update data: ${errors.join(', ')}`);
+  }
+
+  try {
+    // Get authenticated Calendar API client
+    const calendar = await getCalendarClient(userId);
+
+    // Build a partial resource - events.patch leaves other fields untouched
+    const patch = {};
+
+    if (summary) patch.summary = summary;
+    if (description) patch.description = description;
+    if (location) patch.location = location;
+
+    if (date && startTime) {
+      // Clear date so an all-day event can become a timed one
+      patch.start = { dateTime: `${date}T${startTime}:00`, timeZone: eventTimezone, date: null };
+      patch.end = { dateTime: `${endDate || date}T${endTime}:00`, timeZone: eventTimezone, date: null };
+    } else if (date) {
+      // All-day events use exclusive end dates
+      patch.start = { date: date, dateTime: null };
+      patch.end = { date: format(addDays(parseISO(endDate || date), 1), 'yyyy-MM-dd'), dateTime: null };
+    }
+
+    // Patch the event
+    const response = await calendar.events.patch({
+      calendarId: calendarId,
+      eventId: eventId,
+      resource: patch,
+    });
+
+    const updatedEvent = response.data;
+
+    return {
+      id: updatedEvent.id,
+      htmlLink: updatedEvent.htmlLink,
+      summary: updatedEvent.summary,
+      start: updatedEvent.start.dateTime || updatedEvent.start.date,
+      end: updatedEvent.end.dateTime || updatedEvent.end.date,
+      description: updatedEvent.description,
+      location: updatedEvent.location || null,
+    };
+
+  } catch (error) {
+    // Handle specific Google Calendar API errors
+    if (error.code === 401 || error.code === 403) {
+      throw new Error('Google Calendar authentication failed. Please check your credentials.');
+    } else if (error.code === 404) {
+      throw new Error('Event not found. It may have been deleted.');
+    } else if (error.code === 429) {
+      throw new Error('Google Calendar API rate limit exceeded. Please try again later.');
+    }
+
+    throw new Error(`Failed to update calendar event: ${error.message}`);
+  }
+}
+
+/**
+ * Validate update data before patching the calendar entry
+ * @param {string} eventId - Event ID to update
+ * @param {Object} updates - Fields to change
+ * @returns {Array<string>} Array of validation error messages (empty if valid)
+ */
+function validateUpdateData(eventId, updates) {
+  const errors = [];
+
+  if (!eventId) {
+    errors.push('Event ID is required');
+  }
+
+  if (!updates || Object.keys(updates).length === 0) {
+    errors.push('Nothing to update');
+    return errors;
+  }
+
+  if (updates.summary !== undefined && updates.summary.trim().length === 0) {
+    errors.push('Event title cannot be empty');
+  }
+
+  // Validate date format (YYYY-MM-DD)
+  if (updates.date && !/^\d{4}-\d{2}-\d{2}$/.test(updates.date)) {
+    errors.push('Date must be in YYYY-MM-DD format');
+  }
+
+  if (updates.endDate && !/^\d{4}-\d{2}-\d{2}$/.test(updates.endDate)) {
+    errors.push('End date must be in YYYY-MM-DD format');
+  }
+
+  if ((updates.startTime || updates.endTime || updates.endDate) && !updates.date) {
+    errors.push('New times require a date');
+  }
+
+  if (updates.startTime && !updates.endTime) {
+    errors.push('New start time requires an end time');
+  }
+
+  // Validate time format (HH:MM)
+  if (updates.startTime && !/^\d{2}:\d{2}$/.test(updates.startTime)) {
+    errors.push('Start time must be in HH:MM format');
+  }
+
+  if (updates.endTime && !/^\d{2}:\d{2}$/.test(updates.endTime)) {
+    errors.push('End time must be in HH:MM format');
+  }
+
+  // Validate that end time is after start time (the end may fall on a later day)
+  if (updates.startTime && updates.endTime) {
+    const start = new Date(`${updates.date}T${updates.startTime}:00`);
+    const end = new Date(`${updates.endDate || updates.date}T${updates.endTime}:00`);
+
+    if (end <= start) {
+      errors.push('Event end time must be after start time');
+    }
+  } else if (updates.date && updates.endDate && updates.endDate < updates.date) {
+    errors.push('Event end date must not be before start date');
+  }
+
+  return errors;
+}
+
+module.exports = updateCalendarEvent;
+module.exports.validateUpdateData = validateUpdateData;
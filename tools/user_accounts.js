@@ -0,0 +1,282 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Allowlist, invite codes and each user's Google token. Holds refresh tokens, so it lives next to
+// token.json (git-ignored) rather than in the disposable .tmp/ - point USERS_PATH at a persistent disk on Render
+const USERS_PATH = process.env.USERS_PATH || path.join(__dirname, '..', 'users.json');
+
+// Invite links stop working after this many days
+const INVITE_TTL_DAYS = 7;
+
+// Loaded once; every change is written straight back
+let accounts = null;
+
+/**
+ * Get the admin user IDs (TELEGRAM_ADMIN_USER_IDS, or the single TELEGRAM_ALLOWED_USER_ID)
+ * @returns {Array<number>} Admin Telegram user IDs (empty if none are configured)
+ */
+function getAdminIds() {
+  const ids = process.env.TELEGRAM_ADMIN_USER_IDS || process.env.TELEGRAM_ALLOWED_USER_ID || '';
+  return ids.split(',').map(id => parseInt(id.trim())).filter(id => !Number.isNaN(id));
+}
+
+/**
+ * Load accounts from disk (or start empty)
+ * @returns {Promise<Object>} Accounts with users ({ [userId]: { name, addedBy, addedAt, token, connectedAt } }),
+ *   invites ({ [code]: { createdBy, expiresAt } }) and groups ({ [chatId]: { title, ownerId, linkedAt } })
+ */
+async function loadAccounts() {
+  if (accounts) return accounts;
+
+  try {
+    const content = await fs.readFile(USERS_PATH);
+    accounts = { users: {}, invites: {}, groups: {}, ...JSON.parse(content) };
+  } catch (error) {
+    // Nothing saved yet
+    accounts = { users: {}, invites: {}, groups: {} };
+  }
+
+  return accounts;
+}
+
+/**
+ * Save accounts to disk
+ */
+async function saveAccounts() {
+  await fs.mkdir(path.dirname(USERS_PATH), { recursive: true });
+  await fs.writeFile(USERS_PATH, JSON.stringify(accounts, null, 2));
+}
+
+/**
+ * Check if a user may use the bot (admins always may)
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} True if allowed
+ */
+function isAllowedUser(userId) {
+  if (getAdminIds().includes(userId)) return true;
+  return !!(accounts && accounts.users[userId]);
+}
+
+/**
+ * Check if a user is an admin
+ * @param {number} userId - Telegram user ID
+ * @returns {boolean} True if admin
+ */
+function isAdmin(userId) {
+  return getAdminIds().includes(userId);
+}
+
+/**
+ * Add a user to the allowlist
+ * @param {number} userId - Telegram user ID
+ * @param {number} addedBy - Admin (or invite creator) who let them in
+ * @param {string} name - Display name, for /users (optional)
+ * @returns {Promise<boolean>} False if they were already allowed
+ */
+async function allowUser(userId, addedBy, name = null) {
+  await loadAccounts();
+  if (accounts.users[userId]) return false;
+
+  accounts.users[userId] = { name: name, addedBy: addedBy, addedAt: new Date().toISOString(), token: null, connectedAt: null };
+  await saveAccounts();
+  return true;
+}
+
+/**
+ * Remove a user from the allowlist, forgetting their Google token
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<boolean>} False if they weren't on the list
+ */
+async function removeUser(userId) {
+  await loadAccounts();
+  if (!accounts.users[userId]) return false;
+
+  delete accounts.users[userId];
+  await saveAccounts();
+  return true;
+}
+
+/**
+ * List allowlisted users
+ * @returns {Promise<Array<Object>>} Users with id, name, addedAt and connected (has a Google token)
+ */
+async function listUsers() {
+  await loadAccounts();
+  return Object.entries(accounts.users).map(([id, user]) => ({
+    id: parseInt(id),
+    name: user.name,
+    addedAt: user.addedAt,
+    connected: !!user.token
+  }));
+}
+
+/**
+ * Create a single-use invite code
+ * @param {number} createdBy - Admin creating the invite
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} Object with code and expiresAt (ISO string)
+ */
+async function createInvite(createdBy, now = new Date()) {
+  await loadAccounts();
+
+  // Drop expired invites while we're here
+  Object.keys(accounts.invites).forEach(code => {
+    if (new Date(accounts.invites[code].expiresAt) < now) delete accounts.invites[code];
+  });
+
+  // Letters, digits, - and _ only - it travels as a /start deep-link payload
+  const code = crypto.randomBytes(9).toString('base64url');
+  const expiresAt = new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  accounts.invites[code] = { createdBy: createdBy, expiresAt: expiresAt };
+  await saveAccounts();
+  return { code, expiresAt };
+}
+
+/**
+ * Redeem an invite code, adding the user to the allowlist
+ * @param {string} code - Invite code
+ * @param {number} userId - Telegram user ID redeeming it
+ * @param {string} name - Display name (optional)
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<boolean>} True if the code was valid
+ */
+async function redeemInvite(code, userId, name = null, now = new Date()) {
+  await loadAccounts();
+  const invite = accounts.invites[code];
+
+  if (!invite || new Date(invite.expiresAt) < now) {
+    return false;
+  }
+
+  delete accounts.invites[code];
+  if (!accounts.users[userId]) {
+    accounts.users[userId] = { name: name, addedBy: invite.createdBy, addedAt: now.toISOString(), token: null, connectedAt: null };
+  }
+  await saveAccounts();
+  return true;
+}
+
+/**
+ * Get a user's saved Google token
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object|null>} OAuth token, or null if they haven't connected
+ */
+async function getUserToken(userId) {
+  await loadAccounts();
+  const user = accounts.users[userId];
+  return user ? user.token : null;
+}
+
+/**
+ * Save a user's Google token (admins get an entry if they don't have one)
+ * @param {number} userId - Telegram user ID
+ * @param {Object|null} token - OAuth token, or null to disconnect
+ */
+async function saveUserToken(userId, token) {
+  await loadAccounts();
+
+  if (!accounts.users[userId]) {
+    accounts.users[userId] = { name: null, addedBy: userId, addedAt: new Date().toISOString(), token: null, connectedAt: null };
+  }
+
+  accounts.users[userId].token = token;
+  accounts.users[userId].connectedAt = token ? new Date().toISOString() : null;
+  await saveAccounts();
+}
+
+/**
+ * Link a group chat to an admin's Google Calendar - everyone in the group may then use the bot there
+ * @param {number} chatId - Telegram group chat ID
+ * @param {number} ownerId - Admin whose Google account and /settings the group uses
+ * @param {string} title - Group name, for /users (optional)
+ */
+async function linkGroup(chatId, ownerId, title = null) {
+  await loadAccounts();
+  accounts.groups[chatId] = { title: title, ownerId: ownerId, linkedAt: new Date().toISOString() };
+  await saveAccounts();
+}
+
+/**
+ * Unlink a group chat
+ * @param {number} chatId - Telegram group chat ID
+ * @returns {Promise<boolean>} False if it wasn't linked
+ */
+async function unlinkGroup(chatId) {
+  await loadAccounts();
+  if (!accounts.groups[chatId]) return false;
+
+  delete accounts.groups[chatId];
+  await saveAccounts();
+  return true;
+}
+
+/**
+ * Get a linked group chat
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Object|null} Group with title, ownerId and linkedAt, or null if the chat isn't a linked group
+ */
+function getLinkedGroup(chatId) {
+  return (accounts && accounts.groups[chatId]) || null;
+}
+
+/**
+ * List linked group chats
+ * @returns {Promise<Array<Object>>} Groups with id, title and ownerId
+ */
+async function listGroups() {
+  await loadAccounts();
+  return Object.entries(accounts.groups).map(([id, group]) => ({
+    id: parseInt(id),
+    title: group.title,
+    ownerId: group.ownerId
+  }));
+}
+
+/**
+ * Format the allowlist for /users
+ * @param {Array<Object>} users - Users from listUsers
+ * @param {Array<Object>} groups - Linked groups from listGroups (optional)
+ * @returns {string} Formatted Markdown message for Telegram
+ */
+function formatUserList(users, groups = []) {
+  const admins = getAdminIds();
+  const lines = ['👥 *Users*', ''];
+
+  admins.forEach(id => lines.push(`• \`${id}\` (admin)`));
+  users.filter(user => !admins.includes(user.id)).forEach(user => {
+    const name = user.name ? ` ${user.name.replace(/[*_`\[]/g, '')}` : '';
+    lines.push(`• \`${user.id}\`${name}${user.connected ? '' : ' - not connected yet'}`);
+  });
+
+  if (groups.length > 0) {
+    lines.push('', '💬 *Groups*', '');
+    groups.forEach(group => {
+      const title = (group.title || 'Untitled group').replace(/[*_`\[]/g, '');
+      lines.push(`• ${title} - calendar of \`${group.ownerId}\``);
+    });
+  }
+
+  lines.push('', '/users invite - Create an invite link', '/users allow <id> - Let someone in', '/users remove <id> - Take access away');
+  return lines.join('\n');
+}
+
+module.exports = loadAccounts;
+module.exports.getAdminIds = getAdminIds;
+module.exports.isAllowedUser = isAllowedUser;
+module.exports.isAdmin = isAdmin;
+module.exports.allowUser = allowUser;
+module.exports.removeUser = removeUser;
+module.exports.listUsers = listUsers;
+module.exports.createInvite = createInvite;
+module.exports.redeemInvite = redeemInvite;
+module.exports.getUserToken = getUserToken;
+module.exports.saveUserToken = saveUserToken;
+module.exports.linkGroup = linkGroup;
+module.exports.unlinkGroup = unlinkGroup;
+module.exports.getLinkedGroup = getLinkedGroup;
+module.exports.listGroups = listGroups;
+module.exports.formatUserList = formatUserList;
+module.exports.INVITE_TTL_DAYS = INVITE_TTL_DAYS;
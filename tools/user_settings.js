@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatDuration } = require('./format_events_message');
+require('dotenv').config();
+
+// Each user's /settings, kept next to users.json so they survive restarts (and redeploys, on a persistent disk)
+const SETTINGS_PATH = process.env.USER_SETTINGS_PATH || path.join(__dirname, '..', 'user_settings.json');
+
+// Offered by /settings (any IANA name can be typed in)
+const TIMEZONE_OPTIONS = [
+  'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York', 'America/Sao_Paulo',
+  'Europe/London', 'Europe/Berlin', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'
+];
+
+// Default event lengths offered by /settings, in minutes
+const DEFAULT_DURATION_OPTIONS = [15, 30, 45, 60, 90, 120];
+
+// First day of the week (date-fns weekStartsOn: 0 = Sunday, 1 = Monday, 6 = Saturday)
+const WEEK_START_OPTIONS = { 1: 'Monday', 0: 'Sunday', 6: 'Saturday' };
+
+// Loaded once; every change is written straight back
+let settingsByUser = null;
+
+/**
+ * Get the settings every user starts with (from env)
+ * @returns {Object} Object with timezone, defaultDuration (minutes), weekStartsOn (0-6), calendarId and calendarName
+ */
+function getDefaultSettings() {
+  return {
+    timezone: process.env.GOOGLE_CALENDAR_TIMEZONE || 'America/Los_Angeles',
+    defaultDuration: 60,
+    weekStartsOn: 1,
+    calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
+    calendarName: null
+  };
+}
+
+/**
+ * Load all users' settings from disk (or start empty)
+ * @returns {Promise<Object>} Saved settings by user ID (only the values each user changed)
+ */
+async function loadSettings() {
+  if (settingsByUser) return settingsByUser;
+
+  try {
+    const content = await fs.readFile(SETTINGS_PATH);
+    settingsByUser = JSON.parse(content);
+  } catch (error) {
+    // Nothing saved yet
+    settingsByUser = {};
+  }
+
+  return settingsByUser;
+}
+
+/**
+ * Get a user's settings, with defaults for anything they haven't changed
+ * @param {number} userId - Telegram user ID (null for the defaults)
+ * @returns {Promise<Object>} Settings (see getDefaultSettings)
+ */
+async function getUserSettings(userId) {
+  await loadSettings();
+  return { ...getDefaultSettings(), ...(userId ? settingsByUser[userId] : null) };
+}
+
+/**
+ * Change some of a user's settings
+ * @param {number} userId - Telegram user ID
+ * @param {Object} changes - Settings to change (see getDefaultSettings)
+ * @returns {Promise<Object>} The user's settings after the change
+ */
+async function updateUserSettings(userId, changes) {
+  await loadSettings();
+  settingsByUser[userId] = { ...settingsByUser[userId], ...changes };
+
+  await fs.mkdir(path.dirname(SETTINGS_PATH), { recursive: true });
+  await fs.writeFile(SETTINGS_PATH, JSON.stringify(settingsByUser, null, 2));
+
+  return await getUserSettings(userId);
+}
+
+/**
+ * Get the calendar a user's events are read from and written to
+ * @param {number} userId - Telegram user ID (null for GOOGLE_CALENDAR_ID)
+ * @returns {Promise<string>} Calendar ID
+ */
+async function getCalendarId(userId) {
+  const settings = await getUserSettings(userId);
+  return settings.calendarId;
+}
+
+/**
+ * Check if a timezone name is one the runtime knows ("Europe/Berlin")
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a user's settings for /settings
+ * @param {Object} settings - Settings from getUserSettings
+ * @returns {string} Formatted Markdown message for Telegram
+ */
+function formatSettingsMessage(settings) {
+  const calendar = settings.calendarName || (settings.calendarId === 'primary' ? 'Primary' : settings.calendarId);
+
+  let message = `⚙️ *Settings*\n\n`;
+  message += `🌍 Timezone: ${settings.timezone.replace(/_/g, ' ')}\n`;
+  message += `⏱ Default length: ${formatDuration(settings.defaultDuration)}\n`;
+  message += `📅 Week starts on: ${WEEK_START_OPTIONS[settings.weekStartsOn]}\n`;
+  message += `🗓 Calendar: ${calendar.replace(/[*_`\[]/g, '')}\n\n`;
+  message += '_Tap a setting to change it._';
+  return message;
+}
+
+module.exports = getUserSettings;
+module.exports.getDefaultSettings = getDefaultSettings;
+module.exports.loadSettings = loadSettings;
+module.exports.updateUserSettings = updateUserSettings;
+module.exports.getCalendarId = getCalendarId;
+module.exports.isValidTimezone = isValidTimezone;
+module.exports.formatSettingsMessage = formatSettingsMessage;
+module.exports.TIMEZONE_OPTIONS = TIMEZONE_OPTIONS;
+module.exports.DEFAULT_DURATION_OPTIONS = DEFAULT_DURATION_OPTIONS;
+module.exports.WEEK_START_OPTIONS = WEEK_START_OPTIONS;